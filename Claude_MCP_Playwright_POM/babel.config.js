@@ -0,0 +1,12 @@
+// Shared by webpack's babel-loader and by Jest, which runs the unit and
+// component tests under Node and so needs modules compiled for it
+module.exports = (api) => {
+  const isTest = api.env('test');
+
+  return {
+    presets: [
+      ['@babel/preset-env', isTest ? { targets: { node: 'current' } } : {}],
+      ['@babel/preset-react', { runtime: 'automatic' }],
+    ],
+  };
+};
@@ -0,0 +1,9 @@
+// Unit and component tests live next to the code as *.test.js(x); the
+// Playwright specs under tests/ and playwright/ are not Jest's
+module.exports = {
+  testMatch: ['<rootDir>/src/**/*.test.{js,jsx}'],
+  testEnvironment: 'node',
+  moduleNameMapper: {
+    '\\.css$': '<rootDir>/src/test/styleMock.js',
+  },
+};
@@ -1,5 +1,18 @@
 import { defineConfig, devices } from '@playwright/test';
 
+// Visual baselines are only comparable when every run renders text the same
+// way: a fixed locale and time zone, and no hinting, subpixel positioning or
+// LCD antialiasing (see playwright/tests/visual.spec.js for the font stack)
+const stableRendering = {
+  locale: 'en-US',
+  timezoneId: 'UTC',
+  colorScheme: 'light' as const,
+  deviceScaleFactor: 1,
+  launchOptions: {
+    args: ['--font-render-hinting=none', '--disable-font-subpixel-positioning', '--disable-lcd-text'],
+  },
+};
+
 export default defineConfig({
   testDir: './tests',
   fullyParallel: true,
@@ -11,6 +24,16 @@ export default defineConfig({
     baseURL: 'http://localhost:3000',
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
+    // A service worker would answer requests before page.route() sees them;
+    // playwright/tests/offline.spec.js opts back in
+    serviceWorkers: 'block',
+  },
+  expect: {
+    toHaveScreenshot: {
+      animations: 'disabled',
+      caret: 'hide',
+      maxDiffPixelRatio: 0.01,
+    },
   },
 
   projects: [
@@ -18,13 +41,37 @@ export default defineConfig({
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
     },
-
-   
+    // The page object suite; its screenshot spec runs in the visual projects
+    {
+      name: 'pom',
+      testDir: './playwright/tests',
+      testIgnore: 'visual.spec.js',
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      name: 'visual-desktop',
+      testDir: './playwright/tests',
+      testMatch: 'visual.spec.js',
+      use: { ...devices['Desktop Chrome'], ...stableRendering },
+    },
+    {
+      name: 'visual-mobile',
+      testDir: './playwright/tests',
+      testMatch: 'visual.spec.js',
+      use: { ...devices['Pixel 7'], ...stableRendering },
+    },
   ],
 
-  webServer: {
-    command: 'npm run dev',
-    url: 'http://localhost:3000',
-    reuseExistingServer: !process.env.CI,
-  },
+  webServer: [
+    {
+      command: 'npm run api',
+      url: 'http://localhost:3001/api/health',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: 'npm run dev',
+      url: 'http://localhost:3000',
+      reuseExistingServer: !process.env.CI,
+    },
+  ],
 });
@@ -0,0 +1,42 @@
+/**
+ * Accessibility Audit
+ * Runs axe-core against the app container. The axe source comes from the
+ * local axe-core package, so audits need no network access.
+ */
+
+const { AxeBuilder } = require('@axe-core/playwright');
+
+class AccessibilityAudit {
+  /**
+   * Constructor with the page, the audited region and the rule tags
+   * @param {Page} page - Playwright page object
+   * @param {string} scope - Selector of the region to audit, e.g. '.todo-container'
+   * @param {string[]} tags - axe rule tags to run, e.g. ['wcag2a', 'wcag2aa']
+   */
+  constructor(page, scope, tags) {
+    this.page = page;
+    this.scope = scope;
+    this.tags = tags;
+  }
+
+  /**
+   * Audit the page as it is right now
+   * Violations are flattened to rule, impact and offending selectors so a
+   * failing expect(...).toEqual([]) prints something readable.
+   * @returns {Promise<Object[]>} The violations, e.g. [{ rule: 'label', impact: 'critical', targets: ['.task-input'] }]
+   */
+  async getViolations() {
+    const results = await new AxeBuilder({ page: this.page })
+      .include(this.scope)
+      .withTags(this.tags)
+      .analyze();
+
+    return results.violations.map(violation => ({
+      rule: violation.id,
+      impact: violation.impact,
+      targets: violation.nodes.map(node => node.target.join(' '))
+    }));
+  }
+}
+
+module.exports = AccessibilityAudit;
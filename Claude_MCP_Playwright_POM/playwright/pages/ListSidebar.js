@@ -0,0 +1,175 @@
+/**
+ * List Sidebar Page Object
+ * Companion to TodoPage for the named-list switcher: creating, renaming,
+ * deleting and opening lists, and reading their task counts
+ */
+
+const { resolveLocator } = require('./locatorStrategy');
+
+class ListSidebar {
+  /**
+   * Constructor with page object and locator initialization
+   * @param {Page} page - Playwright page object
+   * @param {Object} locators - Object containing all UI locators
+   */
+  constructor(page, locators) {
+    this.page = page;
+
+    const find = name => resolveLocator(page, locators[name]);
+    this.idleContainer = find('idleContainer');
+    this.sidebar = find('listSidebar');
+    this.listItem = find('listNavItem');
+    this.activeListItem = find('activeListNavItem');
+    this.listButton = find('listNavButton');
+    this.listName = find('listName');
+    this.listCount = find('listCount');
+    this.listNameInput = find('listNameInput');
+    this.renameButton = find('renameListButton');
+    this.deleteButton = find('deleteListButton');
+    this.newListInput = find('newListInput');
+    this.addListButton = find('addListButton');
+  }
+
+  /**
+   * Get the sidebar entry for a list
+   * @param {string} name - The list's exact name
+   * @returns {Locator} The list's entry
+   */
+  getListItem(name) {
+    return this.listItem.filter({ has: this.listName.getByText(name, { exact: true }) });
+  }
+
+  /**
+   * Create a list by typing its name and clicking Add List
+   * The new list becomes the active one.
+   * @param {string} name - The list name
+   */
+  async createList(name) {
+    await this.newListInput.fill(name);
+    await this.addListButton.click();
+  }
+
+  /**
+   * Create a list by typing its name and pressing Enter
+   * @param {string} name - The list name
+   */
+  async createListByEnter(name) {
+    await this.newListInput.fill(name);
+    await this.newListInput.press('Enter');
+  }
+
+  /**
+   * Get the value left in the new-list input
+   * @returns {Promise<string>} The input value
+   */
+  async getNewListInputValue() {
+    return await this.newListInput.inputValue();
+  }
+
+  /**
+   * Open a list
+   * @param {string} name - The list's exact name
+   */
+  async selectList(name) {
+    await this.getListItem(name).locator(this.listButton).click();
+  }
+
+  /**
+   * Open a list's inline rename editor
+   * @param {string} name - The list's current name
+   */
+  async startRename(name) {
+    await this.getListItem(name).locator(this.renameButton).click();
+  }
+
+  /**
+   * Rename a list through its inline editor, saving with Enter
+   * @param {string} name - The list's current name
+   * @param {string} newName - The name to type
+   */
+  async renameList(name, newName) {
+    await this.startRename(name);
+    await this.listNameInput.fill(newName);
+    await this.listNameInput.press('Enter');
+  }
+
+  /**
+   * Start renaming a list, type a name, then cancel with Escape
+   * @param {string} name - The list's current name
+   * @param {string} draft - The name to type before cancelling
+   */
+  async cancelRename(name, draft) {
+    await this.startRename(name);
+    await this.listNameInput.fill(draft);
+    await this.listNameInput.press('Escape');
+  }
+
+  /**
+   * Delete a list and the tasks in it
+   * @param {string} name - The list's exact name
+   */
+  async deleteList(name) {
+    await this.getListItem(name).locator(this.deleteButton).click();
+  }
+
+  /**
+   * Check if a list's delete button is enabled
+   * The last remaining list cannot be deleted.
+   * @param {string} name - The list's exact name
+   * @returns {Promise<boolean>} Whether the list can be deleted
+   */
+  async canDeleteList(name) {
+    return await this.getListItem(name).locator(this.deleteButton).isEnabled();
+  }
+
+  /**
+   * Get the names of all lists in sidebar order
+   * @returns {Promise<string[]>} The list names
+   */
+  async getListNames() {
+    return await this.listName.allTextContents();
+  }
+
+  /**
+   * Get the name of the open list as marked in the sidebar
+   * @returns {Promise<string>} The active list's name
+   */
+  async getActiveListName() {
+    return await this.activeListItem.locator(this.listName).textContent();
+  }
+
+  /**
+   * Get the task count shown next to every list
+   * @returns {Promise<Object>} Map of list name to task count
+   */
+  async getListCounts() {
+    const names = await this.getListNames();
+    const counts = await this.listCount.allTextContents();
+    return Object.fromEntries(names.map((name, index) => [name, parseInt(counts[index], 10)]));
+  }
+
+  /**
+   * Get the server-side lists for this browser context
+   * Waits for pending changes to reach the server first.
+   * @param {string} apiPath - The lists collection path, e.g. '/api/lists'
+   * @returns {Promise<Object[]>} The lists stored on the server
+   */
+  async getServerLists(apiPath) {
+    await this.idleContainer.waitFor({ state: 'visible' });
+    const response = await this.page.request.get(apiPath);
+    if (!response.ok()) {
+      throw new Error(`Reading ${apiPath} failed with status ${response.status()}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Check if the sidebar is visible
+   * @returns {Promise<boolean>} Whether the sidebar is visible
+   */
+  async isVisible() {
+    return await this.sidebar.isVisible();
+  }
+}
+
+module.exports = ListSidebar;
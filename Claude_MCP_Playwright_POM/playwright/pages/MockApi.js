@@ -0,0 +1,212 @@
+/**
+ * Mock Task API
+ * Intercepts the app's /api/tasks calls with page.route so specs can serve
+ * canned task lists, inject latency and failures, and assert on the requests
+ * the app made - without touching the real server.
+ */
+
+class MockApi {
+  /**
+   * Constructor with page object and the URL pattern to intercept
+   * @param {Page} page - Playwright page object
+   * @param {string} urlPattern - Glob matching the task API URLs
+   */
+  constructor(page, urlPattern) {
+    this.page = page;
+    this.urlPattern = urlPattern;
+
+    this.tasks = [];
+    this.delays = [];
+    this.failures = [];
+    this.malformedBodies = {};
+    this.offline = false;
+    this.requests = [];
+    this.installed = false;
+  }
+
+  /**
+   * Start intercepting API calls, optionally from a testData scenario
+   * Must be called before goto() for the scenario to affect the initial load.
+   * @param {Object} scenario - Scenario from testData.mockScenarios
+   */
+  async install(scenario = {}) {
+    this.tasks = (scenario.tasks || []).map(task => ({ ...task }));
+    this.delays = (scenario.delays || []).map(delay => ({ ...delay }));
+    this.failures = (scenario.failures || []).map(failure => ({ ...failure }));
+    this.malformedBodies = { ...(scenario.malformedBodies || {}) };
+    this.offline = Boolean(scenario.offline);
+
+    if (!this.installed) {
+      await this.page.route(this.urlPattern, route => this.handle(route));
+      this.installed = true;
+    }
+  }
+
+  /**
+   * Stop intercepting API calls
+   */
+  async uninstall() {
+    if (this.installed) {
+      await this.page.unroute(this.urlPattern);
+      this.installed = false;
+    }
+  }
+
+  /**
+   * Replace the task list the mock serves
+   * @param {Object[]} tasks - The tasks to serve
+   */
+  setTasks(tasks) {
+    this.tasks = tasks.map(task => ({ ...task }));
+  }
+
+  /**
+   * Get the task list the mock currently holds
+   * @returns {Object[]} The mock's tasks after any writes the app made
+   */
+  getTasks() {
+    return this.tasks.map(task => ({ ...task }));
+  }
+
+  /**
+   * Delay responses to a method
+   * @param {string} method - HTTP method, or '*' for all
+   * @param {number} milliseconds - How long to hold each response
+   */
+  delay(method, milliseconds) {
+    this.delays.push({ method, ms: milliseconds });
+  }
+
+  /**
+   * Fail requests for a method with an HTTP error status
+   * @param {string} method - HTTP method, or '*' for all
+   * @param {number} status - The status to respond with
+   * @param {number} times - How many requests to fail (omit to fail every one)
+   */
+  fail(method, status, times) {
+    this.failures.push({ method, status, times });
+  }
+
+  /**
+   * Answer a method with a raw body instead of task data
+   * @param {string} method - HTTP method
+   * @param {string} body - The raw response body
+   */
+  serveMalformed(method, body) {
+    this.malformedBodies[method] = body;
+  }
+
+  /**
+   * Make every API call fail at the network level
+   */
+  goOffline() {
+    this.offline = true;
+  }
+
+  /**
+   * Let API calls through to the mock again
+   */
+  goOnline() {
+    this.offline = false;
+  }
+
+  /**
+   * Clear all delays, failures and malformed responses
+   */
+  reset() {
+    this.delays = [];
+    this.failures = [];
+    this.malformedBodies = {};
+    this.offline = false;
+  }
+
+  /**
+   * Get the requests the app made, optionally for one method
+   * @param {string} method - Optional HTTP method to filter by
+   * @returns {Object[]} Recorded requests ({ method, path, body })
+   */
+  getRequests(method) {
+    return method ? this.requests.filter(request => request.method === method) : [...this.requests];
+  }
+
+  /**
+   * Forget all recorded requests
+   */
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Route handler - records the request, then applies the configured behaviour
+   * @param {Route} route - Playwright route
+   */
+  async handle(route) {
+    const request = route.request();
+    const method = request.method();
+    const path = new URL(request.url()).pathname;
+    const body = request.postDataJSON();
+    this.requests.push({ method, path, body });
+
+    const matches = (rule) => rule.method === '*' || rule.method === method;
+
+    const delay = this.delays.find(matches);
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay.ms));
+    }
+
+    if (this.offline) {
+      return route.abort('internetdisconnected');
+    }
+
+    const failure = this.failures.find(rule => matches(rule) && rule.times !== 0);
+    if (failure) {
+      if (failure.times !== undefined) failure.times -= 1;
+      return route.fulfill({ status: failure.status, contentType: 'application/json', body: '{"error":"Mocked failure"}' });
+    }
+
+    if (this.malformedBodies[method] !== undefined) {
+      return route.fulfill({ status: 200, contentType: 'application/json', body: this.malformedBodies[method] });
+    }
+
+    return this.respond(route, method, path, body);
+  }
+
+  /**
+   * Emulate the real API against the in-memory task list
+   * @param {Route} route - Playwright route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {*} body - Parsed request body
+   */
+  async respond(route, method, path, body) {
+    const json = (status, payload) => route.fulfill({ status, contentType: 'application/json', body: JSON.stringify(payload) });
+    const itemMatch = path.match(/\/api\/tasks\/([^/]+)$/);
+    const id = itemMatch ? decodeURIComponent(itemMatch[1]) : null;
+    const index = id === null ? -1 : this.tasks.findIndex(task => String(task.id) === id);
+
+    if (id !== null && index === -1) {
+      return json(404, { error: `Task ${id} not found` });
+    }
+
+    switch (`${method} ${id === null ? 'collection' : 'item'}`) {
+      case 'GET collection':
+        return json(200, this.tasks);
+      case 'PUT collection':
+        this.tasks = body.tasks;
+        return json(200, this.tasks);
+      case 'POST collection':
+        this.tasks = [...this.tasks, body];
+        return json(201, body);
+      case 'PATCH item':
+        this.tasks[index] = { ...this.tasks[index], ...body };
+        return json(200, this.tasks[index]);
+      case 'DELETE item':
+        this.tasks.splice(index, 1);
+        return route.fulfill({ status: 204 });
+      default:
+        return json(405, { error: `Method ${method} not allowed` });
+    }
+  }
+}
+
+module.exports = MockApi;
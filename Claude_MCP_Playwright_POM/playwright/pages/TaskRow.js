@@ -0,0 +1,387 @@
+/**
+ * Task Row Component Object
+ * Wraps a single `.task-item` row found by its text or its index. Every
+ * locator is scoped to that row, so specs never combine page-wide locators
+ * with nth(index). Get one from TodoPage.task(textOrIndex).
+ *
+ * The lookup is re-run by every method, and each method fails with a clear
+ * error unless exactly one row matches. A row found by text stops matching
+ * while its inline editor is open (the editor replaces the text), so look a
+ * row up by index to inspect the editor.
+ */
+
+const { resolveLocator } = require('./locatorStrategy');
+
+// How long a lookup waits for its row to render before reporting no match
+const LOOKUP_TIMEOUT = 2000;
+
+class TaskRow {
+  /**
+   * Constructor with the row lookup and locators
+   * @param {Locator} root - Locator matching the task's `.task-item` row
+   * @param {Locator} rows - Locator for every task row on the page
+   * @param {Object} locators - Object containing all UI locators
+   * @param {string} description - How the row was looked up, for errors, e.g. 'at index 2'
+   */
+  constructor(root, rows, locators, description) {
+    this.root = root;
+    this.rows = rows;
+    this.locators = locators;
+    this.description = description;
+  }
+
+  /**
+   * Find the one row this lookup matches
+   * The result is pinned to the row's position, so it keeps pointing at the
+   * same row while a method changes its text.
+   * @returns {Promise<Locator>} The matching row
+   * @throws {Error} If no row or more than one row matches
+   */
+  async resolve() {
+    await this.root.first().waitFor({ state: 'attached', timeout: LOOKUP_TIMEOUT }).catch(() => {});
+
+    const matches = await this.root.count();
+    if (matches === 0) {
+      throw new Error(`No task row ${this.description}`);
+    }
+    if (matches > 1) {
+      throw new Error(`Expected one task row ${this.description} but found ${matches}`);
+    }
+
+    const handle = await this.root.elementHandle();
+    const index = await this.rows.evaluateAll((rows, row) => rows.indexOf(row), handle);
+    await handle.dispose();
+    return this.rows.nth(index);
+  }
+
+  /**
+   * Get a part of the row, e.g. its checkbox
+   * @param {string} name - The key of the part in the locators object
+   * @returns {Promise<Locator>} The part, scoped to this row
+   */
+  async part(name) {
+    return resolveLocator(await this.resolve(), this.locators[name]);
+  }
+
+  /**
+   * Check if the row also matches another row-level locator, e.g. selectedTaskItem
+   * @param {string} name - The key of the row-level locator in the locators object
+   * @returns {Promise<boolean>} Whether the row matches it
+   */
+  async matches(name) {
+    const row = await this.resolve();
+    return (await row.and(resolveLocator(row.page(), this.locators[name])).count()) === 1;
+  }
+
+  /**
+   * Get the task's text
+   * @returns {Promise<string>} The task text
+   */
+  async text() {
+    return await (await this.part('taskText')).textContent();
+  }
+
+  /**
+   * Toggle the task's own completion checkbox
+   */
+  async toggle() {
+    await (await this.part('taskCheckbox')).click();
+  }
+
+  /**
+   * Delete the task with its Delete button
+   */
+  async delete() {
+    await (await this.part('deleteButton')).click();
+  }
+
+  /**
+   * Open the inline editor by double-clicking the task's text
+   */
+  async startEditing() {
+    await (await this.part('taskText')).dblclick();
+  }
+
+  /**
+   * Open the inline editor with the task's Edit button
+   */
+  async clickEdit() {
+    await (await this.part('editButton')).click();
+  }
+
+  /**
+   * Edit the task's text and save it with Enter
+   * @param {string} newText - The new task text
+   */
+  async edit(newText) {
+    const row = await this.resolve();
+    await resolveLocator(row, this.locators.taskText).dblclick();
+    await resolveLocator(row, this.locators.editInput).fill(newText);
+    await resolveLocator(row, this.locators.editInput).press('Enter');
+  }
+
+  /**
+   * Edit the task's text and save it by moving focus away
+   * @param {string} newText - The new task text
+   */
+  async editWithBlur(newText) {
+    const row = await this.resolve();
+    await resolveLocator(row, this.locators.taskText).dblclick();
+    await resolveLocator(row, this.locators.editInput).fill(newText);
+    await resolveLocator(row, this.locators.editInput).blur();
+  }
+
+  /**
+   * Type a draft into the task's editor, then cancel it with Escape
+   * @param {string} draft - The text to type before cancelling
+   */
+  async cancelEdit(draft) {
+    const row = await this.resolve();
+    await resolveLocator(row, this.locators.taskText).dblclick();
+    await resolveLocator(row, this.locators.editInput).fill(draft);
+    await resolveLocator(row, this.locators.editInput).press('Escape');
+  }
+
+  /**
+   * Check if the task's inline editor is open
+   * @returns {Promise<boolean>} Whether the row is being edited
+   */
+  async isEditing() {
+    return await (await this.part('editInput')).isVisible();
+  }
+
+  /**
+   * Check if the task's inline editor has focus
+   * @returns {Promise<boolean>} Whether the editor is focused
+   */
+  async isEditorFocused() {
+    return await (await this.part('editInput')).evaluate(el => el === document.activeElement);
+  }
+
+  /**
+   * Get the current value of the task's open inline editor
+   * @returns {Promise<string>} The editor value
+   */
+  async editorValue() {
+    return await (await this.part('editInput')).inputValue();
+  }
+
+  /**
+   * Get the Edit button's label
+   * @returns {Promise<string>} The button text
+   */
+  async editButtonText() {
+    return await (await this.part('editButton')).textContent();
+  }
+
+  /**
+   * Get the Delete button's label
+   * @returns {Promise<string>} The button text
+   */
+  async deleteButtonText() {
+    return await (await this.part('deleteButton')).textContent();
+  }
+
+  /**
+   * Get the Edit button's accessible name
+   * @returns {Promise<string>} The name, e.g. 'Edit "Learn React"'
+   */
+  async editButtonName() {
+    return await (await this.part('editButton')).getAttribute('aria-label');
+  }
+
+  /**
+   * Get the Delete button's accessible name
+   * @returns {Promise<string>} The name, e.g. 'Delete "Learn React"'
+   */
+  async deleteButtonName() {
+    return await (await this.part('deleteButton')).getAttribute('aria-label');
+  }
+
+  /**
+   * Check if the row itself has keyboard focus
+   * @returns {Promise<boolean>} Whether the row is focused
+   */
+  async isFocused() {
+    return await (await this.resolve()).evaluate(el => el === document.activeElement);
+  }
+
+  /**
+   * Check if the task is completed
+   * @returns {Promise<boolean>} Whether the task's checkbox is checked
+   */
+  async isCompleted() {
+    return await (await this.part('taskCheckbox')).isChecked();
+  }
+
+  /**
+   * Check if the task's text is rendered with a line-through
+   * @returns {Promise<boolean>} Whether the text is struck through
+   */
+  async isStruckThrough() {
+    return await (await this.part('taskText')).evaluate(
+      el => window.getComputedStyle(el).textDecorationLine.includes('line-through')
+    );
+  }
+
+  /**
+   * Check if the task is part of the multi-selection
+   * @returns {Promise<boolean>} Whether the row is selected
+   */
+  async isSelected() {
+    return await this.matches('selectedTaskItem');
+  }
+
+  /**
+   * Check if the task is highlighted as overdue
+   * @returns {Promise<boolean>} Whether the task is overdue
+   */
+  async isOverdue() {
+    return await this.matches('overdueTaskItem');
+  }
+
+  /**
+   * Get the task's tags as shown on its chips
+   * @returns {Promise<string[]>} The tag names without their leading '#'
+   */
+  async tags() {
+    const chips = await (await this.part('tagChip')).allTextContents();
+    return chips.map(chip => chip.replace(/^#/, ''));
+  }
+
+  /**
+   * Get the task's due date
+   * @returns {Promise<string|null>} The due date as 'YYYY-MM-DD', or null if it has none
+   */
+  async dueDate() {
+    const dueDate = await this.part('dueDate');
+    return (await dueDate.count()) === 0 ? null : await dueDate.getAttribute('datetime');
+  }
+
+  /**
+   * Get the task's priority badge label
+   * @returns {Promise<string|null>} The priority label, or null if it has none
+   */
+  async priority() {
+    const badge = await this.part('priorityBadge');
+    return (await badge.count()) === 0 ? null : await badge.textContent();
+  }
+
+  /**
+   * Check if the subtask checklist is open
+   * @returns {Promise<boolean>} Whether the subtasks are expanded
+   */
+  async isExpanded() {
+    return (await (await this.part('subtasksToggle')).getAttribute('aria-expanded')) === 'true';
+  }
+
+  /**
+   * Open the subtask checklist (no-op if it is already open)
+   */
+  async expandSubtasks() {
+    if (!(await this.isExpanded())) {
+      await (await this.part('subtasksToggle')).click();
+    }
+  }
+
+  /**
+   * Close the subtask checklist (no-op if it is already closed)
+   */
+  async collapseSubtasks() {
+    if (await this.isExpanded()) {
+      await (await this.part('subtasksToggle')).click();
+    }
+  }
+
+  /**
+   * Check if the new-subtask input is visible
+   * @returns {Promise<boolean>} Whether subtasks can be added right now
+   */
+  async isSubtaskInputVisible() {
+    return await (await this.part('subtaskInput')).isVisible();
+  }
+
+  /**
+   * Add a subtask by clicking Add, opening the checklist first if needed
+   * @param {string} text - The subtask text
+   */
+  async addSubtask(text) {
+    await this.expandSubtasks();
+    const row = await this.resolve();
+    await resolveLocator(row, this.locators.subtaskInput).fill(text);
+    await resolveLocator(row, this.locators.addSubtaskButton).click();
+  }
+
+  /**
+   * Add a subtask by pressing Enter, opening the checklist first if needed
+   * @param {string} text - The subtask text
+   */
+  async addSubtaskByEnter(text) {
+    await this.expandSubtasks();
+    const input = await this.part('subtaskInput');
+    await input.fill(text);
+    await input.press('Enter');
+  }
+
+  /**
+   * Add several subtasks in order
+   * @param {string[]} texts - The subtask texts
+   */
+  async addSubtasks(texts) {
+    for (const text of texts) {
+      await this.addSubtask(text);
+    }
+  }
+
+  /**
+   * Get the value left in the new-subtask input
+   * @returns {Promise<string>} The input value
+   */
+  async getSubtaskInputValue() {
+    return await (await this.part('subtaskInput')).inputValue();
+  }
+
+  /**
+   * Toggle a subtask's checkbox
+   * @param {number} index - The index of the subtask
+   */
+  async toggleSubtask(index) {
+    await (await this.part('subtaskCheckbox')).nth(index).click();
+  }
+
+  /**
+   * Delete a subtask
+   * @param {number} index - The index of the subtask
+   */
+  async deleteSubtask(index) {
+    await (await this.part('deleteSubtaskButton')).nth(index).click();
+  }
+
+  /**
+   * Get the texts of the task's subtasks (the checklist must be open)
+   * @returns {Promise<string[]>} The subtask texts in order
+   */
+  async getSubtaskTexts() {
+    return await (await this.part('subtaskText')).allTextContents();
+  }
+
+  /**
+   * Check if a subtask is completed
+   * @param {number} index - The index of the subtask
+   * @returns {Promise<boolean>} Whether the subtask's checkbox is checked
+   */
+  async isSubtaskCompleted(index) {
+    return await (await this.part('subtaskCheckbox')).nth(index).isChecked();
+  }
+
+  /**
+   * Get the progress indicator text, e.g. '2/5'
+   * @returns {Promise<string|null>} The progress, or null if the task has no subtasks
+   */
+  async getProgressText() {
+    const progress = await this.part('subtaskProgress');
+    return (await progress.count()) === 0 ? null : await progress.textContent();
+  }
+}
+
+module.exports = TaskRow;
@@ -3,192 +3,1237 @@
  * Contains all locators and page-level interactions for the Todo app
  */
 
+const fs = require('fs');
+const path = require('path');
+const TaskRow = require('./TaskRow');
+const { resolveLocator, validateLocators } = require('./locatorStrategy');
+
+// Query string parameter the app mirrors the search box into
+const SEARCH_PARAM = 'q';
+
+// Path the page requests useStableFonts() files from; never reaches the server
+const FONT_ROUTE = '/__visual-fonts';
+
+// Matches a whole string literally, for exact-text lookups
+const exactText = text => new RegExp(`^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+
 class TodoPage {
   /**
    * Constructor with page object and locator initialization
    * @param {Page} page - Playwright page object
    * @param {Object} locators - Object containing all UI locators
    */
-  constructor(page, locators) {
-    this.page = page;
+  constructor(page, locators) {
+    this.page = page;
+    // Kept for the component objects built per row (see task)
+    this.locators = locators;
+
+    // Initialize all locators from the locators object; each definition may
+    // be CSS, role, label, test id or text (see locatorStrategy)
+    const find = name => resolveLocator(page, locators[name]);
+    this.container = find('container');
+    this.loadedContainer = find('loadedContainer');
+    this.idleContainer = find('idleContainer');
+    this.loadingMessage = find('loadingMessage');
+    this.errorBanner = find('errorBanner');
+    this.errorBannerMessage = find('errorBannerMessage');
+    this.retryButton = find('retryButton');
+    this.dismissErrorButton = find('dismissErrorButton');
+    this.syncStatus = find('syncStatus');
+    this.outboxStatus = find('outboxStatus');
+    this.liveAnnouncer = find('liveAnnouncer');
+    this.heading = find('heading');
+    this.themeToggle = find('themeToggle');
+    this.shortcutHelpButton = find('shortcutHelpButton');
+    this.shortcutHelp = find('shortcutHelp');
+    this.shortcutKey = find('shortcutKey');
+    this.shortcutDescription = find('shortcutDescription');
+    this.shortcutHelpCloseButton = find('shortcutHelpCloseButton');
+    this.taskInput = find('taskInput');
+    this.addButton = find('addButton');
+    this.taskInputError = find('taskInputError');
+    this.charCount = find('charCount');
+    this.charCountOverLimit = find('charCountOverLimit');
+    this.dueDateInput = find('dueDateInput');
+    this.prioritySelect = find('prioritySelect');
+    this.sortSelect = find('sortSelect');
+    this.taskList = find('taskList');
+    this.taskItem = find('taskItem');
+    this.taskText = find('taskText');
+    this.taskCheckbox = find('taskCheckbox');
+    this.deleteButton = find('deleteButton');
+    this.editButton = find('editButton');
+    this.editInput = find('editInput');
+    this.editDueDateInput = find('editDueDateInput');
+    this.editPrioritySelect = find('editPrioritySelect');
+    this.editConflict = find('editConflict');
+    this.dueDate = find('dueDate');
+    this.priorityBadge = find('priorityBadge');
+    this.overdueTaskItem = find('overdueTaskItem');
+    this.moveTaskSelect = find('moveTaskSelect');
+    this.tagChip = find('tagChip');
+    this.tagFilter = find('tagFilter');
+    this.tagFilterName = find('tagFilterName');
+    this.clearTagFilterButton = find('clearTagFilterButton');
+    this.statsTag = find('statsTag');
+    this.searchInput = find('searchInput');
+    this.searchHighlight = find('searchHighlight');
+    this.searchEmptyMessage = find('searchEmptyMessage');
+    this.exportFormatSelect = find('exportFormatSelect');
+    this.exportButton = find('exportButton');
+    this.importButton = find('importButton');
+    this.importFileInput = find('importFileInput');
+    this.importDropZone = find('importDropZone');
+    this.importPreview = find('importPreview');
+    this.importPreviewText = find('importPreviewText');
+    this.importDuplicateBadge = find('importDuplicateBadge');
+    this.importModeLabel = find('importModeLabel');
+    this.importSummary = find('importSummary');
+    this.importApplyButton = find('importApplyButton');
+    this.importCancelButton = find('importCancelButton');
+    this.toggleAllCheckbox = find('toggleAll');
+    this.toggleAllLabel = find('toggleAllLabel');
+    this.clearCompletedButton = find('clearCompletedButton');
+    this.bulkBar = find('bulkBar');
+    this.bulkCount = find('bulkCount');
+    this.bulkDeleteButton = find('bulkDeleteButton');
+    this.bulkClearButton = find('bulkClearButton');
+    this.selectedTaskItem = find('selectedTaskItem');
+    this.filterLink = find('filterLink');
+    this.selectedFilter = find('selectedFilter');
+    this.filterEmptyMessage = find('filterEmptyMessage');
+    this.undoToast = find('undoToast');
+    this.undoToastMessage = find('undoToastMessage');
+    this.undoButton = find('undoButton');
+    this.stats = find('stats');
+    this.statsTotal = find('statsTotal');
+    this.statsActive = find('statsActive');
+    this.statsCompleted = find('statsCompleted');
+    this.emptyMessage = find('emptyMessage');
+  }
+
+  /**
+   * Navigate to the todo app page
+   * @param {string} route - Optional route to open, e.g. '/#/active' (defaults to '/')
+   */
+  async goto(route = '/') {
+    await this.navigate(route);
+    await this.waitForLoaded();
+  }
+
+  /**
+   * Navigate without waiting for the tasks to load
+   * Lets specs observe the loading state.
+   * @param {string} route - Optional route to open (defaults to '/')
+   */
+  async navigate(route = '/') {
+    await this.page.goto(route);
+  }
+
+  /**
+   * Wait until the app has finished its initial load from the server
+   * (successfully or by falling back to the cached tasks)
+   */
+  async waitForLoaded() {
+    await this.loadedContainer.waitFor({ state: 'visible' });
+  }
+
+  /**
+   * Check that the required locators in this page's selector map find something
+   * Call once the app has loaded, so a broken map fails before any test step.
+   * @param {string[]} requiredNames - Keys of the selector map that must resolve
+   * @throws {Error} Listing every required locator that resolves to nothing
+   */
+  async validateLocators(requiredNames) {
+    await validateLocators(this.page, this.locators, requiredNames);
+  }
+
+  /**
+   * Wait until no change is still being sent to the server
+   */
+  async waitForSyncIdle() {
+    await this.idleContainer.waitFor({ state: 'visible' });
+  }
+
+  /**
+   * Navigate back in browser history
+   */
+  async goBack() {
+    await this.page.goBack();
+  }
+
+  /**
+   * Navigate forward in browser history
+   */
+  async goForward() {
+    await this.page.goForward();
+  }
+
+  /**
+   * Install Playwright's fake clock so timers can be fast-forwarded
+   */
+  async installClock() {
+    await this.page.clock.install();
+  }
+
+  /**
+   * Advance the fake clock installed by installClock()
+   * @param {number} milliseconds - How far to move the clock
+   */
+  async fastForwardClock(milliseconds) {
+    await this.page.clock.fastForward(milliseconds);
+  }
+
+  /**
+   * Pause the fake clock installed by installClock()
+   * The clock cannot move backwards, so it pauses a second ahead of the
+   * page's current time; timers then only run when it is fast-forwarded.
+   */
+  async pauseClock() {
+    const now = await this.page.evaluate(() => Date.now());
+    await this.page.clock.pauseAt(now + 1000);
+  }
+
+  /**
+   * Get the current location hash
+   * @returns {Promise<string>} The hash, e.g. '#/active'
+   */
+  async getCurrentHash() {
+    return await this.page.evaluate(() => window.location.hash);
+  }
+
+  /**
+   * Reload the current page
+   */
+  async reload() {
+    await this.page.reload();
+    await this.waitForLoaded();
+  }
+
+  /**
+   * Replace the server-side task list for this browser context
+   * Uses the context's request client, so the session cookie it receives is
+   * shared with the page. Call before goto() to start a test from known data.
+   * @param {string} apiPath - The tasks collection path, e.g. '/api/tasks'
+   * @param {Object[]} tasks - The tasks the server should hold
+   */
+  async seedServerTasks(apiPath, tasks) {
+    const response = await this.page.request.put(apiPath, { data: { tasks } });
+    if (!response.ok()) {
+      throw new Error(`Seeding ${apiPath} failed with status ${response.status()}: ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Get the server-side task list for this browser context
+   * Waits for pending changes to reach the server first.
+   * @param {string} apiPath - The tasks collection path, e.g. '/api/tasks'
+   * @returns {Promise<Object[]>} The tasks stored on the server
+   */
+  async getServerTasks(apiPath) {
+    await this.waitForSyncIdle();
+    const response = await this.page.request.get(apiPath);
+    if (!response.ok()) {
+      throw new Error(`Reading ${apiPath} failed with status ${response.status()}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Make every browser request matching a URL pattern fail at the network level
+   * @param {string} urlPattern - Glob for the API URLs (see testData.api.routePattern)
+   */
+  async blockApi(urlPattern) {
+    await this.page.route(urlPattern, route => route.abort());
+  }
+
+  /**
+   * Answer every non-GET browser request matching a URL pattern with an error status
+   * @param {string} urlPattern - Glob for the API URLs
+   * @param {number} status - The HTTP status to respond with
+   */
+  async failApiWrites(urlPattern, status) {
+    await this.page.route(urlPattern, (route) => {
+      if (route.request().method() === 'GET') {
+        return route.continue();
+      }
+      return route.fulfill({ status, contentType: 'application/json', body: '{}' });
+    });
+  }
+
+  /**
+   * Remove routes added by blockApi() or failApiWrites()
+   * @param {string} urlPattern - The same glob passed when routing
+   */
+  async restoreApi(urlPattern) {
+    await this.page.unroute(urlPattern);
+  }
+
+  /**
+   * Take the whole browser context offline
+   * Unlike blockApi(), the page sees it: navigator.onLine turns false and the
+   * app queues changes instead of reporting them as failed.
+   */
+  async goOffline() {
+    await this.page.context().setOffline(true);
+  }
+
+  /**
+   * Bring the browser context back online after goOffline()
+   */
+  async goOnline() {
+    await this.page.context().setOffline(false);
+  }
+
+  /**
+   * Wait until the app's service worker is active
+   * By then it has cached the app shell, so the page can be reloaded offline.
+   * Needs a project or describe block that allows service workers.
+   */
+  async waitForServiceWorker() {
+    await this.page.evaluate(async () => {
+      await navigator.serviceWorker.ready;
+    });
+  }
+
+  /**
+   * Check whether a service worker controls the page
+   * @returns {Promise<boolean>} Whether requests from the page go through a worker
+   */
+  async isControlledByServiceWorker() {
+    return await this.page.evaluate(() => navigator.serviceWorker.controller !== null);
+  }
+
+  /**
+   * Get the web manifest the page links to
+   * @returns {Promise<{url: string, manifest: Object}>} The linked path and the parsed manifest
+   */
+  async getManifest() {
+    const url = await this.page.locator('link[rel="manifest"]').getAttribute('href');
+    const response = await this.page.request.get(url);
+    if (!response.ok()) {
+      throw new Error(`Reading ${url} failed with status ${response.status()}`);
+    }
+    return { url, manifest: await response.json() };
+  }
+
+  /**
+   * Seed a localStorage entry before the app loads
+   * Must be called before goto(). The value is written once per browser tab so
+   * a later reload() sees whatever the app saved, not the seed again.
+   * @param {string} storageKey - The localStorage key to write
+   * @param {*} value - A string is written verbatim, anything else is JSON-serialized, null removes the key
+   */
+  async seedStorage(storageKey, value) {
+    const data = value === null || typeof value === 'string' ? value : JSON.stringify(value);
+    await this.page.addInitScript(({ key, data }) => {
+      const marker = `__seeded__:${key}`;
+      if (window.sessionStorage.getItem(marker)) return;
+      window.sessionStorage.setItem(marker, 'true');
+
+      if (data === null) {
+        window.localStorage.removeItem(key);
+      } else {
+        window.localStorage.setItem(key, data);
+      }
+    }, { key: storageKey, data });
+  }
+
+  /**
+   * Take BroadcastChannel away before the app loads
+   * Must be called before goto(). Tabs then sync through storage events.
+   */
+  async disableBroadcastChannel() {
+    await this.page.addInitScript(() => {
+      delete window.BroadcastChannel;
+    });
+  }
+
+  /**
+   * Remove a localStorage entry before the app loads
+   * Must be called before goto().
+   * @param {string} storageKey - The localStorage key to remove
+   */
+  async clearStorage(storageKey) {
+    await this.seedStorage(storageKey, null);
+  }
+
+  /**
+   * Get the parsed value currently stored under a localStorage key
+   * @param {string} storageKey - The localStorage key to read
+   * @returns {Promise<*>} The parsed value, or null if the key is missing
+   */
+  async getStoredValue(storageKey) {
+    const raw = await this.page.evaluate((key) => window.localStorage.getItem(key), storageKey);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Get the page heading text
+   * @returns {Promise<string>} The heading text
+   */
+  async getHeadingText() {
+    return await this.heading.textContent();
+  }
+
+  /**
+   * Emulate the system colour scheme, as prefers-color-scheme reports it
+   * @param {string} colorScheme - 'light', 'dark' or 'no-preference'
+   */
+  async emulateColorScheme(colorScheme) {
+    await this.page.emulateMedia({ colorScheme });
+  }
+
+  /**
+   * Choose a theme with the toggle next to the heading
+   * @param {string} label - The theme's button label, e.g. 'Dark'
+   */
+  async chooseTheme(label) {
+    await this.themeToggle.getByRole('button', { name: label, exact: true }).click();
+    // Text takes the new colours at once but backgrounds fade into them, so
+    // wait for the fades before anything measures contrast
+    await this.page.waitForFunction(() =>
+      document.getAnimations().every(animation => !(animation instanceof CSSTransition))
+    );
+  }
+
+  /**
+   * Get the theme applied to the page
+   * @returns {Promise<string>} The root element's data-theme, e.g. 'high-contrast'
+   */
+  async getActiveTheme() {
+    return await this.page.evaluate(() => document.documentElement.dataset.theme);
+  }
+
+  /**
+   * Get the label of the theme button shown as pressed
+   * @returns {Promise<string>} The label, e.g. 'Light'
+   */
+  async getPressedThemeLabel() {
+    return await this.themeToggle.getByRole('button', { pressed: true }).textContent();
+  }
+
+  /**
+   * Get the colours the active theme gives the app container
+   * @returns {Promise<{background: string, text: string}>} Computed colours, e.g. 'rgb(255, 255, 255)'
+   */
+  async getThemeColors() {
+    const background = await this.container.evaluate(el => window.getComputedStyle(el).backgroundColor);
+    const text = await this.heading.evaluate(el => window.getComputedStyle(el).color);
+    return { background, text };
+  }
+
+  /**
+   * Get the count of task items
+   * @returns {Promise<number>} The number of task items
+   */
+  async getTaskCount() {
+    return await this.taskItem.count();
+  }
+
+  /**
+   * Get a component object scoped to one task row
+   * A string finds the row whose text is exactly that string; its methods
+   * throw if no row or several rows have it.
+   * @param {string|number} textOrIndex - The task's exact text, or its index
+   * @returns {TaskRow} The task's component object
+   */
+  task(textOrIndex) {
+    if (typeof textOrIndex === 'number') {
+      return new TaskRow(this.taskItem.nth(textOrIndex), this.taskItem, this.locators, `at index ${textOrIndex}`);
+    }
+
+    const text = this.taskText.filter({ hasText: exactText(textOrIndex) });
+    return new TaskRow(
+      this.taskItem.filter({ has: text }),
+      this.taskItem,
+      this.locators,
+      `with the text "${textOrIndex}"`
+    );
+  }
+
+  /**
+   * Get text of a specific task by index
+   * @param {number} index - The index of the task
+   * @returns {Promise<string>} The task text
+   */
+  async getTaskTextByIndex(index) {
+    return await this.taskText.nth(index).textContent();
+  }
+
+  /**
+   * Get all task texts
+   * @returns {Promise<string[]>} Array of task texts
+   */
+  async getAllTaskTexts() {
+    const count = await this.taskText.count();
+    const texts = [];
+    for (let i = 0; i < count; i++) {
+      texts.push(await this.taskText.nth(i).textContent());
+    }
+    return texts;
+  }
+
+  /**
+   * Get the stats text
+   * @returns {Promise<string>} The stats text
+   */
+  async getStatsText() {
+    return await this.stats.textContent();
+  }
+
+  /**
+   * Get the total task count shown in the stats
+   * @returns {Promise<number>} The total count
+   */
+  async getTotalCount() {
+    return await this.parseCount(this.statsTotal);
+  }
+
+  /**
+   * Get the active task count shown in the stats
+   * @returns {Promise<number>} The active count
+   */
+  async getActiveCount() {
+    return await this.parseCount(this.statsActive);
+  }
+
+  /**
+   * Get the completed task count shown in the stats
+   * @returns {Promise<number>} The completed count
+   */
+  async getCompletedCount() {
+    return await this.parseCount(this.statsCompleted);
+  }
+
+  /**
+   * Get all stats counters at once
+   * @returns {Promise<{total: number, active: number, completed: number}>} The counters
+   */
+  async getStatsCounts() {
+    return {
+      total: await this.getTotalCount(),
+      active: await this.getActiveCount(),
+      completed: await this.getCompletedCount()
+    };
+  }
+
+  /**
+   * Parse the first number out of a locator's text
+   * @param {Object} locator - The locator holding a counter label
+   * @returns {Promise<number>} The parsed number
+   */
+  async parseCount(locator) {
+    const text = await locator.textContent();
+    const match = text.match(/\d+/);
+    if (!match) {
+      throw new Error(`No count found in stats text "${text}"`);
+    }
+    return Number(match[0]);
+  }
+
+  /**
+   * Get the loading message text
+   * @returns {Promise<string>} The loading message
+   */
+  async getLoadingMessageText() {
+    return await this.loadingMessage.textContent();
+  }
+
+  /**
+   * Check if the loading message is visible
+   * @returns {Promise<boolean>} Whether the loading message is visible
+   */
+  async isLoadingMessageVisible() {
+    return await this.loadingMessage.isVisible();
+  }
+
+  /**
+   * Wait for the loading message to appear
+   */
+  async waitForLoadingMessage() {
+    await this.loadingMessage.waitFor({ state: 'visible' });
+  }
+
+  /**
+   * Get the "saving" indicator text
+   * @returns {Promise<string>} The sync status text
+   */
+  async getSyncStatusText() {
+    return await this.syncStatus.textContent();
+  }
+
+  /**
+   * Check if the "saving" indicator is visible
+   * @returns {Promise<boolean>} Whether the indicator is visible
+   */
+  async isSyncStatusVisible() {
+    return await this.syncStatus.isVisible();
+  }
+
+  /**
+   * Get the offline indicator text
+   * @returns {Promise<string>} The outbox status, e.g. how many changes are waiting
+   */
+  async getOutboxStatusText() {
+    return await this.outboxStatus.textContent();
+  }
+
+  /**
+   * Check if the offline indicator is visible
+   * @returns {Promise<boolean>} Whether the browser is offline or still sending queued changes
+   */
+  async isOutboxStatusVisible() {
+    return await this.outboxStatus.isVisible();
+  }
+
+  /**
+   * Check if the task input is enabled
+   * @returns {Promise<boolean>} Whether the input accepts text
+   */
+  async isInputEnabled() {
+    return await this.taskInput.isEnabled();
+  }
+
+  /**
+   * Get the inline message explaining why the last add was refused
+   * @returns {Promise<string>} The message
+   */
+  async getInputErrorText() {
+    return await this.taskInputError.textContent();
+  }
+
+  /**
+   * Check if an inline validation message is shown under the input
+   * @returns {Promise<boolean>} Whether the message is visible
+   */
+  async isInputErrorVisible() {
+    return await this.taskInputError.isVisible();
+  }
+
+  /**
+   * Check if the input is marked invalid for assistive technology
+   * @returns {Promise<boolean>} Whether aria-invalid is true
+   */
+  async isInputInvalid() {
+    return (await this.taskInput.getAttribute('aria-invalid')) === 'true';
+  }
+
+  /**
+   * Get the character counter under the input, e.g. "9/200 characters"
+   * @returns {Promise<string>} The counter text
+   */
+  async getCharacterCountText() {
+    return await this.charCount.textContent();
+  }
+
+  /**
+   * Check if the character counter shows the text is over the limit
+   * @returns {Promise<boolean>} Whether the counter is flagged
+   */
+  async isCharacterCountOverLimit() {
+    return await this.charCountOverLimit.isVisible();
+  }
+
+  /**
+   * Get the error banner message
+   * @returns {Promise<string>} The banner message
+   */
+  async getErrorBannerText() {
+    return await this.errorBannerMessage.textContent();
+  }
+
+  /**
+   * Check if the error banner is visible
+   * @returns {Promise<boolean>} Whether the banner is visible
+   */
+  async isErrorBannerVisible() {
+    return await this.errorBanner.isVisible();
+  }
+
+  /**
+   * Check if the error banner offers a Retry button
+   * @returns {Promise<boolean>} Whether the Retry button is visible
+   */
+  async isRetryButtonVisible() {
+    return await this.retryButton.isVisible();
+  }
+
+  /**
+   * Retry loading tasks from the error banner and wait for the result
+   */
+  async clickRetry() {
+    await this.retryButton.click();
+    await this.waitForLoaded();
+  }
+
+  /**
+   * Dismiss the error banner
+   */
+  async dismissError() {
+    await this.dismissErrorButton.click();
+  }
+
+  /**
+   * Get the input field value
+   * @returns {Promise<string>} The input field value
+   */
+  async getInputValue() {
+    return await this.taskInput.inputValue();
+  }
+
+  /**
+   * Get the input field placeholder
+   * @returns {Promise<string>} The placeholder text
+   */
+  async getInputPlaceholder() {
+    return await this.taskInput.getAttribute('placeholder');
+  }
+
+  /**
+   * Get the add button text
+   * @returns {Promise<string>} The button text
+   */
+  async getAddButtonText() {
+    return await this.addButton.textContent();
+  }
+
+  /**
+   * Get the count of delete buttons
+   * @returns {Promise<number>} The number of delete buttons
+   */
+  async getDeleteButtonCount() {
+    return await this.deleteButton.count();
+  }
+
+  /**
+   * Get the empty state message text
+   * @returns {Promise<string>} The empty state message
+   */
+  async getEmptyMessageText() {
+    return await this.emptyMessage.textContent();
+  }
+
+  /**
+   * Fill the input field with text
+   * @param {string} text - The text to enter
+   */
+  async fillTaskInput(text) {
+    await this.taskInput.fill(text);
+  }
+
+  /**
+   * Type text into the input field character by character
+   * @param {string} text - The text to type
+   */
+  async typeTaskInput(text) {
+    await this.taskInput.type(text);
+  }
+
+  /**
+   * Clear the input field
+   */
+  async clearTaskInput() {
+    await this.taskInput.clear();
+  }
+
+  /**
+   * Press a key in the input field
+   * @param {string} key - The key to press (e.g., 'Enter')
+   */
+  async pressKeyInInput(key) {
+    await this.taskInput.press(key);
+  }
+
+  /**
+   * Add a task by filling input and clicking the add button
+   * @param {string} taskText - The task text to add
+   */
+  async addTaskByButton(taskText) {
+    await this.fillTaskInput(taskText);
+    await this.addButton.click();
+  }
+
+  /**
+   * Add a task by filling input and pressing Enter
+   * @param {string} taskText - The task text to add
+   */
+  async addTaskByEnter(taskText) {
+    await this.fillTaskInput(taskText);
+    await this.pressKeyInInput('Enter');
+  }
+
+  /**
+   * Click the add button
+   */
+  async clickAddButton() {
+    await this.addButton.click();
+  }
+
+  /**
+   * Delete a task by index
+   * @param {number} index - The index of the task to delete
+   */
+  async deleteTaskByIndex(index) {
+    await this.deleteButton.nth(index).click();
+  }
+
+  /**
+   * Toggle the completion checkbox of a task by index
+   * @param {number} index - The index of the task to toggle
+   */
+  async toggleTaskByIndex(index) {
+    await this.taskCheckbox.nth(index).click();
+  }
+
+  /**
+   * Check if a task is marked as completed
+   * @param {number} index - The index of the task
+   * @returns {Promise<boolean>} Whether the task is completed
+   */
+  async isTaskCompleted(index) {
+    return await this.taskCheckbox.nth(index).isChecked();
+  }
+
+  /**
+   * Open the inline editor of a task by double-clicking its text
+   * @param {number} index - The index of the task
+   */
+  async startEditingByIndex(index) {
+    await this.taskText.nth(index).dblclick();
+  }
+
+  /**
+   * Replace the text in the open inline editor
+   * @param {string} text - The text to enter
+   */
+  async fillEditInput(text) {
+    await this.editInput.fill(text);
+  }
+
+  /**
+   * Edit a task's text and save it with Enter
+   * @param {number} index - The index of the task
+   * @param {string} newText - The new task text
+   */
+  async editTaskByIndex(index, newText) {
+    await this.startEditingByIndex(index);
+    await this.fillEditInput(newText);
+    await this.editInput.press('Enter');
+  }
+
+  /**
+   * Get the current value of the open inline editor
+   * @returns {Promise<string>} The editor value
+   */
+  async getEditInputValue() {
+    return await this.editInput.inputValue();
+  }
+
+  /**
+   * Check if an inline editor is open
+   * @returns {Promise<boolean>} Whether the editor is visible
+   */
+  async isEditInputVisible() {
+    return await this.editInput.isVisible();
+  }
+
+  /**
+   * Get the notice an open editor shows when another tab changed its task
+   * @returns {Promise<string>} The notice text
+   */
+  async getEditConflictText() {
+    return await this.editConflict.textContent();
+  }
+
+  /**
+   * Check if the open editor warns that another tab changed its task
+   * @returns {Promise<boolean>} Whether the notice is visible
+   */
+  async isEditConflictVisible() {
+    return await this.editConflict.isVisible();
+  }
+
+  /**
+   * Add a task with an optional due date and priority
+   * @param {string} taskText - The task text to add
+   * @param {Object} details - Optional details
+   * @param {string} details.dueDate - Due date as 'YYYY-MM-DD'
+   * @param {string} details.priority - Priority label, e.g. 'High'
+   */
+  async addTaskWithDetails(taskText, { dueDate, priority } = {}) {
+    await this.fillTaskInput(taskText);
+    if (dueDate) await this.dueDateInput.fill(dueDate);
+    if (priority) await this.prioritySelect.selectOption({ label: priority });
+    await this.addButton.click();
+  }
+
+  /**
+   * Get the current values of the new-task detail inputs
+   * @returns {Promise<{dueDate: string, priority: string}>} The due date value and selected priority label
+   */
+  async getNewTaskDetails() {
+    return {
+      dueDate: await this.dueDateInput.inputValue(),
+      priority: await this.prioritySelect.locator('option:checked').textContent(),
+    };
+  }
+
+  /**
+   * Change a task's due date and/or priority through its inline editor
+   * @param {number} index - The index of the task
+   * @param {Object} details - The details to set
+   * @param {string} details.dueDate - Due date as 'YYYY-MM-DD', or '' to clear it
+   * @param {string} details.priority - Priority label, e.g. 'Low' or 'None'
+   */
+  async editTaskDetailsByIndex(index, { dueDate, priority } = {}) {
+    await this.startEditingByIndex(index);
+    if (dueDate !== undefined) await this.editDueDateInput.fill(dueDate);
+    if (priority !== undefined) await this.editPrioritySelect.selectOption({ label: priority });
+    await this.editInput.press('Enter');
+  }
+
+  /**
+   * Get a task's due date
+   * @param {number} index - The index of the task
+   * @returns {Promise<string|null>} The due date as 'YYYY-MM-DD', or null if it has none
+   */
+  async getTaskDueDate(index) {
+    const dueDate = this.taskItem.nth(index).locator(this.dueDate);
+    return (await dueDate.count()) === 0 ? null : await dueDate.getAttribute('datetime');
+  }
+
+  /**
+   * Get the due date text shown on a task, e.g. 'Due 2026-03-20'
+   * @param {number} index - The index of the task
+   * @returns {Promise<string>} The due date text
+   */
+  async getTaskDueDateText(index) {
+    return await this.taskItem.nth(index).locator(this.dueDate).textContent();
+  }
+
+  /**
+   * Get the priority badge label of a task
+   * @param {number} index - The index of the task
+   * @returns {Promise<string|null>} The priority label, or null if it has none
+   */
+  async getTaskPriority(index) {
+    const badge = this.taskItem.nth(index).locator(this.priorityBadge);
+    return (await badge.count()) === 0 ? null : await badge.textContent();
+  }
+
+  /**
+   * Check if a task is highlighted as overdue
+   * @param {number} index - The index of the task
+   * @returns {Promise<boolean>} Whether the task is overdue
+   */
+  async isTaskOverdue(index) {
+    return (await this.taskItem.nth(index).and(this.overdueTaskItem).count()) === 1;
+  }
+
+  /**
+   * Move a task to another named list
+   * @param {number} index - The index of the task
+   * @param {string} listName - The name of the list to move it to
+   */
+  async moveTaskToList(index, listName) {
+    await this.taskItem.nth(index).locator(this.moveTaskSelect).selectOption({ label: listName });
+  }
+
+  /**
+   * Get the lists a task can be moved to
+   * @param {number} index - The index of the task
+   * @returns {Promise<string[]>} The other lists' names, or [] when there is only one list
+   */
+  async getMoveTargets(index) {
+    const select = this.taskItem.nth(index).locator(this.moveTaskSelect);
+    if ((await select.count()) === 0) return [];
+    return await select.locator('option:not([disabled])').allTextContents();
+  }
+
+  /**
+   * Choose the list sort order
+   * @param {string} label - The sort option label, e.g. 'Due date'
+   */
+  async sortBy(label) {
+    await this.sortSelect.selectOption({ label });
+  }
+
+  /**
+   * Get the label of the selected sort order
+   * @returns {Promise<string>} The selected sort option label
+   */
+  async getSortLabel() {
+    return await this.sortSelect.locator('option:checked').textContent();
+  }
+
+  /**
+   * Get the labels of all sort options
+   * @returns {Promise<string[]>} The sort option labels in display order
+   */
+  async getSortOptions() {
+    return await this.sortSelect.locator('option').allTextContents();
+  }
+
+  /**
+   * Get the tags shown as chips on a task
+   * @param {number} index - The index of the task
+   * @returns {Promise<string[]>} The tag names without their leading '#'
+   */
+  async getTaskTags(index) {
+    const chips = await this.taskItem.nth(index).locator(this.tagChip).allTextContents();
+    return chips.map(chip => chip.replace(/^#/, ''));
+  }
+
+  /**
+   * Filter the list by a tag by clicking the first chip that shows it
+   * Clicking the chip of the active tag filter turns the filter off.
+   * @param {string} tag - The tag name without its leading '#'
+   */
+  async filterByTag(tag) {
+    const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    await this.tagChip.filter({ hasText: new RegExp(`^#${escaped}$`) }).first().click();
+  }
+
+  /**
+   * Get the tag the list is currently filtered by
+   * @returns {Promise<string|null>} The tag name without its leading '#', or null if no tag filter is active
+   */
+  async getActiveTagFilter() {
+    if (!(await this.tagFilter.isVisible())) return null;
+    return (await this.tagFilterName.textContent()).replace(/^#/, '');
+  }
+
+  /**
+   * Remove the active tag filter
+   */
+  async clearTagFilter() {
+    await this.clearTagFilterButton.click();
+  }
+
+  /**
+   * Get the per-tag task counts shown in the stats area
+   * @returns {Promise<Object<string, number>>} Counts keyed by tag name, e.g. { work: 2 }
+   */
+  async getTagCounts() {
+    const entries = await this.statsTag.allTextContents();
+    return Object.fromEntries(entries.map((entry) => {
+      const [, tag, count] = entry.match(/^#(.+): (\d+)$/);
+      return [tag, Number(count)];
+    }));
+  }
+
+  /**
+   * Search the list and wait until the debounced query has been applied
+   * @param {string} query - The search query; '' clears the search
+   */
+  async search(query) {
+    await this.searchInput.fill(query);
+    await this.page.waitForFunction(
+      ({ param, expected }) => (new URLSearchParams(window.location.search).get(param) || '') === expected,
+      { param: SEARCH_PARAM, expected: query.trim() }
+    );
+  }
+
+  /**
+   * Type into the search box without waiting for the debounce
+   * @param {string} query - The search query
+   */
+  async typeSearchQuery(query) {
+    await this.searchInput.fill(query);
+  }
 
-    // Initialize all locators from the locators object
-    this.container = page.locator(locators.container);
-    this.heading = page.locator(locators.heading);
-    this.taskInput = page.locator(locators.taskInput);
-    this.addButton = page.locator(locators.addButton);
-    this.taskList = page.locator(locators.taskList);
-    this.taskItem = page.locator(locators.taskItem);
-    this.taskText = page.locator(locators.taskText);
-    this.deleteButton = page.locator(locators.deleteButton);
-    this.stats = page.locator(locators.stats);
-    this.emptyMessage = page.locator(locators.emptyMessage);
+  /**
+   * Clear the search box and wait for the full list to return
+   */
+  async clearSearch() {
+    await this.search('');
   }
 
   /**
-   * Navigate to the todo app page
+   * Get the search box placeholder text
+   * @returns {Promise<string>} The placeholder
    */
-  async goto() {
-    await this.page.goto('/');
+  async getSearchPlaceholder() {
+    return await this.searchInput.getAttribute('placeholder');
   }
 
   /**
-   * Get the page heading text
-   * @returns {Promise<string>} The heading text
+   * Get the current value of the search box
+   * @returns {Promise<string>} The search box value
    */
-  async getHeadingText() {
-    return await this.heading.textContent();
+  async getSearchInputValue() {
+    return await this.searchInput.inputValue();
   }
 
   /**
-   * Get the count of task items
-   * @returns {Promise<number>} The number of task items
+   * Get the search query reflected in the URL
+   * @returns {Promise<string|null>} The query, or null if the URL has none
    */
-  async getTaskCount() {
-    return await this.taskItem.count();
+  async getSearchParam() {
+    return new URL(this.page.url()).searchParams.get(SEARCH_PARAM);
   }
 
   /**
-   * Get text of a specific task by index
+   * Get the highlighted search matches inside a task's text
    * @param {number} index - The index of the task
-   * @returns {Promise<string>} The task text
+   * @returns {Promise<string[]>} The highlighted segments in order
    */
-  async getTaskTextByIndex(index) {
-    return await this.taskText.nth(index).textContent();
+  async getHighlightedSegments(index) {
+    return await this.taskText.nth(index).locator(this.searchHighlight).allTextContents();
   }
 
   /**
-   * Get all task texts
-   * @returns {Promise<string[]>} Array of task texts
+   * Get the message shown when a search matches no tasks
+   * @returns {Promise<string>} The no-results message
    */
-  async getAllTaskTexts() {
-    const count = await this.taskText.count();
-    const texts = [];
-    for (let i = 0; i < count; i++) {
-      texts.push(await this.taskText.nth(i).textContent());
-    }
-    return texts;
+  async getSearchEmptyMessageText() {
+    return await this.searchEmptyMessage.textContent();
   }
 
   /**
-   * Get the stats text
-   * @returns {Promise<string>} The stats text
+   * Check if the search no-results message is visible
+   * @returns {Promise<boolean>} Whether the message is visible
    */
-  async getStatsText() {
-    return await this.stats.textContent();
+  async isSearchEmptyMessageVisible() {
+    return await this.searchEmptyMessage.isVisible();
   }
 
   /**
-   * Get the input field value
-   * @returns {Promise<string>} The input field value
+   * Export the task list and read back the downloaded file
+   * @param {string} formatLabel - The export format label, e.g. 'CSV'
+   * @returns {Promise<{fileName: string, content: string}>} The suggested file name and file contents
    */
-  async getInputValue() {
-    return await this.taskInput.inputValue();
+  async exportTasks(formatLabel) {
+    await this.exportFormatSelect.selectOption({ label: formatLabel });
+    const [download] = await Promise.all([
+      this.page.waitForEvent('download'),
+      this.exportButton.click()
+    ]);
+
+    return {
+      fileName: download.suggestedFilename(),
+      content: fs.readFileSync(await download.path(), 'utf8')
+    };
   }
 
   /**
-   * Get the input field placeholder
-   * @returns {Promise<string>} The placeholder text
+   * Choose a file to import and wait for its preview or error
+   * @param {string|Object} file - A file path, or { name, mimeType, buffer } for generated content
    */
-  async getInputPlaceholder() {
-    return await this.taskInput.getAttribute('placeholder');
+  async importFile(file) {
+    await this.importFileInput.setInputFiles(file);
+    await this.importPreview.or(this.errorBanner).waitFor({ state: 'visible' });
   }
 
   /**
-   * Get the add button text
-   * @returns {Promise<string>} The button text
+   * Drop a file onto the import drop zone and wait for its preview or error
+   * @param {string} filePath - Path of the file to drop
    */
-  async getAddButtonText() {
-    return await this.addButton.textContent();
+  async dropImportFile(filePath) {
+    const dataTransfer = await this.page.evaluateHandle(({ name, content }) => {
+      const transfer = new DataTransfer();
+      transfer.items.add(new File([content], name));
+      return transfer;
+    }, { name: path.basename(filePath), content: fs.readFileSync(filePath, 'utf8') });
+
+    await this.importDropZone.dispatchEvent('dragover', { dataTransfer });
+    await this.importDropZone.dispatchEvent('drop', { dataTransfer });
+    await this.importPreview.or(this.errorBanner).waitFor({ state: 'visible' });
   }
 
   /**
-   * Get the count of delete buttons
-   * @returns {Promise<number>} The number of delete buttons
+   * Check if the import preview is visible
+   * @returns {Promise<boolean>} Whether the preview is visible
    */
-  async getDeleteButtonCount() {
-    return await this.deleteButton.count();
+  async isImportPreviewVisible() {
+    return await this.importPreview.isVisible();
   }
 
   /**
-   * Get the delete button text by index
-   * @param {number} index - The index of the delete button
-   * @returns {Promise<string>} The button text
+   * Get the task texts listed in the import preview
+   * @returns {Promise<string[]>} The texts in file order
    */
-  async getDeleteButtonTextByIndex(index) {
-    return await this.deleteButton.nth(index).textContent();
+  async getImportPreviewTexts() {
+    return await this.importPreviewText.allTextContents();
   }
 
   /**
-   * Get the empty state message text
-   * @returns {Promise<string>} The empty state message
+   * Get how many previewed tasks are flagged as duplicates
+   * @returns {Promise<number>} The number of duplicate badges
    */
-  async getEmptyMessageText() {
-    return await this.emptyMessage.textContent();
+  async getImportDuplicateCount() {
+    return await this.importDuplicateBadge.count();
   }
 
   /**
-   * Fill the input field with text
-   * @param {string} text - The text to enter
+   * Get the preview's description of what the import will do
+   * @returns {Promise<string>} The summary text
    */
-  async fillTaskInput(text) {
-    await this.taskInput.fill(text);
+  async getImportSummaryText() {
+    return await this.importSummary.textContent();
   }
 
   /**
-   * Type text into the input field character by character
-   * @param {string} text - The text to type
+   * Choose how duplicates are handled
+   * @param {string} label - The mode label, e.g. 'Merge duplicates'
    */
-  async typeTaskInput(text) {
-    await this.taskInput.type(text);
+  async chooseImportMode(label) {
+    await this.importModeLabel.filter({ hasText: label }).click();
   }
 
   /**
-   * Clear the input field
+   * Apply the previewed import
    */
-  async clearTaskInput() {
-    await this.taskInput.clear();
+  async applyImport() {
+    await this.importApplyButton.click();
   }
 
   /**
-   * Press a key in the input field
-   * @param {string} key - The key to press (e.g., 'Enter')
+   * Discard the previewed import
    */
-  async pressKeyInInput(key) {
-    await this.taskInput.press(key);
+  async cancelImport() {
+    await this.importCancelButton.click();
   }
 
   /**
-   * Add a task by filling input and clicking the add button
-   * @param {string} taskText - The task text to add
+   * Click a filter control by its label
+   * @param {string} label - The filter label, e.g. 'Active'
    */
-  async addTaskByButton(taskText) {
-    await this.fillTaskInput(taskText);
-    await this.addButton.click();
+  async clickFilter(label) {
+    await this.filterLink.filter({ hasText: label }).click();
   }
 
   /**
-   * Add a task by filling input and pressing Enter
-   * @param {string} taskText - The task text to add
+   * Get the labels of all filter controls
+   * @returns {Promise<string[]>} The filter labels in display order
    */
-  async addTaskByEnter(taskText) {
-    await this.fillTaskInput(taskText);
-    await this.pressKeyInInput('Enter');
+  async getFilterLabels() {
+    return await this.filterLink.allTextContents();
   }
 
   /**
-   * Click the add button
+   * Get the label of the currently selected filter
+   * @returns {Promise<string>} The selected filter label
    */
-  async clickAddButton() {
-    await this.addButton.click();
+  async getSelectedFilterText() {
+    return await this.selectedFilter.textContent();
   }
 
   /**
-   * Delete a task by index
-   * @param {number} index - The index of the task to delete
+   * Get the message shown when a filter matches no tasks
+   * @returns {Promise<string>} The filter empty message
    */
-  async deleteTaskByIndex(index) {
-    await this.deleteButton.nth(index).click();
+  async getFilterEmptyMessageText() {
+    return await this.filterEmptyMessage.textContent();
+  }
+
+  /**
+   * Check if the filter empty message is visible
+   * @returns {Promise<boolean>} Whether the message is visible
+   */
+  async isFilterEmptyMessageVisible() {
+    return await this.filterEmptyMessage.isVisible();
   }
 
   /**
@@ -206,14 +1251,337 @@ class TodoPage {
   }
 
   /**
-   * Delete all tasks one by one
+   * Delete every visible task in one bulk operation
+   * Selects the first row, range-selects to the last and deletes the selection.
    */
   async deleteAllTasks() {
-    while (await this.deleteButton.count() > 0) {
-      await this.deleteButton.first().click();
+    const count = await this.taskItem.count();
+    if (count === 0) return;
+
+    await this.selectTaskByIndex(0);
+    if (count > 1) {
+      await this.rangeSelectTaskByIndex(count - 1);
+    }
+    await this.deleteSelectedTasks();
+  }
+
+  /**
+   * Toggle every task with the "Mark all complete" checkbox
+   */
+  async toggleAllTasks() {
+    await this.toggleAllCheckbox.click();
+  }
+
+  /**
+   * Check if the "Mark all complete" checkbox is checked
+   * @returns {Promise<boolean>} Whether every task is marked complete
+   */
+  async isToggleAllChecked() {
+    return await this.toggleAllCheckbox.isChecked();
+  }
+
+  /**
+   * Get the "Mark all complete" label text
+   * @returns {Promise<string>} The label text
+   */
+  async getToggleAllLabelText() {
+    return await this.toggleAllLabel.textContent();
+  }
+
+  /**
+   * Remove every completed task with the "Clear completed" button
+   */
+  async clearCompletedTasks() {
+    await this.clearCompletedButton.click();
+  }
+
+  /**
+   * Check if the "Clear completed" button is visible
+   * @returns {Promise<boolean>} Whether the button is visible
+   */
+  async isClearCompletedVisible() {
+    return await this.clearCompletedButton.isVisible();
+  }
+
+  /**
+   * Click a task's text without any modifier keys
+   * @param {number} index - The index of the task
+   */
+  async clickTaskTextByIndex(index) {
+    await this.taskText.nth(index).click();
+  }
+
+  /**
+   * Drag a task onto another task's position
+   * @param {number} fromIndex - The index of the task to drag
+   * @param {number} toIndex - The index of the task to drop onto
+   */
+  async dragTask(fromIndex, toIndex) {
+    await this.taskItem.nth(fromIndex).dragTo(this.taskItem.nth(toIndex));
+  }
+
+  /**
+   * Move a task with Alt+ArrowUp / Alt+ArrowDown
+   * The row keeps focus after each move, so repeated presses keep moving it.
+   * @param {number} index - The index of the task to move
+   * @param {'up'|'down'} direction - Which way to move the task
+   * @param {number} steps - How many positions to move it
+   */
+  async moveTaskWithKeyboard(index, direction, steps = 1) {
+    const key = direction === 'up' ? 'Alt+ArrowUp' : 'Alt+ArrowDown';
+    await this.taskItem.nth(index).focus();
+    for (let i = 0; i < steps; i++) {
+      await this.page.keyboard.press(key);
+    }
+  }
+
+  /**
+   * Check if a task row has keyboard focus
+   * @param {number} index - The index of the task
+   * @returns {Promise<boolean>} Whether the row is focused
+   */
+  async isTaskFocused(index) {
+    return await this.taskItem.nth(index).evaluate(el => el === document.activeElement);
+  }
+
+  /**
+   * Add or remove a task from the selection with Ctrl/Cmd-click
+   * @param {number} index - The index of the task
+   */
+  async selectTaskByIndex(index) {
+    await this.taskText.nth(index).click({ modifiers: ['ControlOrMeta'] });
+  }
+
+  /**
+   * Select every task from the last selected one to this one with Shift-click
+   * @param {number} index - The index of the task
+   */
+  async rangeSelectTaskByIndex(index) {
+    await this.taskText.nth(index).click({ modifiers: ['Shift'] });
+  }
+
+  /**
+   * Select several tasks with Ctrl/Cmd-click
+   * @param {number[]} indexes - The indexes of the tasks
+   */
+  async selectTasksByIndexes(indexes) {
+    for (const index of indexes) {
+      await this.selectTaskByIndex(index);
     }
   }
 
+  /**
+   * Get the number of selected task rows
+   * @returns {Promise<number>} The number of selected rows
+   */
+  async getSelectedTaskCount() {
+    return await this.selectedTaskItem.count();
+  }
+
+  /**
+   * Check if a task row is selected
+   * @param {number} index - The index of the task
+   * @returns {Promise<boolean>} Whether the row is selected
+   */
+  async isTaskSelected(index) {
+    return (await this.taskItem.nth(index).and(this.selectedTaskItem).count()) === 1;
+  }
+
+  /**
+   * Get the selection summary shown in the bulk action bar
+   * @returns {Promise<string>} The summary text, e.g. '2 selected'
+   */
+  async getBulkSelectionText() {
+    return await this.bulkCount.textContent();
+  }
+
+  /**
+   * Check if the bulk action bar is visible
+   * @returns {Promise<boolean>} Whether the bar is visible
+   */
+  async isBulkBarVisible() {
+    return await this.bulkBar.isVisible();
+  }
+
+  /**
+   * Delete the selected tasks from the bulk action bar
+   */
+  async deleteSelectedTasks() {
+    await this.bulkDeleteButton.click();
+  }
+
+  /**
+   * Clear the selection from the bulk action bar
+   */
+  async clearSelection() {
+    await this.bulkClearButton.click();
+  }
+
+  /**
+   * Undo the last command with Ctrl/Cmd+Z
+   * Focus is moved off text fields first so their native undo does not win.
+   */
+  async undo() {
+    await this.blurActiveElement();
+    await this.page.keyboard.press('ControlOrMeta+z');
+  }
+
+  /**
+   * Redo the last undone command with Ctrl/Cmd+Shift+Z
+   */
+  async redo() {
+    await this.blurActiveElement();
+    await this.page.keyboard.press('ControlOrMeta+Shift+z');
+  }
+
+  /**
+   * Press Ctrl/Cmd+Z while the task input has focus
+   */
+  async pressUndoInInput() {
+    await this.taskInput.press('ControlOrMeta+z');
+  }
+
+  /**
+   * Press a key, or key combination, on whatever has focus
+   * Shortcuts act on the focused task row and are ignored in text fields.
+   * @param {string} key - A Playwright key, e.g. 'j', 'Delete' or 'ControlOrMeta+z'
+   */
+  async pressShortcut(key) {
+    await this.page.keyboard.press(key);
+  }
+
+  /**
+   * Open the keyboard shortcut overlay with the header button
+   */
+  async clickShortcutHelpButton() {
+    await this.shortcutHelpButton.click();
+  }
+
+  /**
+   * Close the keyboard shortcut overlay with its Close button
+   */
+  async closeShortcutHelp() {
+    await this.shortcutHelpCloseButton.click();
+  }
+
+  /**
+   * Check if the keyboard shortcut overlay is open
+   * @returns {Promise<boolean>} Whether the overlay is visible
+   */
+  async isShortcutHelpVisible() {
+    return await this.shortcutHelp.isVisible();
+  }
+
+  /**
+   * Check if the overlay's Close button has focus
+   * @returns {Promise<boolean>} Whether focus is inside the open overlay
+   */
+  async isShortcutHelpCloseFocused() {
+    return await this.shortcutHelpCloseButton.evaluate(el => el === document.activeElement);
+  }
+
+  /**
+   * Get the bindings the keyboard shortcut overlay lists
+   * @returns {Promise<{key: string, description: string}[]>} Each key label and its description, in order
+   */
+  async getShortcutHelpEntries() {
+    await this.shortcutHelp.waitFor({ state: 'visible' });
+    const keys = await this.shortcutKey.allTextContents();
+    const descriptions = await this.shortcutDescription.allTextContents();
+    return keys.map((key, index) => ({ key, description: descriptions[index] }));
+  }
+
+  /**
+   * Click the Undo button in the toast shown after a delete
+   */
+  async clickUndoInToast() {
+    await this.undoButton.click();
+  }
+
+  /**
+   * Get the Undo toast message
+   * @returns {Promise<string>} The toast message
+   */
+  async getUndoToastText() {
+    return await this.undoToastMessage.textContent();
+  }
+
+  /**
+   * Get the Undo toast button text
+   * @returns {Promise<string>} The button text
+   */
+  async getUndoButtonText() {
+    return await this.undoButton.textContent();
+  }
+
+  /**
+   * Check if the Undo toast is visible
+   * @returns {Promise<boolean>} Whether the toast is visible
+   */
+  async isUndoToastVisible() {
+    return await this.undoToast.isVisible();
+  }
+
+  /**
+   * Wait for the Undo toast to disappear
+   */
+  async waitForUndoToastHidden() {
+    await this.undoToast.waitFor({ state: 'hidden' });
+  }
+
+  /**
+   * Render all text in fixed web fonts, for reproducible screenshots
+   * Each font's @fontsource stylesheet is added under the given family name,
+   * with its files served from node_modules, so no installed font is used.
+   * The override lasts until the next navigation or reload.
+   * @param {Object[]} fonts - { family, package, weights } for each font
+   * @param {string} fontStack - A CSS font-family list of those families
+   */
+  async useStableFonts(fonts, fontStack) {
+    const fontDirs = [];
+    const faces = fonts.flatMap(({ family, package: name, weights }, index) => weights.map((weight) => {
+      const stylesheet = require.resolve(`${name}/${weight}.css`);
+      fontDirs[index] = path.dirname(stylesheet);
+      // Only the WOFF files are used: the emoji font's WOFF2 files draw
+      // nothing in some Chromium builds
+      return fs.readFileSync(stylesheet, 'utf8')
+        .replace(/font-family: '[^']*'/g, `font-family: '${family}'`)
+        .replace(/url\([^)]*\.woff2\) format\('woff2'\), /g, '')
+        .replace(/url\(\.\//g, `url(${FONT_ROUTE}/${index}/`);
+    }));
+
+    await this.page.route(`**${FONT_ROUTE}/**`, (route) => {
+      const [, index, file] = new URL(route.request().url()).pathname
+        .slice(FONT_ROUTE.length)
+        .match(/^\/(\d+)\/(.+)$/);
+      return route.fulfill({ path: path.join(fontDirs[index], file) });
+    });
+    await this.page.addStyleTag({
+      content: `${faces.join('\n')}\n*, *::before, *::after { font-family: ${fontStack} !important; }`
+    });
+    // Fonts only start loading once layout needs them
+    await this.page.evaluate(() => {
+      document.body.getBoundingClientRect();
+      return document.fonts.ready;
+    });
+  }
+
+  /**
+   * Get the locators a screenshot should mask
+   * @param {string[]} names - Keys of the selector map, e.g. ['syncStatus']
+   * @returns {Locator[]} The locators, for toHaveScreenshot's mask option
+   */
+  getScreenshotMasks(names) {
+    return names.map(name => resolveLocator(this.page, this.locators[name]));
+  }
+
+  /**
+   * Remove focus from whatever element currently has it
+   */
+  async blurActiveElement() {
+    await this.page.evaluate(() => document.activeElement && document.activeElement.blur());
+  }
+
   /**
    * Click on the input field
    */
@@ -306,6 +1674,41 @@ class TodoPage {
     return await this.taskInput.evaluate(el => el === document.activeElement);
   }
 
+  /**
+   * Check if the Add Task button is focused
+   * @returns {Promise<boolean>} Whether the button is focused
+   */
+  async isAddButtonFocused() {
+    return await this.addButton.evaluate(el => el === document.activeElement);
+  }
+
+  /**
+   * Get the focus outline drawn around the focused element
+   * @returns {Promise<Object>} The outline's style and width, e.g. { style: 'solid', width: '3px' }
+   */
+  async getFocusOutline() {
+    return await this.page.evaluate(() => {
+      const style = window.getComputedStyle(document.activeElement);
+      return { style: style.outlineStyle, width: style.outlineWidth };
+    });
+  }
+
+  /**
+   * Get the latest screen reader announcement
+   * @returns {Promise<string>} The live region's text, or '' before anything was announced
+   */
+  async getAnnouncement() {
+    return await this.liveAnnouncer.textContent();
+  }
+
+  /**
+   * Get how politely the live region interrupts a screen reader
+   * @returns {Promise<string>} The region's aria-live value, e.g. 'polite'
+   */
+  async getAnnouncerPoliteness() {
+    return await this.liveAnnouncer.getAttribute('aria-live');
+  }
+
   /**
    * Wait for empty message to be visible
    */
@@ -337,12 +1740,13 @@ class TodoPage {
   }
 
   /**
-   * Check if an element with specific text exists
+   * Check if an element with specific text exists in the task list
+   * (the screen reader announcement of each change repeats task texts)
    * @param {string} text - The text to search for
    * @returns {Promise<boolean>} Whether element with text exists
    */
   async hasTextInPage(text) {
-    const locator = this.page.getByText(text);
+    const locator = this.taskList.getByText(text);
     return await locator.isVisible().catch(() => false);
   }
 }
@@ -5,25 +5,104 @@
 
 const { test: base } = require('@playwright/test');
 const TodoPage = require('./TodoPage');
+const ListSidebar = require('./ListSidebar');
+const TaskRow = require('./TaskRow');
+const MockApi = require('./MockApi');
+const AccessibilityAudit = require('./AccessibilityAudit');
 const testData = require('../testdata/testData');
 
 /**
- * Extended test fixture with TodoPage
+ * Extended test fixture with TodoPage, two-tab TodoPages, ListSidebar,
+ * MockApi, a fake clock and an axe accessibility audit
  */
 const test = base.extend({
+  /**
+   * Selector map option - the locator definitions the page objects use
+   * Defaults to testData.uiElements; a project can swap in another map for a
+   * restyled build with use: { selectorMap }.
+   */
+  selectorMap: [testData.uiElements, { option: true }],
+
+  /**
+   * Broadcast channel option - whether the tabs fixture's pages keep
+   * BroadcastChannel; false makes them sync through storage events instead
+   */
+  broadcastChannel: [true, { option: true }],
+
   /**
    * TodoPage fixture - provides an initialized TodoPage for tests
+   * Fails at setup if a required locator in the selector map finds nothing.
    */
-  todoPage: async ({ page }, use) => {
+  todoPage: async ({ page, selectorMap }, use) => {
     // Create a new instance of TodoPage with the page and locators
-    const todoPage = new TodoPage(page, testData.uiElements);
+    const todoPage = new TodoPage(page, selectorMap);
 
     // Navigate to the app before each test
     await todoPage.goto();
+    await todoPage.validateLocators(testData.locatorStrategies.required);
 
     // Pass the todoPage to the test
     await use(todoPage);
+  },
+
+  /**
+   * Tabs fixture - two TodoPages open in one browser context
+   * The pages share cookies, localStorage and BroadcastChannel like two tabs
+   * of one browser, so a change made in one should show up in the other.
+   * Both are navigated, the second once the first has loaded.
+   */
+  tabs: async ({ context, page, selectorMap, broadcastChannel }, use) => {
+    const first = new TodoPage(page, selectorMap);
+    const second = new TodoPage(await context.newPage(), selectorMap);
+
+    for (const tab of [first, second]) {
+      if (!broadcastChannel) await tab.disableBroadcastChannel();
+      await tab.goto();
+    }
+
+    await use({ first, second });
+  },
+
+  /**
+   * ListSidebar fixture - the named-list switcher next to the todoPage
+   * Does not navigate; request todoPage (or call goto()) as well.
+   */
+  listSidebar: async ({ page, selectorMap }, use) => {
+    await use(new ListSidebar(page, selectorMap));
+  },
+
+  /**
+   * Clock fixture - installs Playwright's fake clock at testData.clock.now
+   * Time still flows, but from a fixed starting point, so date-dependent UI
+   * such as overdue highlighting is deterministic. Request it before
+   * navigating; advance it with clock.fastForward() or clock.setSystemTime().
+   */
+  clock: async ({ page }, use) => {
+    await page.clock.install({ time: new Date(testData.clock.now) });
+
+    await use(page.clock);
+  },
+
+  /**
+   * MockApi fixture - intercepts the task API for this test's page
+   * Not installed until the test calls install(), so the fixture can be
+   * requested alongside an un-navigated TodoPage.
+   */
+  mockApi: async ({ page }, use) => {
+    const mockApi = new MockApi(page, testData.api.routePattern);
+
+    await use(mockApi);
+
+    await mockApi.uninstall();
+  },
+
+  /**
+   * Accessibility audit fixture - runs axe over the app container
+   * Does not navigate; bring the page into the state to audit first.
+   */
+  accessibilityAudit: async ({ page, selectorMap }, use) => {
+    await use(new AccessibilityAudit(page, selectorMap.container, testData.accessibility.axeTags));
   }
 });
 
-module.exports = { test, TodoPage, testData };
+module.exports = { test, TodoPage, ListSidebar, TaskRow, MockApi, AccessibilityAudit, testData };
@@ -0,0 +1,94 @@
+/**
+ * Locator Strategy
+ * Turns the locator definitions in a selector map (testData.uiElements) into
+ * Playwright locators. A definition is either a CSS string or an object
+ * naming one strategy:
+ *
+ *   '.task-input'                          CSS selector
+ *   { css: '.task-input' }                 CSS selector, spelled out
+ *   { role: 'button', name: 'Add Task' }   ARIA role, plus getByRole options
+ *   { label: 'New task' }                  Associated label or aria-label
+ *   { testId: 'task-item' }                data-testid attribute
+ *   { text: 'No tasks yet' }               Visible text
+ *
+ * Names and texts match exactly unless the definition sets exact: false.
+ * Page objects resolve every definition through here, so the same specs run
+ * against a restyled build by swapping in a different selector map.
+ */
+
+// Each strategy builds a locator from a root (a Page or a Locator to search inside)
+const STRATEGIES = {
+  css: (root, { css }) => root.locator(css),
+  role: (root, { role, exact = true, ...options }) => root.getByRole(role, { exact, ...options }),
+  label: (root, { label, exact = true }) => root.getByLabel(label, { exact }),
+  testId: (root, { testId }) => root.getByTestId(testId),
+  text: (root, { text, exact = true }) => root.getByText(text, { exact })
+};
+
+/**
+ * Describe a definition for error messages
+ * @param {string|Object} definition - A locator definition
+ * @returns {string} e.g. "css '.task-item'" or 'role {"role":"button","name":"Add Task"}'
+ */
+function describeLocator(definition) {
+  return typeof definition === 'string' ? `css '${definition}'` : `${strategyOf(definition)} ${JSON.stringify(definition)}`;
+}
+
+/**
+ * Find which strategy an object definition uses
+ * @param {Object} definition - A locator definition object
+ * @returns {string} The strategy name
+ * @throws {Error} If the definition names no strategy or more than one
+ */
+function strategyOf(definition) {
+  const strategies = Object.keys(definition).filter(key => key in STRATEGIES);
+  if (strategies.length !== 1) {
+    throw new Error(
+      `Locator definition ${JSON.stringify(definition)} must use exactly one of: ${Object.keys(STRATEGIES).join(', ')}`
+    );
+  }
+  return strategies[0];
+}
+
+/**
+ * Resolve a locator definition
+ * @param {Page|Locator} root - Where to search; pass a Locator to scope the search to it
+ * @param {string|Object} definition - A locator definition (see the top of this file)
+ * @returns {Locator} The Playwright locator
+ * @throws {Error} If the definition is missing or names no known strategy
+ */
+function resolveLocator(root, definition) {
+  if (typeof definition === 'string') {
+    return STRATEGIES.css(root, { css: definition });
+  }
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Invalid locator definition: ${JSON.stringify(definition)}`);
+  }
+  return STRATEGIES[strategyOf(definition)](root, definition);
+}
+
+/**
+ * Check that each required locator in a selector map finds something
+ * Runs every check before failing, so one error lists every broken locator.
+ * @param {Page} page - Playwright page object, already showing the app
+ * @param {Object} locators - The selector map
+ * @param {string[]} requiredNames - Keys of the map that must resolve, e.g. ['taskInput', 'taskItem']
+ * @throws {Error} Listing each locator that is missing from the map or resolves to nothing
+ */
+async function validateLocators(page, locators, requiredNames) {
+  const problems = [];
+
+  for (const name of requiredNames) {
+    if (!(name in locators)) {
+      problems.push(`${name} is not defined`);
+    } else if ((await resolveLocator(page, locators[name]).count()) === 0) {
+      problems.push(`${name} (${describeLocator(locators[name])}) resolved to nothing`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Selector map failed validation:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+module.exports = { resolveLocator, validateLocators, describeLocator };
@@ -3,11 +3,41 @@
  * All hard-coded values are centralized here to avoid duplication
  */
 
+const path = require('path');
+
+// Import fixture files live next to this file
+const importFile = (name) => path.join(__dirname, 'import', name);
+
 const testData = {
   // Page Content
-  pageTitle: 'My Todo List',
   pageUrl: '/',
 
+  // Filter Routes (hash based, iterated by the filter specs)
+  routes: {
+    all: {
+      url: '/#/',
+      hash: '#/',
+      label: 'All',
+      tasksAfterCompletingFirst: ['Learn React', 'Build a todo app', 'Master JavaScript'],
+      emptyMessage: null
+    },
+    active: {
+      url: '/#/active',
+      hash: '#/active',
+      label: 'Active',
+      tasksAfterCompletingFirst: ['Build a todo app', 'Master JavaScript'],
+      emptyMessage: 'No active tasks.'
+    },
+    completed: {
+      url: '/#/completed',
+      hash: '#/completed',
+      label: 'Completed',
+      tasksAfterCompletingFirst: ['Learn React'],
+      emptyMessage: 'No completed tasks.'
+    }
+  },
+  unknownRouteUrl: '/#/does-not-exist',
+
   // Initial Default Tasks
   defaultTasks: [
     'Learn React',
@@ -24,6 +54,7 @@ const testData = {
   // Button Labels
   addButtonLabel: 'Add Task',
   deleteButtonLabel: 'Delete',
+  editButtonLabel: 'Edit',
 
   // Task Counter Messages
   taskCounterMessages: {
@@ -34,6 +65,62 @@ const testData = {
     afterDeleteAll: 'Total tasks: 0'
   },
 
+  // Completion Counters (total / active / completed)
+  completionCounts: {
+    initial: { total: 3, active: 3, completed: 0 },
+    afterToggleOne: { total: 3, active: 2, completed: 1 },
+    afterToggleTwo: { total: 3, active: 1, completed: 2 },
+    afterToggleAll: { total: 3, active: 0, completed: 3 },
+    afterToggleOneAndAdd: { total: 4, active: 3, completed: 1 },
+    afterToggleOneAndDeleteIt: { total: 2, active: 2, completed: 0 }
+  },
+
+  completionCounterMessages: {
+    initialActive: 'Active: 3',
+    initialCompleted: 'Completed: 0',
+    afterToggleActive: 'Active: 2',
+    afterToggleCompleted: 'Completed: 1'
+  },
+
+  // Bulk Actions
+  bulkActions: {
+    toggleAllLabel: 'Mark all complete',
+    clearCompletedLabel: 'Clear completed',
+    deleteSelectedLabel: 'Delete selected',
+    clearSelectionLabel: 'Clear selection',
+    selectionMessages: {
+      one: '1 selected',
+      two: '2 selected',
+      three: '3 selected'
+    },
+    counts: {
+      afterClearOneCompleted: { total: 2, active: 2, completed: 0 },
+      afterDeleteTwoSelected: { total: 1, active: 1, completed: 0 },
+      afterDeleteAll: { total: 0, active: 0, completed: 0 }
+    }
+  },
+
+  // Undo / Redo History
+  history: {
+    maxDepth: 50,
+    overflowCommands: 2,
+    undoToastTimeoutMs: 5000,
+    undoButtonLabel: 'Undo',
+    toastMessages: {
+      singleDelete: 'Task deleted',
+      allCompletedCleared: '3 tasks deleted'
+    }
+  },
+
+  // Reordering (expected orders after each move, starting from defaultTasks)
+  reorder: {
+    afterFirstToLast: ['Build a todo app', 'Master JavaScript', 'Learn React'],
+    afterLastToFirst: ['Master JavaScript', 'Learn React', 'Build a todo app'],
+    afterFirstDownOne: ['Build a todo app', 'Learn React', 'Master JavaScript'],
+    afterLastUpOne: ['Learn React', 'Master JavaScript', 'Build a todo app'],
+    afterFirstDownTwo: ['Build a todo app', 'Master JavaScript', 'Learn React']
+  },
+
   // Empty State Messages
   emptyStateMessage: 'No tasks yet. Add one to get started!',
 
@@ -52,27 +139,703 @@ const testData = {
     withWhitespace: '   Test task   ',
     trimmedVersion: 'Test task',
     specialCharacters: 'Test with @#$%^&*() symbols!',
-    unicode: 'Test with emojis 🎉 and symbols 中文'
+    unicode: 'Test with emojis 🎉 and symbols 中文',
+    edited: 'Edited task',
+    editedWithWhitespace: '   Edited task   ',
+    discardedDraft: 'Draft that should be discarded',
+    whitespaceOnly: '   '
+  },
+
+  // Task Row Lookups (todoPage.task(textOrIndex) and their errors)
+  rowLookup: {
+    missingText: 'Walk the dog',
+    missingTextError: 'No task row with the text "Walk the dog"',
+    partialText: 'Learn',
+    partialTextError: 'No task row with the text "Learn"',
+    // Duplicates cannot be added through the UI, so they are seeded on the server
+    duplicateTasks: [
+      { id: 1, text: 'Learn React', completed: false },
+      { id: 2, text: 'Learn React', completed: false },
+      { id: 3, text: 'Master JavaScript', completed: false }
+    ],
+    duplicateTextError: 'Expected one task row with the text "Learn React" but found 2',
+    missingIndexError: 'No task row at index 3'
   },
 
   // Validation Messages
   validationMessages: {
     emptyOnWhitespace: 'Cannot add task with only whitespace',
-    cannotAddEmpty: 'Cannot add empty task'
+    cannotAddEmpty: 'Cannot add empty task',
+    tagsOnly: 'Cannot add a task with only tags',
+    tooLong: 'Task text can be at most 200 characters',
+    duplicate: 'A task named "learn react" is already in this list'
+  },
+
+  // Cross-Tab Sync (two TodoPages in one browser context)
+  tabSync: {
+    firstTabTask: 'Added in the first tab',
+    secondTabTask: 'Added in the second tab',
+    firstTabEdit: 'Edited in the first tab',
+    secondTabEdit: 'Edited in the second tab',
+    afterDeletingFirst: ['Build a todo app', 'Master JavaScript'],
+    // Each tab edits a different task at the same time
+    afterSeparateEdits: ['Edited in the first tab', 'Build a todo app', 'Edited in the second tab'],
+    conflictNotice: 'Changed in another tab to "Edited in the first tab". Saving replaces that change.'
+  },
+
+  // Offline Support (src/pwa, src/sync/outbox.js)
+  offline: {
+    outboxKey: 'todo-app.outbox',
+    manifestUrl: '/manifest.webmanifest',
+    manifest: { name: 'Todo App', start_url: '/', display: 'standalone' },
+    queuedTask: 'Added while offline',
+    editedTask: 'Edited while offline',
+    // Add, then edit the first task, then delete the second, all offline
+    afterQueuedChanges: ['Edited while offline', 'Master JavaScript', 'Added while offline'],
+    statusMessages: {
+      nothingQueued: 'You are offline. Changes will be sent when you reconnect.',
+      oneQueued: 'You are offline. 1 change will be sent when you reconnect.',
+      threeQueued: 'You are offline. 3 changes will be sent when you reconnect.'
+    },
+    errorMessages: {
+      load: 'You are offline. Showing tasks saved on this device.',
+      rejected: 'Some changes made while offline could not be saved. Showing the tasks on the server.'
+    }
+  },
+
+  // Keyboard Shortcuts (src/shortcuts/shortcuts.js)
+  shortcuts: {
+    // The registry in overlay order: the key label and description it shows,
+    // and the key Playwright presses to trigger it
+    registry: [
+      { action: 'focusInput', key: 'N', description: 'Focus the new task input', press: 'n' },
+      { action: 'nextTask', key: 'J', description: 'Move to the next task', press: 'j' },
+      { action: 'previousTask', key: 'K', description: 'Move to the previous task', press: 'k' },
+      { action: 'toggleTask', key: 'X', description: 'Complete or reopen the current task', press: 'x' },
+      { action: 'deleteTask', key: 'Delete', description: 'Delete the current task', press: 'Delete' },
+      { action: 'editTask', key: 'E', description: 'Edit the current task', press: 'e' },
+      { action: 'undo', key: 'Ctrl/Cmd+Z', description: 'Undo the last change', press: 'ControlOrMeta+z' },
+      { action: 'redo', key: 'Ctrl/Cmd+Shift+Z', description: 'Redo the last undone change', press: 'ControlOrMeta+Shift+z' },
+      { action: 'showHelp', key: '?', description: 'Show or hide this list of shortcuts', press: '?' }
+    ],
+    // Every single-key shortcut, typed where it must not trigger anything
+    typedKeys: ['n', 'j', 'k', 'x', 'e', '?'],
+    afterDeletingSecond: ['Learn React', 'Master JavaScript']
+  },
+
+  // Validation Rules (src/tasks/validation.js)
+  validation: {
+    tooLongInput: 'a'.repeat(201),
+    // At the limit once trimmed
+    paddedMaxLengthInput: `  ${'a'.repeat(200)}  `,
+    // Matches the default task "Learn React" ignoring case
+    duplicateInput: 'learn react',
+    characterCounts: {
+      empty: '0/200 characters',
+      simple: '9/200 characters',
+      duplicate: '11/200 characters',
+      maxLength: '200/200 characters',
+      tooLong: '201/200 characters'
+    }
+  },
+
+  // Persistence
+  storage: {
+    key: 'todo-app.tasks',
+    schemaVersion: 6,
+    seededTasks: [
+      { id: 101, text: 'Seeded task one', completed: false, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] },
+      { id: 102, text: 'Seeded task two', completed: true, dueDate: '2026-03-20', priority: 'high', tags: ['seeded'], listId: 'default', subtasks: [] }
+    ],
+    legacyTasks: [
+      { id: 201, text: 'Legacy task' }
+    ],
+    v1Payload: {
+      version: 1,
+      tasks: [
+        { id: 301, text: 'Version one task' }
+      ]
+    },
+    v2Payload: {
+      version: 2,
+      tasks: [
+        { id: 302, text: 'Version two task', completed: true }
+      ]
+    },
+    corruptedPayloads: {
+      invalidJson: '{"version": 1, "tasks": [',
+      wrongShape: '{"version": 1, "tasks": "not-an-array"}',
+      invalidTask: '{"version": 2, "tasks": [{"id": 1}]}',
+      invalidCompletedFlag: '{"version": 2, "tasks": [{"id": 1, "text": "Task", "completed": "yes"}]}',
+      futureVersion: '{"version": 999, "tasks": []}'
+    }
+  },
+
+  // Task API
+  api: {
+    tasksPath: '/api/tasks',
+    routePattern: '**/api/tasks**',
+    failureStatus: 500,
+    seededTasks: [
+      { id: 401, text: 'Server task one', completed: false, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] },
+      { id: 402, text: 'Server task two', completed: true, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] },
+      { id: 403, text: 'Server task three', completed: false, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] }
+    ],
+    seededCounts: { total: 3, active: 2, completed: 1 },
+    retryButtonLabel: 'Retry',
+    savingMessage: 'Saving changes...',
+    loadingMessage: 'Loading tasks...',
+    errorMessages: {
+      load: 'Could not load tasks from the server. Showing tasks saved on this device.',
+      save: 'Could not save your last change, so it was undone.'
+    }
+  },
+
+  // Mock API Scenarios (served by the mockApi fixture)
+  mockScenarios: {
+    cannedList: {
+      tasks: [
+        { id: 501, text: 'Mocked task one', completed: false },
+        { id: 502, text: 'Mocked task two', completed: true }
+      ]
+    },
+    emptyList: {
+      tasks: []
+    },
+    slowLoad: {
+      tasks: [
+        { id: 501, text: 'Mocked task one', completed: false }
+      ],
+      delays: [{ method: 'GET', ms: 1500 }]
+    },
+    slowSave: {
+      tasks: [
+        { id: 501, text: 'Mocked task one', completed: false }
+      ],
+      delays: [{ method: 'POST', ms: 1500 }]
+    },
+    loadError: {
+      tasks: [],
+      failures: [{ method: 'GET', status: 500 }]
+    },
+    // Loads keep failing until the spec resets the mock; a count of failed
+    // requests would depend on how many loads the dev build's StrictMode starts
+    flakyLoad: {
+      tasks: [
+        { id: 501, text: 'Mocked task one', completed: false }
+      ],
+      failures: [{ method: 'GET', status: 503 }]
+    },
+    saveError: {
+      tasks: [
+        { id: 501, text: 'Mocked task one', completed: false }
+      ],
+      failures: [
+        { method: 'POST', status: 500 },
+        { method: 'PATCH', status: 500 },
+        { method: 'DELETE', status: 500 },
+        { method: 'PUT', status: 500 }
+      ]
+    },
+    invalidJson: {
+      tasks: [],
+      malformedBodies: { GET: '[{"id": 1, "text": ' }
+    },
+    wrongShape: {
+      tasks: [],
+      malformedBodies: { GET: '{"tasks": "not-an-array"}' }
+    },
+    invalidTask: {
+      tasks: [],
+      malformedBodies: { GET: '[{"id": 1, "completed": "yes"}]' }
+    },
+    offline: {
+      tasks: [],
+      offline: true
+    }
+  },
+  malformedScenarioNames: ['invalidJson', 'wrongShape', 'invalidTask'],
+
+  // Inline #hashtags
+  tags: {
+    // Entered text, the text left once tags are parsed out, and the parsed tags
+    cases: {
+      single: { input: 'Write report #work', text: 'Write report', tags: ['work'] },
+      multiple: { input: 'Plan sprint #work #planning #q3', text: 'Plan sprint', tags: ['work', 'planning', 'q3'] },
+      duplicate: { input: 'Call mom #family #Family #family', text: 'Call mom', tags: ['family'] },
+      unicode: { input: 'Acheter du pain #café #日本語 #naïve', text: 'Acheter du pain', tags: ['café', '日本語', 'naïve'] },
+      midText: { input: 'Review #work slides today', text: 'Review slides today', tags: ['work'] },
+      notATag: { input: 'Fix issue#42 and C# build', text: 'Fix issue#42 and C# build', tags: [] }
+    },
+    tagsOnlyInput: '#work #home',
+    editorText: 'Plan sprint #work #planning #q3',
+    retagInput: 'Plan sprint #home',
+    retaggedTags: ['home'],
+    tagsOnlyEdit: '#urgent',
+    tagsOnlyEditTags: ['urgent'],
+    duplicateCounts: { family: 1 },
+    filterTag: 'work',
+    unicodeFilterTag: '日本語',
+    // After adding the single, multiple and unicode cases to the default tasks
+    taggedCaseNames: ['single', 'multiple', 'unicode'],
+    filteredTexts: ['Write report', 'Plan sprint'],
+    unicodeFilteredTexts: ['Acheter du pain'],
+    countsAfterAdding: { café: 1, naïve: 1, planning: 1, q3: 1, work: 2, 日本語: 1 },
+    countsAfterDeletingSingle: { café: 1, naïve: 1, planning: 1, q3: 1, work: 1, 日本語: 1 },
+    filterEmptyMessage: 'No active tasks tagged #work.'
+  },
+
+  // Named Lists
+  lists: {
+    // The list every new session starts with; the heading shows its name
+    defaultName: 'My Todo List',
+    apiPath: '/api/lists',
+    work: 'Work',
+    home: 'Home',
+    renamed: 'Errands',
+    // Differs from the work list only by case, so it is rejected
+    duplicateOfWork: 'wORK',
+    duplicateError: 'A list named "wORK" already exists.',
+    paddedName: '   Groceries   ',
+    trimmedName: 'Groceries',
+    whitespaceName: '   ',
+    unicodeName: 'Café ☕ 日本語',
+    tooLongName: 'L'.repeat(51),
+    tooLongError: 'List names can be at most 50 characters.',
+    workTasks: ['Prepare slides', 'Email the team'],
+    movedToast: 'Moved to Work',
+    emptyMessage: 'No tasks yet. Add one to get started!'
+  },
+
+  // Subtasks
+  subtasks: {
+    items: ['Outline', 'Draft', 'Review'],
+    otherItems: ['Buy flour'],
+    padded: '   Proofread   ',
+    trimmed: 'Proofread',
+    whitespace: '   ',
+    // Progress after adding the three items, then checking them off
+    progress: {
+      added: '0/3',
+      oneDone: '1/3',
+      allDone: '3/3',
+      oneDeleted: '0/2',
+      reopened: '3/4'
+    }
+  },
+
+  // Search
+  search: {
+    debounceMs: 250,
+    placeholder: 'Search tasks...',
+    // Matches case-insensitively against the default tasks
+    mixedCaseQuery: 'rEaCt',
+    mixedCaseResults: ['Learn React'],
+    mixedCaseHighlights: ['React'],
+    repeatedQuery: 'a',
+    repeatedResults: ['Learn React', 'Build a todo app', 'Master JavaScript'],
+    // Highlights in 'Master JavaScript'
+    repeatedHighlights: ['a', 'a', 'a'],
+    paddedQuery: '  todo  ',
+    paddedResults: ['Build a todo app'],
+    paddedParam: 'todo',
+    // Queries run against testTasks.specialCharacters and testTasks.unicode
+    specialCharacterQuery: '$%^&*(',
+    unicodeQueries: ['🎉', '中文'],
+    unmatchedQuery: 'no such task',
+    noResultsMessage: 'No tasks match "no such task".',
+    urlWithQuery: '/?q=build',
+    urlQueryResults: ['Build a todo app'],
+    urlQueryValue: 'build'
+  },
+
+  // Import / Export
+  transfer: {
+    formats: {
+      json: { label: 'JSON', fileName: 'tasks.json', mimeType: 'application/json' },
+      csv: { label: 'CSV', fileName: 'tasks.csv', mimeType: 'text/csv' },
+      markdown: { label: 'Markdown', fileName: 'tasks.md', mimeType: 'text/markdown' }
+    },
+    // Exports of the default tasks
+    exportedDefaults: {
+      csv: 'id,text,completed,dueDate,priority,tags\n1,Learn React,false,,,\n2,Build a todo app,false,,,\n3,Master JavaScript,false,,,\n',
+      markdown: '- [ ] Learn React\n- [ ] Build a todo app\n- [ ] Master JavaScript\n'
+    },
+    exportedAfterCompletingFirst: {
+      markdown: '- [x] Learn React\n- [ ] Build a todo app\n- [ ] Master JavaScript\n'
+    },
+    modeLabels: {
+      skip: 'Skip duplicates',
+      merge: 'Merge duplicates',
+      replace: 'Replace all tasks'
+    },
+    // Every valid fixture has three tasks, one of which duplicates a default task
+    summaries: {
+      skip: 'Adds 2 tasks, skips 1 duplicate.',
+      merge: 'Adds 2 tasks, merges 1 duplicate.',
+      replace: 'Replaces 3 current tasks with 3 imported tasks.'
+    },
+    duplicateCount: 1,
+    importedToast: 'Tasks imported',
+    validFiles: {
+      json: {
+        path: importFile('tasks.json'),
+        previewTexts: ['Review imported JSON', 'learn react', 'Archive old notes'],
+        duplicateIndex: 0,
+        afterSkip: ['Learn React', 'Build a todo app', 'Master JavaScript', 'Review imported JSON', 'Archive old notes'],
+        afterReplace: ['Review imported JSON', 'learn react', 'Archive old notes']
+      },
+      csv: {
+        path: importFile('tasks.csv'),
+        previewTexts: ['Call the bank, then email', 'Build a todo app', 'Plan the "launch" party'],
+        duplicateIndex: 1,
+        afterSkip: ['Learn React', 'Build a todo app', 'Master JavaScript', 'Call the bank, then email', 'Plan the "launch" party'],
+        afterReplace: ['Call the bank, then email', 'Build a todo app', 'Plan the "launch" party']
+      },
+      markdown: {
+        path: importFile('tasks.md'),
+        previewTexts: ['Water the plants', 'Master JavaScript', 'Fix the bike'],
+        duplicateIndex: 2,
+        afterSkip: ['Learn React', 'Build a todo app', 'Master JavaScript', 'Water the plants', 'Fix the bike'],
+        afterReplace: ['Water the plants', 'Master JavaScript', 'Fix the bike']
+      }
+    },
+    // Files that must be rejected, with the error banner they produce
+    malformedFiles: {
+      invalidJson: {
+        path: importFile('malformed.json'),
+        error: 'Could not import malformed.json. The file is not valid JSON.'
+      },
+      invalidTask: {
+        path: importFile('invalid-task.json'),
+        error: 'Could not import invalid-task.json. Task 2 is not a valid task.'
+      },
+      futureVersion: {
+        path: importFile('future-version.json'),
+        error: 'Could not import future-version.json. The file was exported by a newer version of the app.'
+      },
+      emptyFile: {
+        path: importFile('empty.json'),
+        error: 'Could not import empty.json. The file is empty.'
+      },
+      missingTextColumn: {
+        path: importFile('missing-text-column.csv'),
+        error: 'Could not import missing-text-column.csv. The CSV header must include a "text" column.'
+      },
+      badCsvRow: {
+        path: importFile('bad-row.csv'),
+        error: 'Could not import bad-row.csv. Row 3 has 3 columns but the header has 2.'
+      },
+      noChecklistItems: {
+        path: importFile('no-items.md'),
+        error: 'Could not import no-items.md. No checklist items ("- [ ] task") were found.'
+      },
+      unsupportedType: {
+        path: importFile('tasks.txt'),
+        error: 'Could not import tasks.txt. Unsupported file type. Use a .json, .csv or .md file.'
+      }
+    }
+  },
+
+  // Fake clock start time used by the clock fixture (local time)
+  clock: {
+    now: '2026-03-15T09:00:00',
+    oneDay: '24:00:00'
+  },
+
+  // Due Dates, Priorities and Sorting (dates are relative to clock.now)
+  taskDetails: {
+    dates: {
+      past: '2026-03-10',
+      today: '2026-03-15',
+      future: '2026-03-20',
+      later: '2026-04-01'
+    },
+    priorityLabels: {
+      none: 'None',
+      low: 'Low',
+      medium: 'Medium',
+      high: 'High'
+    },
+    dueTextPrefix: 'Due',
+    overdueTextPrefix: 'Overdue',
+    sortLabels: {
+      created: 'Date created',
+      dueDate: 'Due date',
+      priority: 'Priority'
+    },
+    seededTasks: [
+      { id: 601, text: 'Low priority, due later', completed: false, dueDate: '2026-03-20', priority: 'low' },
+      { id: 602, text: 'No details', completed: false, dueDate: null, priority: null },
+      { id: 603, text: 'High priority, overdue', completed: false, dueDate: '2026-03-10', priority: 'high' },
+      { id: 604, text: 'Medium priority, due today', completed: false, dueDate: '2026-03-15', priority: 'medium' },
+      { id: 605, text: 'Done, past due', completed: true, dueDate: '2026-03-12', priority: 'low' }
+    ],
+    // Display order for each sort, as indexes into seededTasks
+    sortedOrders: {
+      created: [0, 1, 2, 3, 4],
+      dueDate: [2, 4, 3, 0, 1],
+      priority: [2, 3, 0, 4, 1]
+    },
+    overdueIndexes: [2]
+  },
+
+  // Accessibility
+  accessibility: {
+    // axe rule tags every audit runs (WCAG 2.1 A and AA)
+    axeTags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+    politeness: 'polite',
+    editButtonName: 'Edit "Learn React"',
+    deleteButtonName: 'Delete "Learn React"',
+    // Live region messages, each followed by the active task count
+    announcements: {
+      added: 'Added "New task". 4 active tasks.',
+      completed: 'Completed "Learn React". 2 active tasks.',
+      reopened: 'Marked "Learn React" as active. 3 active tasks.',
+      deleted: 'Deleted "Learn React". 2 active tasks.',
+      deletedTwoSelected: '2 tasks deleted. 1 active task.',
+      completedAll: 'Completed all tasks. 0 active tasks.'
+    }
+  },
+
+  // Themes
+  themes: {
+    storageKey: 'todo-app.theme',
+    // Stored JSON that is not a known theme, so the system scheme applies
+    unknownStoredValue: '"neon"',
+    // The values the app sets as data-theme, and the system colour schemes
+    values: { light: 'light', dark: 'dark', highContrast: 'high-contrast' },
+    colorSchemes: { light: 'light', dark: 'dark' },
+    // Keyed by data-theme value
+    options: {
+      light: { label: 'Light', colors: { background: 'rgb(255, 255, 255)', text: 'rgb(51, 51, 51)' } },
+      dark: { label: 'Dark', colors: { background: 'rgb(31, 32, 40)', text: 'rgb(232, 232, 238)' } },
+      'high-contrast': { label: 'High contrast', colors: { background: 'rgb(0, 0, 0)', text: 'rgb(255, 255, 255)' } }
+    },
+    // The theme each emulated system colour scheme selects
+    systemDefaults: {
+      light: 'light',
+      dark: 'dark',
+      'no-preference': 'light'
+    }
+  },
+
+  // Visual Regression
+  visual: {
+    // Web fonts served from node_modules for Latin, emoji and CJK text, so
+    // screenshots do not depend on the fonts the test machine has installed
+    fonts: [
+      { family: 'Visual Sans', package: '@fontsource/dejavu-sans', weights: [400, 700] },
+      { family: 'Visual Emoji', package: '@fontsource/noto-color-emoji', weights: [400] },
+      { family: 'Visual CJK', package: '@fontsource/noto-sans-jp', weights: [400, 700] }
+    ],
+    fontStack: "'Visual Sans', 'Visual Emoji', 'Visual CJK', sans-serif",
+    // Native date pickers render differently per platform; the sync status
+    // only shows while a save is in flight
+    maskedLocators: ['dueDateInput', 'syncStatus'],
+    snapshots: {
+      empty: 'empty-state.png',
+      longText: 'long-text.png',
+      unicode: 'unicode-tasks.png',
+      // Default tasks in each theme, keyed like themes.options
+      themes: {
+        light: 'default-tasks-light.png',
+        dark: 'default-tasks-dark.png',
+        'high-contrast': 'default-tasks-high-contrast.png'
+      }
+    }
   },
 
   // UI Elements
+  // Locator definitions resolved by pages/locatorStrategy.js: a plain string
+  // is a CSS selector, an object names a role, label, testId or text strategy
   uiElements: {
+    // Controls found by their accessible role and name
+    heading: { role: 'heading', level: 1 },
+    taskInput: { label: 'New task' },
+    addButton: { role: 'button', name: 'Add Task' },
+    searchInput: { role: 'searchbox', name: 'Search tasks' },
+    toggleAll: { role: 'checkbox', name: 'Mark all complete' },
+    clearCompletedButton: { role: 'button', name: 'Clear completed' },
+    retryButton: { role: 'button', name: 'Retry' },
+    dismissErrorButton: { role: 'button', name: 'Dismiss error' },
+    undoButton: { role: 'button', name: 'Undo' },
+    taskList: { role: 'list', name: 'Tasks' },
+    themeToggle: { role: 'group', name: 'Theme' },
+    shortcutHelp: { role: 'dialog', name: 'Keyboard shortcuts' },
+
+    // Elements the app tags with data-testid
+    taskItem: { testId: 'task-item' },
+    taskText: { testId: 'task-text' },
+    taskCheckbox: { testId: 'task-checkbox' },
+    emptyMessage: { testId: 'empty-message' },
+    taskInputError: { testId: 'task-input-error' },
+    charCount: { testId: 'char-count' },
+    shortcutHelpButton: { testId: 'shortcut-help-button' },
+
+    // CSS selectors (the container stays CSS: the axe audit scope must be a selector)
     container: '.todo-container',
-    heading: 'h1',
-    taskInput: '.task-input',
-    addButton: '.add-btn',
-    taskList: '.task-list',
-    taskItem: '.task-item',
-    taskText: '.task-text',
+    loadedContainer: '.todo-container[data-status]:not([data-status="loading"])',
+    idleContainer: '.todo-container[aria-busy="false"]',
+    loadingMessage: '.loading-message',
+    errorBanner: '.error-banner',
+    errorBannerMessage: '.error-banner-message',
+    charCountOverLimit: '.char-count.over-limit',
+    syncStatus: '.sync-status',
+    outboxStatus: '.outbox-status',
+    shortcutKey: '.shortcut-key',
+    shortcutDescription: '.shortcut-description',
+    shortcutHelpCloseButton: '.shortcut-help-close',
+    liveAnnouncer: '.live-announcer',
+    editButton: '.edit-btn',
+    editInput: '.task-edit-input',
+    editDueDateInput: '.task-edit-due-date',
+    editPrioritySelect: '.task-edit-priority',
+    editConflict: '.edit-conflict',
+    dueDateInput: '.due-date-input',
+    prioritySelect: '.priority-select',
+    sortSelect: '.sort-select',
+    dueDate: '.due-date',
+    priorityBadge: '.priority-badge',
+    overdueTaskItem: '.task-item.overdue',
+    moveTaskSelect: '.move-task-select',
+    subtasksToggle: '.subtasks-toggle',
+    subtaskProgress: '.subtask-progress',
+    subtaskList: '.subtask-list',
+    subtaskItem: '.subtask-item',
+    subtaskCheckbox: '.subtask-checkbox',
+    subtaskText: '.subtask-text',
+    deleteSubtaskButton: '.delete-subtask-btn',
+    subtaskInput: '.subtask-input',
+    addSubtaskButton: '.add-subtask-btn',
+    listSidebar: '.list-sidebar',
+    listNavItem: '.list-nav-item',
+    activeListNavItem: '.list-nav-item.active',
+    listNavButton: '.list-nav-btn',
+    listName: '.list-name',
+    listCount: '.list-count',
+    listNameInput: '.list-name-input',
+    renameListButton: '.rename-list-btn',
+    deleteListButton: '.delete-list-btn',
+    newListInput: '.new-list-input',
+    addListButton: '.add-list-btn',
+    tagChip: '.tag-chip',
+    tagFilter: '.tag-filter',
+    tagFilterName: '.tag-filter-name',
+    clearTagFilterButton: '.clear-tag-filter-btn',
+    statsTag: '.stats-tag',
+    searchHighlight: '.search-highlight',
+    searchEmptyMessage: '.search-empty-message',
+    exportFormatSelect: '.export-format-select',
+    exportButton: '.export-btn',
+    importButton: '.import-btn',
+    importFileInput: '.import-file-input',
+    importDropZone: '.import-drop-zone',
+    importPreview: '.import-preview',
+    importPreviewText: '.import-preview-text',
+    importDuplicateBadge: '.import-duplicate-badge',
+    importModeLabel: '.import-mode-label',
+    importSummary: '.import-summary',
+    importApplyButton: '.import-apply-btn',
+    importCancelButton: '.import-cancel-btn',
     deleteButton: '.delete-btn',
+    toggleAllLabel: '.toggle-all-label',
+    bulkBar: '.bulk-bar',
+    bulkCount: '.bulk-count',
+    bulkDeleteButton: '.bulk-delete-btn',
+    bulkClearButton: '.bulk-clear-btn',
+    selectedTaskItem: '.task-item.selected',
+    filterLink: '.filter-link',
+    selectedFilter: '.filter-link.selected',
+    filterEmptyMessage: '.filter-empty-message',
+    undoToast: '.undo-toast',
+    undoToastMessage: '.undo-toast-message',
     stats: '.stats',
-    emptyMessage: '.empty-message'
+    statsTotal: '.stats-total',
+    statsActive: '.stats-active',
+    statsCompleted: '.stats-completed'
+  },
+
+  // A selector map for restyled builds: every element the app tags with
+  // data-testid, found by test id alone. Spread over uiElements to use it.
+  testIdLocators: {
+    container: '[data-testid="todo-container"]',
+    heading: { testId: 'list-heading' },
+    taskInput: { testId: 'task-input' },
+    addButton: { testId: 'add-task-button' },
+    taskInputError: { testId: 'task-input-error' },
+    charCount: { testId: 'char-count' },
+    dueDateInput: { testId: 'due-date-input' },
+    prioritySelect: { testId: 'priority-select' },
+    searchInput: { testId: 'search-input' },
+    toggleAll: { testId: 'toggle-all' },
+    clearCompletedButton: { testId: 'clear-completed-button' },
+    sortSelect: { testId: 'sort-select' },
+    loadingMessage: { testId: 'loading-message' },
+    emptyMessage: { testId: 'empty-message' },
+    searchEmptyMessage: { testId: 'search-empty-message' },
+    filterEmptyMessage: { testId: 'filter-empty-message' },
+    taskList: { testId: 'task-list' },
+    taskItem: { testId: 'task-item' },
+    taskCheckbox: { testId: 'task-checkbox' },
+    taskText: { testId: 'task-text' },
+    editInput: { testId: 'task-edit-input' },
+    editConflict: { testId: 'edit-conflict' },
+    editButton: { testId: 'edit-task-button' },
+    deleteButton: { testId: 'delete-task-button' },
+    subtasksToggle: { testId: 'subtasks-toggle' },
+    syncStatus: { testId: 'sync-status' },
+    outboxStatus: { testId: 'outbox-status' },
+    errorBanner: { testId: 'error-banner' },
+    undoToast: { testId: 'undo-toast' },
+    bulkBar: { testId: 'bulk-bar' },
+    tagFilter: { testId: 'tag-filter' },
+    importPreview: { testId: 'import-preview' },
+    stats: { testId: 'stats' },
+    statsTotal: { testId: 'stats-total' },
+    statsActive: { testId: 'stats-active' },
+    statsCompleted: { testId: 'stats-completed' },
+    listSidebar: { testId: 'list-sidebar' },
+    listNavItem: { testId: 'list-nav-item' },
+    listName: { testId: 'list-name' },
+    listCount: { testId: 'list-count' },
+    newListInput: { testId: 'new-list-input' },
+    addListButton: { testId: 'add-list-button' },
+    themeToggle: { testId: 'theme-toggle' },
+    shortcutHelp: { testId: 'shortcut-help' },
+    shortcutHelpButton: { testId: 'shortcut-help-button' }
+  },
+
+  // Locator Strategies
+  locatorStrategies: {
+    // uiElements keys that must find something once the default tasks have
+    // loaded; the todoPage fixture checks them before every test
+    required: [
+      'container', 'heading', 'taskInput', 'addButton', 'searchInput', 'taskList',
+      'taskItem', 'taskText', 'taskCheckbox', 'editButton', 'deleteButton',
+      'toggleAll', 'stats', 'statsTotal', 'statsActive', 'statsCompleted', 'listSidebar'
+    ],
+    // One element, the Add Task button, defined with each strategy
+    addButtonDefinitions: {
+      css: '.add-btn',
+      role: { role: 'button', name: 'Add Task' },
+      testId: { testId: 'add-task-button' },
+      text: { text: 'Add Task' }
+    },
+    brokenMap: {
+      addButton: '.add-task-button-v2',
+      taskItem: { testId: 'todo-row' }
+    },
+    brokenMapError: [
+      'Selector map failed validation:',
+      "  addButton (css '.add-task-button-v2') resolved to nothing",
+      '  taskItem (testId {"testId":"todo-row"}) resolved to nothing'
+    ].join('\n'),
+    missingKey: 'bannerLogo',
+    missingKeyError: 'Selector map failed validation:\n  bannerLogo is not defined',
+    ambiguousDefinition: { css: '.add-btn', testId: 'add-task-button' },
+    ambiguousDefinitionError:
+      'Locator definition {"css":".add-btn","testId":"add-task-button"} must use exactly one of: css, role, label, testId, text'
   },
 
   // Test Scenarios
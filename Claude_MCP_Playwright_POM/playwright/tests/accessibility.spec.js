@@ -0,0 +1,237 @@
+/**
+ * Accessibility Test Suite
+ * Runs axe-core against every app state, and covers accessible names, live
+ * announcements, focus after deleting and visible focus styles
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, ListSidebar, testData } = require('../pages/fixtures');
+
+const { accessibility } = testData;
+
+test.describe('Accessibility', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Navigation happens inside each test so mocks can be installed first
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('axe Audit', () => {
+    test('should have no violations once loaded', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations while loading', async ({ mockApi, accessibilityAudit }) => {
+      await mockApi.install(testData.mockScenarios.slowLoad);
+      await todoPage.navigate();
+      await todoPage.waitForLoadingMessage();
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with an empty list', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.deleteAllTasks();
+      await todoPage.waitForEmptyMessage();
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with completed tasks and the undo toast', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.deleteTaskByIndex(1);
+
+      expect(await todoPage.isUndoToastVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with due dates and priorities', async ({ clock, accessibilityAudit }) => {
+      const { dates, priorityLabels } = testData.taskDetails;
+      await todoPage.goto();
+      await todoPage.addTaskWithDetails(testData.testTasks.new, { dueDate: dates.past, priority: priorityLabels.high });
+
+      expect(await todoPage.isTaskOverdue(testData.initialTaskCount)).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations while editing a task', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.task(0).startEditing();
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with subtasks expanded', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.task(0).addSubtasks(testData.subtasks.items);
+      await todoPage.task(0).toggleSubtask(0);
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with tasks selected', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.selectTasksByIndexes([0, 1]);
+
+      expect(await todoPage.isBulkBarVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with a tag filter', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.addTaskByButton(testData.tags.cases.single.input);
+      await todoPage.filterByTag(testData.tags.filterTag);
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with a search that matches nothing', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.search(testData.search.unmatchedQuery);
+
+      expect(await todoPage.isSearchEmptyMessageVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with an empty filter', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.clickFilter(testData.routes.completed.label);
+
+      expect(await todoPage.isFilterEmptyMessageVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with the load error banner', async ({ mockApi, accessibilityAudit }) => {
+      await mockApi.install(testData.mockScenarios.loadError);
+      await todoPage.goto();
+
+      expect(await todoPage.isErrorBannerVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations with the import preview', async ({ accessibilityAudit }) => {
+      await todoPage.goto();
+      await todoPage.importFile(testData.transfer.validFiles.json.path);
+
+      expect(await todoPage.isImportPreviewVisible()).toBe(true);
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+
+    test('should have no violations while renaming a list', async ({ page, accessibilityAudit }) => {
+      const listSidebar = new ListSidebar(page, testData.uiElements);
+      await todoPage.goto();
+      await listSidebar.createList(testData.lists.work);
+      await listSidebar.startRename(testData.lists.work);
+
+      expect(await accessibilityAudit.getViolations()).toEqual([]);
+    });
+  });
+
+  test.describe('Accessible Names', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should find the main controls by role and label', async () => {
+      expect(await todoPage.isHeadingVisible()).toBe(true);
+      expect(await todoPage.isInputVisible()).toBe(true);
+      expect(await todoPage.isAddButtonVisible()).toBe(true);
+      expect(await todoPage.isTaskListVisible()).toBe(true);
+    });
+
+    test('should name each row\'s buttons after its task', async () => {
+      const firstTask = todoPage.task(0);
+
+      expect(await firstTask.editButtonName()).toBe(accessibility.editButtonName);
+      expect(await firstTask.deleteButtonName()).toBe(accessibility.deleteButtonName);
+      expect(await firstTask.editButtonText()).toBe(testData.editButtonLabel);
+      expect(await firstTask.deleteButtonText()).toBe(testData.deleteButtonLabel);
+    });
+  });
+
+  test.describe('Announcements', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should use a polite live region', async () => {
+      expect(await todoPage.getAnnouncerPoliteness()).toBe(accessibility.politeness);
+      expect(await todoPage.getAnnouncement()).toBe('');
+    });
+
+    test('should announce an added task', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.added);
+    });
+
+    test('should announce completing and reopening a task', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.completed);
+
+      await todoPage.toggleTaskByIndex(0);
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.reopened);
+    });
+
+    test('should announce a deleted task', async () => {
+      await todoPage.deleteTaskByIndex(0);
+
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.deleted);
+    });
+
+    test('should announce deleting several tasks at once', async () => {
+      await todoPage.selectTasksByIndexes([0, 1]);
+      await todoPage.deleteSelectedTasks();
+
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.deletedTwoSelected);
+    });
+
+    test('should announce completing every task', async () => {
+      await todoPage.toggleAllTasks();
+
+      expect(await todoPage.getAnnouncement()).toBe(accessibility.announcements.completedAll);
+    });
+  });
+
+  test.describe('Focus Management', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should focus the next row after deleting a task', async () => {
+      await todoPage.task(0).delete();
+
+      expect(await todoPage.task(0).isFocused()).toBe(true);
+      expect(await todoPage.task(0).text()).toBe(testData.defaultTasks[1]);
+    });
+
+    test('should focus the previous row after deleting the last task', async () => {
+      const lastIndex = testData.initialTaskCount - 1;
+      await todoPage.task(lastIndex).delete();
+
+      expect(await todoPage.task(lastIndex - 1).isFocused()).toBe(true);
+    });
+
+    test('should focus the task input after deleting the only task', async () => {
+      for (let i = 1; i < testData.initialTaskCount; i++) {
+        await todoPage.deleteLastTask();
+      }
+      await todoPage.task(0).delete();
+
+      await todoPage.waitForEmptyMessage();
+      expect(await todoPage.isInputFocused()).toBe(true);
+    });
+
+    test('should show a focus outline when tabbing to a control', async () => {
+      await todoPage.focusInput();
+      await todoPage.pressTabOnInput();
+
+      expect(await todoPage.isAddButtonFocused()).toBe(true);
+      expect((await todoPage.getFocusOutline()).style).not.toBe('none');
+    });
+  });
+});
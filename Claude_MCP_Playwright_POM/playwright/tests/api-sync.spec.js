@@ -0,0 +1,150 @@
+/**
+ * Server Sync Test Suite
+ * Covers loading from the task API, optimistic updates and rollback on failure
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+test.describe('Server Sync', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Navigation happens inside each test so server state can be seeded first
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('Loading', () => {
+    test('should start every browser with the default tasks', async () => {
+      await todoPage.goto();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+    });
+
+    test('should show the tasks seeded on the server', async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, testData.api.seededTasks);
+      await todoPage.goto();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.api.seededTasks.map(task => task.text));
+      expect(await todoPage.getStatsCounts()).toEqual(testData.api.seededCounts);
+    });
+
+    test('should show the empty state when the server has no tasks', async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, []);
+      await todoPage.goto();
+
+      await todoPage.waitForEmptyMessage();
+      expect(await todoPage.getEmptyMessageText()).toBe(testData.emptyStateMessage);
+    });
+  });
+
+  test.describe('Saving Changes', () => {
+    test.beforeEach(async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, testData.api.seededTasks);
+      await todoPage.goto();
+    });
+
+    test('should create added tasks on the server', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks.map(task => task.text)).toEqual([
+        ...testData.api.seededTasks.map(task => task.text),
+        testData.testTasks.new
+      ]);
+    });
+
+    test('should save completion, edits, deletes and moves on the server', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.editTaskByIndex(1, testData.testTasks.edited);
+      await todoPage.deleteTaskByIndex(2);
+      await todoPage.moveTaskWithKeyboard(0, 'down');
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks.map(task => task.text)).toEqual(await todoPage.getAllTaskTexts());
+      expect(serverTasks.find(task => task.id === testData.api.seededTasks[0].id).completed).toBe(true);
+    });
+
+    test('should show server-side changes after reload', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.waitForSyncIdle();
+      await todoPage.reload();
+
+      expect(await todoPage.getTaskCount()).toBe(testData.api.seededTasks.length + 1);
+    });
+
+    test('should save undo and redo on the server', async () => {
+      await todoPage.deleteFirstTask();
+      await todoPage.undo();
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks).toEqual(testData.api.seededTasks);
+    });
+  });
+
+  test.describe('Failures', () => {
+    test.beforeEach(async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, testData.api.seededTasks);
+    });
+
+    test('should fall back to the cached tasks when the server is unreachable', async () => {
+      await todoPage.blockApi(testData.api.routePattern);
+      await todoPage.goto();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.load);
+      expect(await todoPage.isRetryButtonVisible()).toBe(true);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should load the server tasks on retry once the server is back', async () => {
+      await todoPage.blockApi(testData.api.routePattern);
+      await todoPage.goto();
+      await todoPage.restoreApi(testData.api.routePattern);
+      await todoPage.clickRetry();
+
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.api.seededTasks.map(task => task.text));
+    });
+
+    test('should roll back an added task the server rejects', async () => {
+      await todoPage.goto();
+      await todoPage.failApiWrites(testData.api.routePattern, testData.api.failureStatus);
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.save);
+      expect(await todoPage.isRetryButtonVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.api.seededTasks.map(task => task.text));
+    });
+
+    test('should roll back a delete the server rejects', async () => {
+      await todoPage.goto();
+      await todoPage.failApiWrites(testData.api.routePattern, testData.api.failureStatus);
+      await todoPage.deleteFirstTask();
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.api.seededTasks.map(task => task.text));
+      expect(await todoPage.getStatsCounts()).toEqual(testData.api.seededCounts);
+    });
+
+    test('should roll back a completion toggle the server rejects', async () => {
+      await todoPage.goto();
+      await todoPage.failApiWrites(testData.api.routePattern, testData.api.failureStatus);
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.isTaskCompleted(0)).toBe(testData.api.seededTasks[0].completed);
+    });
+
+    test('should dismiss the error banner', async () => {
+      await todoPage.goto();
+      await todoPage.failApiWrites(testData.api.routePattern, testData.api.failureStatus);
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.waitForSyncIdle();
+      await todoPage.dismissError();
+
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+    });
+  });
+});
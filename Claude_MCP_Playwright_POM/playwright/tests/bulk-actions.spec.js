@@ -0,0 +1,151 @@
+/**
+ * Bulk Actions Test Suite
+ * Covers mark-all, clear completed and multi-select delete
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+test.describe('Bulk Actions', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Mark All Complete', () => {
+    test('should show the toggle unchecked while tasks are active', async () => {
+      expect(await todoPage.getToggleAllLabelText()).toBe(testData.bulkActions.toggleAllLabel);
+      expect(await todoPage.isToggleAllChecked()).toBe(false);
+    });
+
+    test('should complete every task', async () => {
+      await todoPage.toggleAllTasks();
+
+      for (let i = 0; i < testData.initialTaskCount; i++) {
+        expect(await todoPage.isTaskCompleted(i)).toBe(true);
+      }
+      expect(await todoPage.isToggleAllChecked()).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleAll);
+    });
+
+    test('should complete the remaining tasks when some are already done', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.toggleAllTasks();
+
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleAll);
+    });
+
+    test('should reactivate every task when toggled again', async () => {
+      await todoPage.toggleAllTasks();
+      await todoPage.toggleAllTasks();
+
+      expect(await todoPage.isToggleAllChecked()).toBe(false);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should check itself once the last task is completed by hand', async () => {
+      for (let i = 0; i < testData.initialTaskCount; i++) {
+        await todoPage.toggleTaskByIndex(i);
+      }
+
+      expect(await todoPage.isToggleAllChecked()).toBe(true);
+    });
+  });
+
+  test.describe('Clear Completed', () => {
+    test('should be hidden when no task is completed', async () => {
+      expect(await todoPage.isClearCompletedVisible()).toBe(false);
+    });
+
+    test('should remove only the completed tasks', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.clearCompletedTasks();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks.slice(1));
+      expect(await todoPage.getStatsCounts()).toEqual(testData.bulkActions.counts.afterClearOneCompleted);
+      expect(await todoPage.isClearCompletedVisible()).toBe(false);
+    });
+
+    test('should show the empty state after clearing every completed task', async () => {
+      await todoPage.toggleAllTasks();
+      await todoPage.clearCompletedTasks();
+
+      await todoPage.waitForEmptyMessage();
+      expect(await todoPage.getStatsCounts()).toEqual(testData.bulkActions.counts.afterDeleteAll);
+    });
+  });
+
+  test.describe('Multi-Select', () => {
+    test('should not show the bulk bar without a selection', async () => {
+      expect(await todoPage.isBulkBarVisible()).toBe(false);
+    });
+
+    test('should select tasks with Ctrl/Cmd-click', async () => {
+      await todoPage.selectTasksByIndexes([0, 2]);
+
+      expect(await todoPage.isTaskSelected(0)).toBe(true);
+      expect(await todoPage.isTaskSelected(1)).toBe(false);
+      expect(await todoPage.isTaskSelected(2)).toBe(true);
+      expect(await todoPage.getBulkSelectionText()).toBe(testData.bulkActions.selectionMessages.two);
+    });
+
+    test('should deselect a task with a second Ctrl/Cmd-click', async () => {
+      await todoPage.selectTasksByIndexes([0, 1, 0]);
+
+      expect(await todoPage.isTaskSelected(0)).toBe(false);
+      expect(await todoPage.getBulkSelectionText()).toBe(testData.bulkActions.selectionMessages.one);
+    });
+
+    test('should select a range with Shift-click', async () => {
+      await todoPage.selectTaskByIndex(0);
+      await todoPage.rangeSelectTaskByIndex(2);
+
+      expect(await todoPage.getSelectedTaskCount()).toBe(testData.initialTaskCount);
+      expect(await todoPage.getBulkSelectionText()).toBe(testData.bulkActions.selectionMessages.three);
+    });
+
+    test('should not select on a plain click', async () => {
+      await todoPage.clickTaskTextByIndex(0);
+
+      expect(await todoPage.getSelectedTaskCount()).toBe(0);
+      expect(await todoPage.isBulkBarVisible()).toBe(false);
+    });
+
+    test('should delete the selected tasks and update the counters', async () => {
+      await todoPage.selectTasksByIndexes([0, 1]);
+      await todoPage.deleteSelectedTasks();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks.slice(2));
+      expect(await todoPage.getStatsCounts()).toEqual(testData.bulkActions.counts.afterDeleteTwoSelected);
+      expect(await todoPage.isBulkBarVisible()).toBe(false);
+    });
+
+    test('should not bring a deleted task back selected on undo', async () => {
+      await todoPage.selectTasksByIndexes([0, 1]);
+      await todoPage.deleteTaskByIndex(0);
+      await todoPage.clickUndoInToast();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.isTaskSelected(0)).toBe(false);
+      expect(await todoPage.isTaskSelected(1)).toBe(true);
+      expect(await todoPage.getBulkSelectionText()).toBe(testData.bulkActions.selectionMessages.one);
+    });
+
+    test('should clear the selection without deleting anything', async () => {
+      await todoPage.selectTasksByIndexes([0, 1]);
+      await todoPage.clearSelection();
+
+      expect(await todoPage.getSelectedTaskCount()).toBe(0);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should delete every task in one bulk operation', async () => {
+      await todoPage.deleteAllTasks();
+
+      await todoPage.waitForEmptyMessage();
+      expect(await todoPage.getStatsCounts()).toEqual(testData.bulkActions.counts.afterDeleteAll);
+    });
+  });
+});
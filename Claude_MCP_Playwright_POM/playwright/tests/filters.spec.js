@@ -0,0 +1,120 @@
+/**
+ * Task Filter Test Suite
+ * Covers the All/Active/Completed views driven by hash routes
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const routes = Object.values(testData.routes);
+
+test.describe('Task Filters', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test('should show a control for every route', async () => {
+    const labels = await todoPage.getFilterLabels();
+    expect(labels).toEqual(routes.map(route => route.label));
+  });
+
+  test('should select the All filter by default', async () => {
+    expect(await todoPage.getSelectedFilterText()).toBe(testData.routes.all.label);
+    expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+  });
+
+  test('should fall back to the All view for an unknown route', async () => {
+    await todoPage.goto(testData.unknownRouteUrl);
+
+    expect(await todoPage.getSelectedFilterText()).toBe(testData.routes.all.label);
+    expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+  });
+
+  for (const route of routes) {
+    test.describe(`${route.label} route`, () => {
+      test.beforeEach(async () => {
+        await todoPage.toggleTaskByIndex(0);
+      });
+
+      test('should narrow the list when its filter is clicked', async () => {
+        await todoPage.clickFilter(route.label);
+
+        expect(await todoPage.getCurrentHash()).toBe(route.hash);
+        expect(await todoPage.getSelectedFilterText()).toBe(route.label);
+        expect(await todoPage.getAllTaskTexts()).toEqual(route.tasksAfterCompletingFirst);
+      });
+
+      test('should open the filtered view directly from its URL', async () => {
+        await todoPage.goto(route.url);
+
+        expect(await todoPage.getSelectedFilterText()).toBe(route.label);
+        expect(await todoPage.getAllTaskTexts()).toEqual(route.tasksAfterCompletingFirst);
+      });
+
+      test('should keep the filtered view after reload', async () => {
+        await todoPage.clickFilter(route.label);
+        await todoPage.reload();
+
+        expect(await todoPage.getCurrentHash()).toBe(route.hash);
+        expect(await todoPage.getAllTaskTexts()).toEqual(route.tasksAfterCompletingFirst);
+      });
+
+      test('should not change the stats counters', async () => {
+        await todoPage.clickFilter(route.label);
+
+        expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+      });
+    });
+  }
+
+  test.describe('History Navigation', () => {
+    test('should restore the previous filter on back and the next on forward', async () => {
+      await todoPage.clickFilter(testData.routes.active.label);
+      await todoPage.clickFilter(testData.routes.completed.label);
+
+      await todoPage.goBack();
+      expect(await todoPage.getCurrentHash()).toBe(testData.routes.active.hash);
+      expect(await todoPage.getSelectedFilterText()).toBe(testData.routes.active.label);
+
+      await todoPage.goForward();
+      expect(await todoPage.getCurrentHash()).toBe(testData.routes.completed.hash);
+      expect(await todoPage.getSelectedFilterText()).toBe(testData.routes.completed.label);
+    });
+  });
+
+  test.describe('Filtered Empty States', () => {
+    test('should show the filter message when no tasks are completed', async () => {
+      await todoPage.clickFilter(testData.routes.completed.label);
+
+      expect(await todoPage.getFilterEmptyMessageText()).toBe(testData.routes.completed.emptyMessage);
+      expect(await todoPage.isEmptyMessageVisible()).toBe(false);
+    });
+
+    test('should show the filter message when every task is completed', async () => {
+      for (let i = 0; i < testData.initialTaskCount; i++) {
+        await todoPage.toggleTaskByIndex(i);
+      }
+      await todoPage.clickFilter(testData.routes.active.label);
+
+      expect(await todoPage.getFilterEmptyMessageText()).toBe(testData.routes.active.emptyMessage);
+    });
+
+    test('should hide a task from the Active view once it is completed', async () => {
+      await todoPage.clickFilter(testData.routes.active.label);
+      await todoPage.toggleTaskByIndex(0);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.routes.active.tasksAfterCompletingFirst);
+    });
+
+    test('should show the global empty message instead when there are no tasks', async () => {
+      await todoPage.deleteAllTasks();
+      await todoPage.clickFilter(testData.routes.active.label);
+
+      expect(await todoPage.isEmptyMessageVisible()).toBe(true);
+      expect(await todoPage.isFilterEmptyMessageVisible()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Undo / Redo Test Suite
+ * Verifies that the task list and stats round-trip exactly through history
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+test.describe('Undo and Redo', () => {
+  let todoPage;
+  let initialTasks;
+  let initialStats;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+
+    initialTasks = await todoPage.getAllTaskTexts();
+    initialStats = await todoPage.getStatsText();
+  });
+
+  test.describe('Keyboard Shortcuts', () => {
+    test('should undo and redo an added task', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      const tasksAfterAdd = await todoPage.getAllTaskTexts();
+      const statsAfterAdd = await todoPage.getStatsText();
+
+      await todoPage.undo();
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+
+      await todoPage.redo();
+      expect(await todoPage.getAllTaskTexts()).toEqual(tasksAfterAdd);
+      expect(await todoPage.getStatsText()).toBe(statsAfterAdd);
+    });
+
+    test('should undo a deleted task back into its original position', async () => {
+      await todoPage.deleteTaskByIndex(1);
+      await todoPage.undo();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+    });
+
+    test('should undo and redo an edit', async () => {
+      await todoPage.editTaskByIndex(0, testData.testTasks.edited);
+      await todoPage.undo();
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(testData.defaultTasks[0]);
+
+      await todoPage.redo();
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(testData.testTasks.edited);
+    });
+
+    test('should undo a completion toggle', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.undo();
+
+      expect(await todoPage.isTaskCompleted(0)).toBe(false);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+    });
+
+    test('should undo several commands in reverse order and redo them all', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.taskA);
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.deleteTaskByIndex(1);
+      const finalTasks = await todoPage.getAllTaskTexts();
+      const finalStats = await todoPage.getStatsText();
+
+      for (let i = 0; i < 3; i++) {
+        await todoPage.undo();
+      }
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+
+      for (let i = 0; i < 3; i++) {
+        await todoPage.redo();
+      }
+      expect(await todoPage.getAllTaskTexts()).toEqual(finalTasks);
+      expect(await todoPage.getStatsText()).toBe(finalStats);
+    });
+
+    test('should drop the redo history when a new command is made', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.taskA);
+      await todoPage.undo();
+      await todoPage.addTaskByButton(testData.testTasks.taskB);
+      await todoPage.redo();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...initialTasks, testData.testTasks.taskB]);
+    });
+
+    test('should do nothing when there is nothing to undo', async () => {
+      await todoPage.undo();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+    });
+
+    test('should leave the task list alone when Ctrl+Z is pressed in the input', async () => {
+      await todoPage.addTaskByEnter(testData.testTasks.keyboard);
+      await todoPage.pressUndoInInput();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...initialTasks, testData.testTasks.keyboard]);
+    });
+  });
+
+  test.describe('Undo Toast', () => {
+    test('should offer an Undo toast after a delete', async () => {
+      await todoPage.deleteFirstTask();
+
+      expect(await todoPage.isUndoToastVisible()).toBe(true);
+      expect(await todoPage.getUndoToastText()).toBe(testData.history.toastMessages.singleDelete);
+      expect(await todoPage.getUndoButtonText()).toBe(testData.history.undoButtonLabel);
+    });
+
+    test('should restore the deleted task from the toast', async () => {
+      await todoPage.deleteFirstTask();
+      await todoPage.clickUndoInToast();
+
+      expect(await todoPage.isUndoToastVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.getStatsText()).toBe(initialStats);
+    });
+
+    test('should restore only the deleted task from the toast after another change', async () => {
+      await todoPage.deleteFirstTask();
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.clickUndoInToast();
+
+      expect(await todoPage.isUndoToastVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+      expect(await todoPage.isTaskCompleted(0)).toBe(false);
+      expect(await todoPage.isTaskCompleted(1)).toBe(true);
+    });
+
+    test('should count every task removed by a bulk delete', async () => {
+      await todoPage.toggleAllTasks();
+      await todoPage.clearCompletedTasks();
+
+      expect(await todoPage.getUndoToastText()).toBe(testData.history.toastMessages.allCompletedCleared);
+
+      await todoPage.clickUndoInToast();
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleAll);
+    });
+
+    test('should not show a toast for commands other than delete', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.toggleTaskByIndex(0);
+
+      expect(await todoPage.isUndoToastVisible()).toBe(false);
+    });
+
+    test('should hide the toast after its timeout', async () => {
+      await todoPage.installClock();
+      await todoPage.deleteFirstTask();
+      expect(await todoPage.isUndoToastVisible()).toBe(true);
+
+      await todoPage.fastForwardClock(testData.history.undoToastTimeoutMs);
+      await todoPage.waitForUndoToastHidden();
+
+      // The command is still in history after the toast is gone
+      await todoPage.undo();
+      expect(await todoPage.getAllTaskTexts()).toEqual(initialTasks);
+    });
+  });
+
+  test.describe('History Depth', () => {
+    test('should only keep the most recent commands', async () => {
+      const commandCount = testData.history.maxDepth + testData.history.overflowCommands;
+      const addedTasks = [];
+      for (let i = 1; i <= commandCount; i++) {
+        const taskText = `${testData.testTasks.rapid} ${i}`;
+        addedTasks.push(taskText);
+        await todoPage.addTaskByEnter(taskText);
+      }
+
+      for (let i = 0; i < commandCount; i++) {
+        await todoPage.undo();
+      }
+
+      const survivingTasks = addedTasks.slice(0, testData.history.overflowCommands);
+      expect(await todoPage.getAllTaskTexts()).toEqual([...initialTasks, ...survivingTasks]);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Named Lists Test Suite
+ * Covers creating, renaming, deleting and switching lists from the sidebar,
+ * per-list task counts and moving tasks between lists
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, ListSidebar, testData } = require('../pages/fixtures');
+
+const { lists } = testData;
+
+test.describe('Named Lists', () => {
+  let todoPage;
+  let listSidebar;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    listSidebar = new ListSidebar(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  // Creates the work list (which opens it) and fills it with lists.workTasks
+  const createWorkList = async () => {
+    await listSidebar.createList(lists.work);
+    for (const task of lists.workTasks) {
+      await todoPage.addTaskByButton(task);
+    }
+  };
+
+  test.describe('Default List', () => {
+    test('should start with only the default list open', async () => {
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+      expect(await listSidebar.getActiveListName()).toBe(lists.defaultName);
+    });
+
+    test('should count the default tasks', async () => {
+      expect(await listSidebar.getListCounts()).toEqual({ [lists.defaultName]: testData.initialTaskCount });
+    });
+
+    test('should not allow deleting the only list', async () => {
+      expect(await listSidebar.canDeleteList(lists.defaultName)).toBe(false);
+    });
+
+    test('should not offer to move tasks while there is only one list', async () => {
+      expect(await todoPage.getMoveTargets(0)).toEqual([]);
+    });
+  });
+
+  test.describe('Creating Lists', () => {
+    test('should create a list and open it', async () => {
+      await listSidebar.createList(lists.work);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName, lists.work]);
+      expect(await listSidebar.getActiveListName()).toBe(lists.work);
+      expect(await todoPage.getHeadingText()).toBe(lists.work);
+      expect(await todoPage.getEmptyMessageText()).toBe(lists.emptyMessage);
+    });
+
+    test('should create a list by pressing Enter', async () => {
+      await listSidebar.createListByEnter(lists.work);
+
+      expect(await listSidebar.getActiveListName()).toBe(lists.work);
+      expect(await listSidebar.getNewListInputValue()).toBe('');
+    });
+
+    test('should trim the list name', async () => {
+      await listSidebar.createList(lists.paddedName);
+
+      expect(await listSidebar.getActiveListName()).toBe(lists.trimmedName);
+    });
+
+    test('should accept a unicode list name', async () => {
+      await listSidebar.createList(lists.unicodeName);
+
+      expect(await todoPage.getHeadingText()).toBe(lists.unicodeName);
+    });
+
+    test('should ignore a whitespace-only name', async () => {
+      await listSidebar.createList(lists.whitespaceName);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+    });
+
+    test('should reject a name that only differs in case from an existing list', async () => {
+      await listSidebar.createList(lists.work);
+      await listSidebar.createList(lists.duplicateOfWork);
+
+      expect(await todoPage.getErrorBannerText()).toBe(lists.duplicateError);
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName, lists.work]);
+      expect(await listSidebar.getNewListInputValue()).toBe(lists.duplicateOfWork);
+    });
+
+    test('should reject a name over the length limit', async () => {
+      await listSidebar.createList(lists.tooLongName);
+
+      expect(await todoPage.getErrorBannerText()).toBe(lists.tooLongError);
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+    });
+
+    test('should save new lists on the server', async () => {
+      await listSidebar.createList(lists.work);
+
+      const serverLists = await listSidebar.getServerLists(lists.apiPath);
+      expect(serverLists.map(list => list.name)).toEqual([lists.defaultName, lists.work]);
+    });
+
+    test('should keep lists and the open list after reload', async () => {
+      await createWorkList();
+      await todoPage.reload();
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName, lists.work]);
+      expect(await listSidebar.getActiveListName()).toBe(lists.work);
+      expect(await todoPage.getAllTaskTexts()).toEqual(lists.workTasks);
+    });
+  });
+
+  test.describe('Switching Lists', () => {
+    test.beforeEach(async () => {
+      await createWorkList();
+    });
+
+    test('should keep each list\'s tasks separate', async () => {
+      expect(await todoPage.getAllTaskTexts()).toEqual(lists.workTasks);
+
+      await listSidebar.selectList(lists.defaultName);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.getHeadingText()).toBe(lists.defaultName);
+    });
+
+    test('should show per-list task counts in the sidebar', async () => {
+      expect(await listSidebar.getListCounts()).toEqual({
+        [lists.defaultName]: testData.initialTaskCount,
+        [lists.work]: lists.workTasks.length
+      });
+    });
+
+    test('should limit the stats to the open list', async () => {
+      await todoPage.toggleTaskByIndex(0);
+
+      expect(await todoPage.getStatsCounts()).toEqual({
+        total: lists.workTasks.length,
+        active: lists.workTasks.length - 1,
+        completed: 1
+      });
+    });
+
+    test('should only complete the open list\'s tasks with mark all complete', async () => {
+      await todoPage.toggleAllTasks();
+      await listSidebar.selectList(lists.defaultName);
+
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+  });
+
+  test.describe('Renaming Lists', () => {
+    test('should rename a list in the sidebar and the heading', async () => {
+      await listSidebar.renameList(lists.defaultName, lists.renamed);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.renamed]);
+      expect(await todoPage.getHeadingText()).toBe(lists.renamed);
+    });
+
+    test('should keep a renamed list after reload', async () => {
+      await listSidebar.renameList(lists.defaultName, lists.renamed);
+      await todoPage.reload();
+
+      expect(await todoPage.getHeadingText()).toBe(lists.renamed);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should cancel renaming with Escape', async () => {
+      await listSidebar.cancelRename(lists.defaultName, lists.renamed);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+    });
+
+    test('should keep the name when the rename is emptied', async () => {
+      await listSidebar.renameList(lists.defaultName, lists.whitespaceName);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+    });
+
+    test('should reject renaming to another list\'s name', async () => {
+      await listSidebar.createList(lists.work);
+      await listSidebar.renameList(lists.defaultName, lists.duplicateOfWork);
+
+      expect(await todoPage.getErrorBannerText()).toBe(lists.duplicateError);
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName, lists.work]);
+    });
+  });
+
+  test.describe('Deleting Lists', () => {
+    test.beforeEach(async () => {
+      await createWorkList();
+    });
+
+    test('should delete the open list with its tasks and open its neighbour', async () => {
+      await listSidebar.deleteList(lists.work);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName]);
+      expect(await todoPage.getHeadingText()).toBe(lists.defaultName);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should keep the open list when another list is deleted', async () => {
+      await listSidebar.createList(lists.home);
+      await listSidebar.deleteList(lists.work);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.defaultName, lists.home]);
+      expect(await listSidebar.getActiveListName()).toBe(lists.home);
+    });
+
+    test('should delete the list\'s tasks on the server', async () => {
+      await listSidebar.deleteList(lists.work);
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks.map(task => task.text)).toEqual(testData.defaultTasks);
+      const serverLists = await listSidebar.getServerLists(lists.apiPath);
+      expect(serverLists.map(list => list.name)).toEqual([lists.defaultName]);
+    });
+
+    test('should allow deleting the default list while another list exists', async () => {
+      await listSidebar.deleteList(lists.defaultName);
+
+      expect(await listSidebar.getListNames()).toEqual([lists.work]);
+      expect(await listSidebar.canDeleteList(lists.work)).toBe(false);
+    });
+  });
+
+  test.describe('Moving Tasks', () => {
+    test.beforeEach(async () => {
+      await createWorkList();
+      await listSidebar.selectList(lists.defaultName);
+    });
+
+    test('should offer every other list as a move target', async () => {
+      await listSidebar.createList(lists.home);
+      await listSidebar.selectList(lists.defaultName);
+
+      expect(await todoPage.getMoveTargets(0)).toEqual([lists.work, lists.home]);
+    });
+
+    test('should move a task to another list', async () => {
+      await todoPage.moveTaskToList(0, lists.work);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks.slice(1));
+      expect(await listSidebar.getListCounts()).toEqual({
+        [lists.defaultName]: testData.initialTaskCount - 1,
+        [lists.work]: lists.workTasks.length + 1
+      });
+
+      await listSidebar.selectList(lists.work);
+      expect(await todoPage.getAllTaskTexts()).toEqual([...lists.workTasks, testData.defaultTasks[0]]);
+    });
+
+    test('should undo a move from the toast', async () => {
+      await todoPage.moveTaskToList(0, lists.work);
+
+      expect(await todoPage.getUndoToastText()).toBe(lists.movedToast);
+      await todoPage.clickUndoInToast();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should keep a moved task in its new list after reload', async () => {
+      await todoPage.moveTaskToList(0, lists.work);
+      await todoPage.waitForSyncIdle();
+      await todoPage.reload();
+      await listSidebar.selectList(lists.work);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...lists.workTasks, testData.defaultTasks[0]]);
+    });
+  });
+});
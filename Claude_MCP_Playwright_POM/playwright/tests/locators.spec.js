@@ -0,0 +1,82 @@
+/**
+ * Locator Strategy Test Suite
+ * Covers resolving locator definitions by CSS, role, test id and text,
+ * running the same flows against a swapped selector map, and the selector
+ * map validation the todoPage fixture runs at setup
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, testData } = require('../pages/fixtures');
+
+const { locatorStrategies } = testData;
+
+test.describe('Locator Strategies', () => {
+  test.describe('Strategies', () => {
+    for (const [strategy, definition] of Object.entries(locatorStrategies.addButtonDefinitions)) {
+      test(`should add a task with the Add button found by ${strategy}`, async ({ page }) => {
+        const todoPage = new TodoPage(page, { ...testData.uiElements, addButton: definition });
+        await todoPage.goto();
+        await todoPage.addTaskByButton(testData.testTasks.new);
+
+        expect(await todoPage.getAllTaskTexts()).toEqual([...testData.defaultTasks, testData.testTasks.new]);
+      });
+    }
+
+    test('should reject a definition that names two strategies', async ({ page }) => {
+      const selectorMap = { ...testData.uiElements, addButton: locatorStrategies.ambiguousDefinition };
+
+      expect(() => new TodoPage(page, selectorMap)).toThrow(locatorStrategies.ambiguousDefinitionError);
+    });
+  });
+
+  test.describe('Test Id Selector Map', () => {
+    test.use({ selectorMap: { ...testData.uiElements, ...testData.testIdLocators } });
+
+    test('should pass validation and show the default tasks', async ({ todoPage }) => {
+      expect(await todoPage.getHeadingText()).toBe(testData.lists.defaultName);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should add, complete and delete tasks', async ({ todoPage }) => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.task(testData.testTasks.new).toggle();
+      await todoPage.task(0).delete();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...testData.defaultTasks.slice(1), testData.testTasks.new]);
+      expect(await todoPage.task(testData.testTasks.new).isCompleted()).toBe(true);
+    });
+
+    test('should edit a task inline', async ({ todoPage }) => {
+      await todoPage.task(0).edit(testData.testTasks.simple);
+
+      expect(await todoPage.task(0).text()).toBe(testData.testTasks.simple);
+    });
+
+    test('should count tasks per list in the sidebar', async ({ todoPage, listSidebar }) => {
+      await listSidebar.createList(testData.lists.work);
+
+      expect(await listSidebar.getListCounts()).toEqual({
+        [testData.lists.defaultName]: testData.initialTaskCount,
+        [testData.lists.work]: 0
+      });
+      expect(await todoPage.getEmptyMessageText()).toBe(testData.lists.emptyMessage);
+    });
+  });
+
+  test.describe('Validation', () => {
+    test('should accept the default selector map', async ({ todoPage }) => {
+      await expect(todoPage.validateLocators(locatorStrategies.required)).resolves.toBeUndefined();
+    });
+
+    test('should list every required locator that finds nothing', async ({ page }) => {
+      const todoPage = new TodoPage(page, { ...testData.uiElements, ...locatorStrategies.brokenMap });
+      await todoPage.goto();
+
+      await expect(todoPage.validateLocators(locatorStrategies.required)).rejects.toThrow(locatorStrategies.brokenMapError);
+    });
+
+    test('should report a required locator missing from the map', async ({ todoPage }) => {
+      await expect(todoPage.validateLocators([locatorStrategies.missingKey])).rejects.toThrow(locatorStrategies.missingKeyError);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Network Conditions Test Suite
+ * Uses the mockApi fixture to simulate latency, server errors, malformed
+ * payloads and offline states
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, testData } = require('../pages/fixtures');
+
+const scenarios = testData.mockScenarios;
+const textsOf = (tasks) => tasks.map(task => task.text);
+
+test.describe('Network Conditions', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Navigation happens inside each test so the mock can be installed first
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('Canned Responses', () => {
+    test('should render the canned task list', async ({ mockApi }) => {
+      await mockApi.install(scenarios.cannedList);
+      await todoPage.goto();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.cannedList.tasks));
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+    });
+
+    test('should show the empty state for an empty list', async ({ mockApi }) => {
+      await mockApi.install(scenarios.emptyList);
+      await todoPage.goto();
+
+      await todoPage.waitForEmptyMessage();
+      expect(await todoPage.getEmptyMessageText()).toBe(testData.emptyStateMessage);
+    });
+
+    test('should send the new task in the create request', async ({ mockApi }) => {
+      await mockApi.install(scenarios.cannedList);
+      await todoPage.goto();
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.waitForSyncIdle();
+
+      const [createRequest] = mockApi.getRequests('POST');
+      expect(createRequest.body.text).toBe(testData.testTasks.new);
+      expect(createRequest.body.completed).toBe(false);
+      expect(textsOf(mockApi.getTasks())).toEqual([...textsOf(scenarios.cannedList.tasks), testData.testTasks.new]);
+    });
+  });
+
+  test.describe('Latency', () => {
+    test('should show the loading state until the list arrives', async ({ mockApi }) => {
+      await mockApi.install(scenarios.slowLoad);
+      await todoPage.navigate();
+
+      await todoPage.waitForLoadingMessage();
+      expect(await todoPage.getLoadingMessageText()).toBe(testData.api.loadingMessage);
+      expect(await todoPage.isInputEnabled()).toBe(false);
+
+      await todoPage.waitForLoaded();
+      expect(await todoPage.isLoadingMessageVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.slowLoad.tasks));
+    });
+
+    test('should show an added task before the server confirms it', async ({ mockApi }) => {
+      await mockApi.install(scenarios.slowSave);
+      await todoPage.goto();
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      expect(await todoPage.hasTextInPage(testData.testTasks.new)).toBe(true);
+      expect(await todoPage.getSyncStatusText()).toBe(testData.api.savingMessage);
+
+      await todoPage.waitForSyncIdle();
+      expect(await todoPage.isSyncStatusVisible()).toBe(false);
+      expect(await todoPage.hasTextInPage(testData.testTasks.new)).toBe(true);
+    });
+  });
+
+  test.describe('Error Banners', () => {
+    test('should show the load error with the cached tasks', async ({ mockApi }) => {
+      await mockApi.install(scenarios.loadError);
+      await todoPage.goto();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.load);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    for (const name of testData.malformedScenarioNames) {
+      test(`should treat a ${name} payload as a load error`, async ({ mockApi }) => {
+        await mockApi.install(scenarios[name]);
+        await todoPage.goto();
+
+        expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.load);
+        expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      });
+    }
+
+    test('should roll back and report an add the server rejects', async ({ mockApi }) => {
+      await mockApi.install(scenarios.saveError);
+      await todoPage.goto();
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.save);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.saveError.tasks));
+    });
+
+    test('should roll back and report an edit the server rejects', async ({ mockApi }) => {
+      await mockApi.install(scenarios.saveError);
+      await todoPage.goto();
+      await todoPage.editTaskByIndex(0, testData.testTasks.edited);
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.save);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.saveError.tasks));
+    });
+
+    test('should roll back and report a delete the server rejects', async ({ mockApi }) => {
+      await mockApi.install(scenarios.saveError);
+      await todoPage.goto();
+      await todoPage.deleteFirstTask();
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.save);
+      expect(await todoPage.isUndoToastVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.saveError.tasks));
+    });
+  });
+
+  test.describe('Retry', () => {
+    test('should load the list when a retry succeeds', async ({ mockApi }) => {
+      await mockApi.install(scenarios.flakyLoad);
+      await todoPage.goto();
+      expect(await todoPage.isErrorBannerVisible()).toBe(true);
+
+      mockApi.reset();
+      await todoPage.clickRetry();
+
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.flakyLoad.tasks));
+    });
+
+    test('should keep the error banner when a retry fails again', async ({ mockApi }) => {
+      await mockApi.install(scenarios.loadError);
+      await todoPage.goto();
+      await todoPage.clickRetry();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.load);
+      expect(await todoPage.isRetryButtonVisible()).toBe(true);
+    });
+  });
+
+  test.describe('Offline', () => {
+    test('should show the tasks saved on this device when offline', async ({ mockApi }) => {
+      await todoPage.seedStorage(testData.storage.key, {
+        version: testData.storage.schemaVersion,
+        tasks: testData.storage.seededTasks
+      });
+      await mockApi.install(scenarios.offline);
+      await todoPage.goto();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.load);
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(testData.storage.seededTasks));
+    });
+
+    test('should load from the server after reconnecting and retrying', async ({ mockApi }) => {
+      await mockApi.install(scenarios.offline);
+      await todoPage.goto();
+
+      mockApi.goOnline();
+      mockApi.setTasks(scenarios.cannedList.tasks);
+      await todoPage.clickRetry();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsOf(scenarios.cannedList.tasks));
+    });
+
+    test('should roll back changes made after the connection drops', async ({ mockApi }) => {
+      await mockApi.install(scenarios.cannedList);
+      await todoPage.goto();
+
+      mockApi.goOffline();
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.waitForSyncIdle();
+
+      expect(await todoPage.getErrorBannerText()).toBe(testData.api.errorMessages.save);
+      expect(await todoPage.isTaskCompleted(0)).toBe(scenarios.cannedList.tasks[0].completed);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Offline Support Test Suite
+ * Takes the browser context offline with context.setOffline(): the web
+ * manifest, loading the app shell from the service worker's cache, and
+ * changes queued while offline being sent once the connection returns
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, testData } = require('../pages/fixtures');
+
+const { offline } = testData;
+const textsOf = (tasks) => tasks.map(task => task.text);
+
+test.describe('Offline Support', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Installable App Shell', () => {
+    // Blocked everywhere else so page.route() sees every request
+    test.use({ serviceWorkers: 'allow' });
+
+    test('should link a web manifest describing the app', async () => {
+      const { url, manifest } = await todoPage.getManifest();
+
+      expect(url).toBe(offline.manifestUrl);
+      expect(manifest).toMatchObject(offline.manifest);
+      expect(manifest.icons.length).toBeGreaterThan(0);
+    });
+
+    test('should control the page with a service worker after a reload', async () => {
+      await todoPage.waitForServiceWorker();
+      await todoPage.reload();
+
+      expect(await todoPage.isControlledByServiceWorker()).toBe(true);
+    });
+
+    test('should load the app from cache while offline', async () => {
+      await todoPage.waitForServiceWorker();
+      await todoPage.goOffline();
+      await todoPage.reload();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.getErrorBannerText()).toBe(offline.errorMessages.load);
+      expect(await todoPage.getOutboxStatusText()).toBe(offline.statusMessages.nothingQueued);
+    });
+
+    test('should keep queued changes across a reload while offline', async () => {
+      await todoPage.waitForServiceWorker();
+      await todoPage.goOffline();
+      await todoPage.addTaskByButton(offline.queuedTask);
+      await todoPage.reload();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...testData.defaultTasks, offline.queuedTask]);
+      expect(await todoPage.getOutboxStatusText()).toBe(offline.statusMessages.oneQueued);
+
+      await todoPage.goOnline();
+
+      await expect.poll(async () => textsOf(await todoPage.getServerTasks(testData.api.tasksPath)))
+        .toEqual([...testData.defaultTasks, offline.queuedTask]);
+    });
+  });
+
+  test.describe('Queued Changes', () => {
+    test('should show the offline status when the connection drops', async () => {
+      await todoPage.goOffline();
+
+      await expect.poll(() => todoPage.getOutboxStatusText()).toBe(offline.statusMessages.nothingQueued);
+    });
+
+    test('should hide the offline status when the connection returns', async () => {
+      await todoPage.goOffline();
+      await expect.poll(() => todoPage.isOutboxStatusVisible()).toBe(true);
+
+      await todoPage.goOnline();
+
+      await expect.poll(() => todoPage.isOutboxStatusVisible()).toBe(false);
+    });
+
+    test('should apply a change made offline and queue it for the server', async () => {
+      await todoPage.goOffline();
+      await todoPage.addTaskByButton(offline.queuedTask);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...testData.defaultTasks, offline.queuedTask]);
+      expect(await todoPage.getOutboxStatusText()).toBe(offline.statusMessages.oneQueued);
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+      expect(await todoPage.getStoredValue(offline.outboxKey)).toHaveLength(1);
+      expect(textsOf(await todoPage.getServerTasks(testData.api.tasksPath))).toEqual(testData.defaultTasks);
+    });
+
+    test('should send queued changes in order on reconnect', async () => {
+      await todoPage.goOffline();
+      await todoPage.addTaskByButton(offline.queuedTask);
+      await todoPage.editTaskByIndex(0, offline.editedTask);
+      await todoPage.deleteTaskByIndex(1);
+      expect(await todoPage.getOutboxStatusText()).toBe(offline.statusMessages.threeQueued);
+
+      await todoPage.goOnline();
+
+      await expect.poll(async () => textsOf(await todoPage.getServerTasks(testData.api.tasksPath)))
+        .toEqual(offline.afterQueuedChanges);
+      await expect.poll(() => todoPage.getAllTaskTexts()).toEqual(offline.afterQueuedChanges);
+      expect(await todoPage.isOutboxStatusVisible()).toBe(false);
+      expect(await todoPage.getStoredValue(offline.outboxKey)).toEqual([]);
+    });
+
+    test('should show the server tasks when it rejects a queued change', async () => {
+      await todoPage.goOffline();
+      await todoPage.addTaskByButton(offline.queuedTask);
+      await todoPage.failApiWrites(testData.api.routePattern, testData.api.failureStatus);
+
+      await todoPage.goOnline();
+
+      await expect.poll(() => todoPage.getErrorBannerText()).toBe(offline.errorMessages.rejected);
+      await expect.poll(() => todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.getStoredValue(offline.outboxKey)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Task Persistence Test Suite
+ * Covers reload survival, plus the localStorage copy the app falls back to when
+ * the server is unreachable: schema migration and corrupted-data recovery
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+test.describe('Task Persistence', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Navigation happens inside each test so storage can be seeded first
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('Reload Survival', () => {
+    test.beforeEach(async () => {
+      await todoPage.clearStorage(testData.storage.key);
+      await todoPage.goto();
+    });
+
+    test('should keep an added task after reload', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+      await todoPage.reload();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual([...testData.defaultTasks, testData.testTasks.new]);
+    });
+
+    test('should keep a deleted task removed after reload', async () => {
+      await todoPage.deleteFirstTask();
+      await todoPage.reload();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.defaultTasks.slice(1));
+    });
+
+    test('should keep the empty state after reload instead of restoring defaults', async () => {
+      await todoPage.deleteAllTasks();
+      await todoPage.reload();
+
+      await todoPage.waitForEmptyMessage();
+      const stats = await todoPage.getStatsText();
+      expect(stats).toContain(testData.taskCounterMessages.afterDeleteAll);
+    });
+
+    test('should keep the task counter accurate after reload', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.taskA);
+      await todoPage.reload();
+
+      const stats = await todoPage.getStatsText();
+      expect(stats).toContain(testData.taskCounterMessages.afterAddOne);
+    });
+
+    test('should keep completion state after reload', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.reload();
+
+      expect(await todoPage.isTaskCompleted(0)).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+    });
+
+    test('should save tasks using the current schema version', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      const stored = await todoPage.getStoredValue(testData.storage.key);
+      expect(stored.version).toBe(testData.storage.schemaVersion);
+      expect(stored.tasks.map(task => task.text)).toEqual([...testData.defaultTasks, testData.testTasks.new]);
+    });
+  });
+
+  test.describe('Offline Cache', () => {
+    test.beforeEach(async () => {
+      // The cached copy is only shown when the server cannot be reached
+      await todoPage.blockApi(testData.api.routePattern);
+    });
+
+    test('should show default tasks when storage is empty', async () => {
+      await todoPage.clearStorage(testData.storage.key);
+      await todoPage.goto();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.defaultTasks);
+    });
+
+    test('should load previously saved tasks', async () => {
+      await todoPage.seedStorage(testData.storage.key, {
+        version: testData.storage.schemaVersion,
+        tasks: testData.storage.seededTasks
+      });
+      await todoPage.goto();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.storage.seededTasks.map(task => task.text));
+    });
+
+    test('should migrate the legacy array shape to the current schema', async () => {
+      await todoPage.seedStorage(testData.storage.key, testData.storage.legacyTasks);
+      await todoPage.goto();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.storage.legacyTasks.map(task => task.text));
+
+      const stored = await todoPage.getStoredValue(testData.storage.key);
+      expect(stored.version).toBe(testData.storage.schemaVersion);
+    });
+
+    test('should migrate version one tasks as not completed', async () => {
+      await todoPage.seedStorage(testData.storage.key, testData.storage.v1Payload);
+      await todoPage.goto();
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.storage.v1Payload.tasks.map(task => task.text));
+      expect(await todoPage.isTaskCompleted(0)).toBe(false);
+    });
+
+    test('should migrate version two tasks without a due date, priority or tags', async () => {
+      await todoPage.seedStorage(testData.storage.key, testData.storage.v2Payload);
+      await todoPage.goto();
+
+      expect(await todoPage.isTaskCompleted(0)).toBe(true);
+      expect(await todoPage.getTaskDueDate(0)).toBeNull();
+      expect(await todoPage.getTaskPriority(0)).toBeNull();
+      expect(await todoPage.getTaskTags(0)).toEqual([]);
+
+      const stored = await todoPage.getStoredValue(testData.storage.key);
+      expect(stored.version).toBe(testData.storage.schemaVersion);
+    });
+
+    test('should restore the completion state of saved tasks', async () => {
+      await todoPage.seedStorage(testData.storage.key, {
+        version: testData.storage.schemaVersion,
+        tasks: testData.storage.seededTasks
+      });
+      await todoPage.goto();
+
+      for (let i = 0; i < testData.storage.seededTasks.length; i++) {
+        expect(await todoPage.isTaskCompleted(i)).toBe(testData.storage.seededTasks[i].completed);
+      }
+    });
+  });
+
+  test.describe('Corrupted Data Recovery', () => {
+    test.beforeEach(async () => {
+      await todoPage.blockApi(testData.api.routePattern);
+    });
+
+    for (const [name, payload] of Object.entries(testData.storage.corruptedPayloads)) {
+      test(`should fall back to default tasks for ${name} data`, async () => {
+        await todoPage.seedStorage(testData.storage.key, payload);
+        await todoPage.goto();
+
+        const allTasks = await todoPage.getAllTaskTexts();
+        expect(allTasks).toEqual(testData.defaultTasks);
+      });
+    }
+
+    test('should overwrite corrupted data with a valid payload', async () => {
+      await todoPage.seedStorage(testData.storage.key, testData.storage.corruptedPayloads.invalidJson);
+      await todoPage.goto();
+
+      const stored = await todoPage.getStoredValue(testData.storage.key);
+      expect(stored.version).toBe(testData.storage.schemaVersion);
+      expect(stored.tasks.map(task => task.text)).toEqual(testData.defaultTasks);
+    });
+  });
+});
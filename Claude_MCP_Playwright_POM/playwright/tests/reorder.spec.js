@@ -0,0 +1,94 @@
+/**
+ * Task Reordering Test Suite
+ * Covers drag-and-drop and Alt+Arrow keyboard moves
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+test.describe('Reordering Tasks', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Drag and Drop', () => {
+    test('should move the first task to the end', async () => {
+      await todoPage.dragTask(0, 2);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterFirstToLast);
+    });
+
+    test('should move the last task to the top', async () => {
+      await todoPage.dragTask(2, 0);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterLastToFirst);
+    });
+
+    test('should leave the order alone when a task is dropped on itself', async () => {
+      await todoPage.dragTask(1, 1);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should not change the stats counters', async () => {
+      const statsBefore = await todoPage.getStatsText();
+      await todoPage.dragTask(0, 2);
+
+      expect(await todoPage.getStatsText()).toBe(statsBefore);
+    });
+  });
+
+  test.describe('Keyboard', () => {
+    test('should move a task down with Alt+ArrowDown', async () => {
+      await todoPage.moveTaskWithKeyboard(0, 'down');
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterFirstDownOne);
+    });
+
+    test('should move a task up with Alt+ArrowUp', async () => {
+      await todoPage.moveTaskWithKeyboard(2, 'up');
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterLastUpOne);
+    });
+
+    test('should keep focus on the moved task across repeated moves', async () => {
+      await todoPage.moveTaskWithKeyboard(0, 'down', 2);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterFirstDownTwo);
+      expect(await todoPage.isTaskFocused(2)).toBe(true);
+    });
+
+    test('should not move the first task further up', async () => {
+      await todoPage.moveTaskWithKeyboard(0, 'up');
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+
+    test('should not move the last task further down', async () => {
+      await todoPage.moveTaskWithKeyboard(2, 'down');
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+  });
+
+  test.describe('Persistence and History', () => {
+    test('should keep the new order after reload', async () => {
+      await todoPage.dragTask(0, 2);
+      await todoPage.reload();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterFirstToLast);
+    });
+
+    test('should undo and redo a move', async () => {
+      await todoPage.moveTaskWithKeyboard(0, 'down');
+      await todoPage.undo();
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+
+      await todoPage.redo();
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.reorder.afterFirstDownOne);
+    });
+  });
+});
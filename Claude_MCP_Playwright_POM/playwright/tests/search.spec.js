@@ -0,0 +1,158 @@
+/**
+ * Search Test Suite
+ * Covers debounced full-text search, match highlighting, the no-results state
+ * and the ?q= URL parameter
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const { search } = testData;
+
+test.describe('Search', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('Filtering and Highlighting', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should show an empty search box', async () => {
+      expect(await todoPage.getSearchPlaceholder()).toBe(search.placeholder);
+      expect(await todoPage.getSearchInputValue()).toBe('');
+      expect(await todoPage.getHighlightedSegments(0)).toEqual([]);
+    });
+
+    test('should filter tasks case-insensitively', async () => {
+      await todoPage.search(search.mixedCaseQuery);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(search.mixedCaseResults);
+      expect(await todoPage.getHighlightedSegments(0)).toEqual(search.mixedCaseHighlights);
+    });
+
+    test('should highlight every match in a task', async () => {
+      await todoPage.search(search.repeatedQuery);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(search.repeatedResults);
+      expect(await todoPage.getHighlightedSegments(search.repeatedResults.length - 1)).toEqual(search.repeatedHighlights);
+    });
+
+    test('should ignore surrounding whitespace in the query', async () => {
+      await todoPage.search(search.paddedQuery);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(search.paddedResults);
+      expect(await todoPage.getSearchParam()).toBe(search.paddedParam);
+    });
+
+    test('should match special characters literally', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.specialCharacters);
+      await todoPage.search(search.specialCharacterQuery);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([testData.testTasks.specialCharacters]);
+      expect(await todoPage.getHighlightedSegments(0)).toEqual([search.specialCharacterQuery]);
+    });
+
+    for (const query of search.unicodeQueries) {
+      test(`should find and highlight the unicode query "${query}"`, async () => {
+        await todoPage.addTaskByButton(testData.testTasks.unicode);
+        await todoPage.search(query);
+
+        expect(await todoPage.getAllTaskTexts()).toEqual([testData.testTasks.unicode]);
+        expect(await todoPage.getHighlightedSegments(0)).toEqual([query]);
+      });
+    }
+
+    test('should keep the full task text while highlighting', async () => {
+      await todoPage.search(search.mixedCaseQuery);
+
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(search.mixedCaseResults[0]);
+    });
+
+    test('should restore the full list when the search is cleared', async () => {
+      await todoPage.search(search.mixedCaseQuery);
+      await todoPage.clearSearch();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.getHighlightedSegments(0)).toEqual([]);
+    });
+
+    test('should leave the stats counting every task', async () => {
+      await todoPage.search(search.mixedCaseQuery);
+
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+  });
+
+  test.describe('No Results', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should show a no-results message distinct from the empty state', async () => {
+      await todoPage.search(search.unmatchedQuery);
+
+      expect(await todoPage.getTaskCount()).toBe(0);
+      expect(await todoPage.getSearchEmptyMessageText()).toBe(search.noResultsMessage);
+      expect(await todoPage.isEmptyMessageVisible()).toBe(false);
+    });
+
+    test('should show the empty state rather than no results when there are no tasks', async () => {
+      await todoPage.deleteAllTasks();
+      await todoPage.search(search.unmatchedQuery);
+
+      expect(await todoPage.isEmptyMessageVisible()).toBe(true);
+      expect(await todoPage.isSearchEmptyMessageVisible()).toBe(false);
+    });
+  });
+
+  test.describe('URL', () => {
+    test('should reflect the query in the URL', async () => {
+      await todoPage.goto();
+      await todoPage.search(search.urlQueryValue);
+
+      expect(await todoPage.getSearchParam()).toBe(search.urlQueryValue);
+    });
+
+    test('should remove the query from the URL when cleared', async () => {
+      await todoPage.goto();
+      await todoPage.search(search.urlQueryValue);
+      await todoPage.clearSearch();
+
+      expect(await todoPage.getSearchParam()).toBeNull();
+    });
+
+    test('should search for the query in the URL on load', async () => {
+      await todoPage.goto(search.urlWithQuery);
+
+      expect(await todoPage.getSearchInputValue()).toBe(search.urlQueryValue);
+      expect(await todoPage.getAllTaskTexts()).toEqual(search.urlQueryResults);
+    });
+
+    test('should keep the query when switching filters', async () => {
+      await todoPage.goto();
+      await todoPage.search(search.urlQueryValue);
+      await todoPage.clickFilter(testData.routes.completed.label);
+
+      expect(await todoPage.getCurrentHash()).toBe(testData.routes.completed.hash);
+      expect(await todoPage.getSearchParam()).toBe(search.urlQueryValue);
+    });
+  });
+
+  test.describe('Debouncing', () => {
+    test('should wait for typing to pause before filtering', async () => {
+      await todoPage.installClock();
+      await todoPage.goto();
+      await todoPage.pauseClock();
+
+      await todoPage.typeSearchQuery(search.mixedCaseQuery);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+
+      await todoPage.fastForwardClock(search.debounceMs);
+      await expect.poll(() => todoPage.getAllTaskTexts()).toEqual(search.mixedCaseResults);
+    });
+  });
+});
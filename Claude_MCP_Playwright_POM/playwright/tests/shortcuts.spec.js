@@ -0,0 +1,192 @@
+/**
+ * Keyboard Shortcuts Test Suite
+ * Walks the shortcut registry twice: once against the help overlay's list,
+ * and once pressing every binding and checking what it did. Also covers the
+ * overlay itself and shortcuts staying quiet while typing.
+ */
+
+const { expect } = require('@playwright/test');
+const { test, testData } = require('../pages/fixtures');
+
+const { shortcuts } = testData;
+const pressOf = action => shortcuts.registry.find(shortcut => shortcut.action === action).press;
+
+// What pressing each registered shortcut should do, starting from the
+// default tasks with nothing focused
+const effects = {
+  focusInput: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('focusInput'));
+
+    expect(await todoPage.isInputFocused()).toBe(true);
+    expect(await todoPage.getInputValue()).toBe('');
+  },
+
+  nextTask: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    expect(await todoPage.task(0).isFocused()).toBe(true);
+
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    expect(await todoPage.task(1).isFocused()).toBe(true);
+  },
+
+  previousTask: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('previousTask'));
+    expect(await todoPage.task(2).isFocused()).toBe(true);
+
+    await todoPage.pressShortcut(pressOf('previousTask'));
+    expect(await todoPage.task(1).isFocused()).toBe(true);
+  },
+
+  toggleTask: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('toggleTask'));
+
+    expect(await todoPage.task(0).isCompleted()).toBe(true);
+    expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+  },
+
+  deleteTask: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('deleteTask'));
+
+    expect(await todoPage.getAllTaskTexts()).toEqual(shortcuts.afterDeletingSecond);
+    expect(await todoPage.task(1).isFocused()).toBe(true);
+  },
+
+  editTask: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('editTask'));
+
+    expect(await todoPage.task(0).isEditorFocused()).toBe(true);
+    expect(await todoPage.task(0).editorValue()).toBe(testData.defaultTasks[0]);
+  },
+
+  undo: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('toggleTask'));
+    await todoPage.pressShortcut(pressOf('undo'));
+
+    expect(await todoPage.task(0).isCompleted()).toBe(false);
+  },
+
+  redo: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('nextTask'));
+    await todoPage.pressShortcut(pressOf('toggleTask'));
+    await todoPage.pressShortcut(pressOf('undo'));
+    await todoPage.pressShortcut(pressOf('redo'));
+
+    expect(await todoPage.task(0).isCompleted()).toBe(true);
+  },
+
+  showHelp: async (todoPage) => {
+    await todoPage.pressShortcut(pressOf('showHelp'));
+    expect(await todoPage.isShortcutHelpVisible()).toBe(true);
+
+    await todoPage.pressShortcut(pressOf('showHelp'));
+    expect(await todoPage.isShortcutHelpVisible()).toBe(false);
+  }
+};
+
+test.describe('Keyboard Shortcuts', () => {
+  test.describe('Help Overlay', () => {
+    test('should list every registered shortcut in order', async ({ todoPage }) => {
+      await todoPage.pressShortcut(pressOf('showHelp'));
+
+      expect(await todoPage.getShortcutHelpEntries())
+        .toEqual(shortcuts.registry.map(({ key, description }) => ({ key, description })));
+    });
+
+    test('should open from the header button with focus inside', async ({ todoPage }) => {
+      await todoPage.clickShortcutHelpButton();
+
+      expect(await todoPage.isShortcutHelpVisible()).toBe(true);
+      expect(await todoPage.isShortcutHelpCloseFocused()).toBe(true);
+    });
+
+    test('should close with Escape and give focus back', async ({ todoPage }) => {
+      await todoPage.pressShortcut(pressOf('nextTask'));
+      await todoPage.pressShortcut(pressOf('showHelp'));
+      await todoPage.pressShortcut('Escape');
+
+      expect(await todoPage.isShortcutHelpVisible()).toBe(false);
+      expect(await todoPage.task(0).isFocused()).toBe(true);
+    });
+
+    test('should close with its Close button', async ({ todoPage }) => {
+      await todoPage.clickShortcutHelpButton();
+      await todoPage.closeShortcutHelp();
+
+      expect(await todoPage.isShortcutHelpVisible()).toBe(false);
+    });
+
+    test('should ignore task shortcuts while open', async ({ todoPage }) => {
+      await todoPage.pressShortcut(pressOf('nextTask'));
+      await todoPage.pressShortcut(pressOf('showHelp'));
+      await todoPage.pressShortcut(pressOf('toggleTask'));
+      await todoPage.pressShortcut(pressOf('deleteTask'));
+
+      expect(await todoPage.isShortcutHelpVisible()).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+  });
+
+  test.describe('Registered Shortcuts', () => {
+    test('should have an effect check for every registered shortcut', () => {
+      expect(Object.keys(effects).sort()).toEqual(shortcuts.registry.map(shortcut => shortcut.action).sort());
+    });
+
+    for (const shortcut of shortcuts.registry) {
+      test(`should ${shortcut.description.toLowerCase()} with ${shortcut.key}`, async ({ todoPage }) => {
+        await effects[shortcut.action](todoPage);
+      });
+    }
+
+    test('should leave the tasks alone when no task has focus', async ({ todoPage }) => {
+      await todoPage.pressShortcut(pressOf('toggleTask'));
+      await todoPage.pressShortcut(pressOf('deleteTask'));
+      await todoPage.pressShortcut(pressOf('editTask'));
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+      expect(await todoPage.task(0).isEditing()).toBe(false);
+    });
+
+    test('should stop at the last task', async ({ todoPage }) => {
+      for (let i = 0; i <= testData.initialTaskCount; i++) {
+        await todoPage.pressShortcut(pressOf('nextTask'));
+      }
+
+      expect(await todoPage.task(testData.initialTaskCount - 1).isFocused()).toBe(true);
+    });
+  });
+
+  test.describe('While Typing', () => {
+    test('should type shortcut keys into the new task input', async ({ todoPage }) => {
+      await todoPage.focusInput();
+      for (const key of shortcuts.typedKeys) {
+        await todoPage.pressShortcut(key);
+      }
+
+      expect(await todoPage.getInputValue()).toBe(shortcuts.typedKeys.join(''));
+      expect(await todoPage.isShortcutHelpVisible()).toBe(false);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should type shortcut keys into the task editor', async ({ todoPage }) => {
+      await todoPage.task(0).startEditing();
+      await todoPage.pressShortcut(pressOf('toggleTask'));
+      await todoPage.pressShortcut(pressOf('deleteTask'));
+
+      expect(await todoPage.task(0).isEditing()).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should still add a task with Enter', async ({ todoPage }) => {
+      await todoPage.fillTaskInput(testData.testTasks.keyboard);
+      await todoPage.pressEnter();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual([...testData.defaultTasks, testData.testTasks.keyboard]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Subtasks Test Suite
+ * Covers the nested checklist under a task: adding, toggling and deleting
+ * subtasks, the progress indicator and auto-completing the parent.
+ * Rows are driven through the scoped TaskRow component object.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const { subtasks } = testData;
+
+test.describe('Subtasks', () => {
+  let todoPage;
+  let firstTask;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+    firstTask = todoPage.task(0);
+  });
+
+  test.describe('Checklist', () => {
+    test('should start collapsed without a progress indicator', async () => {
+      expect(await firstTask.isExpanded()).toBe(false);
+      expect(await firstTask.isSubtaskInputVisible()).toBe(false);
+      expect(await firstTask.getProgressText()).toBeNull();
+    });
+
+    test('should expand and collapse the checklist', async () => {
+      await firstTask.expandSubtasks();
+      expect(await firstTask.isSubtaskInputVisible()).toBe(true);
+
+      await firstTask.collapseSubtasks();
+      expect(await firstTask.isSubtaskInputVisible()).toBe(false);
+    });
+  });
+
+  test.describe('Adding Subtasks', () => {
+    test('should add subtasks in order', async () => {
+      await firstTask.addSubtasks(subtasks.items);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual(subtasks.items);
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.added);
+      expect(await firstTask.getSubtaskInputValue()).toBe('');
+    });
+
+    test('should add a subtask by pressing Enter', async () => {
+      await firstTask.addSubtaskByEnter(subtasks.items[0]);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual([subtasks.items[0]]);
+    });
+
+    test('should trim subtask text', async () => {
+      await firstTask.addSubtask(subtasks.padded);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual([subtasks.trimmed]);
+    });
+
+    test('should not add a whitespace-only subtask', async () => {
+      await firstTask.addSubtask(subtasks.whitespace);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual([]);
+      expect(await firstTask.getProgressText()).toBeNull();
+    });
+
+    test('should keep each task\'s subtasks separate', async () => {
+      const secondTask = todoPage.task(1);
+      await firstTask.addSubtasks(subtasks.items);
+      await secondTask.addSubtasks(subtasks.otherItems);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual(subtasks.items);
+      expect(await secondTask.getSubtaskTexts()).toEqual(subtasks.otherItems);
+    });
+  });
+
+  test.describe('Progress and Completion', () => {
+    test.beforeEach(async () => {
+      await firstTask.addSubtasks(subtasks.items);
+    });
+
+    test('should update the progress when a subtask is checked', async () => {
+      await firstTask.toggleSubtask(0);
+
+      expect(await firstTask.isSubtaskCompleted(0)).toBe(true);
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.oneDone);
+      expect(await firstTask.isCompleted()).toBe(false);
+    });
+
+    test('should update the progress when a subtask is unchecked', async () => {
+      await firstTask.toggleSubtask(0);
+      await firstTask.toggleSubtask(0);
+
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.added);
+    });
+
+    test('should complete the task when every subtask is done', async () => {
+      for (let i = 0; i < subtasks.items.length; i++) {
+        await firstTask.toggleSubtask(i);
+      }
+
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.allDone);
+      expect(await firstTask.isCompleted()).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+    });
+
+    test('should reopen the task when a subtask is unchecked again', async () => {
+      for (let i = 0; i < subtasks.items.length; i++) {
+        await firstTask.toggleSubtask(i);
+      }
+      await firstTask.toggleSubtask(0);
+
+      expect(await firstTask.isCompleted()).toBe(false);
+    });
+
+    test('should reopen a completed task when a subtask is added', async () => {
+      for (let i = 0; i < subtasks.items.length; i++) {
+        await firstTask.toggleSubtask(i);
+      }
+      await firstTask.addSubtask(subtasks.trimmed);
+
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.reopened);
+      expect(await firstTask.isCompleted()).toBe(false);
+    });
+
+    test('should complete the task when its last open subtask is deleted', async () => {
+      await firstTask.toggleSubtask(0);
+      await firstTask.toggleSubtask(1);
+      await firstTask.deleteSubtask(2);
+
+      expect(await firstTask.isCompleted()).toBe(true);
+    });
+  });
+
+  test.describe('Deleting Subtasks', () => {
+    test.beforeEach(async () => {
+      await firstTask.addSubtasks(subtasks.items);
+    });
+
+    test('should delete a subtask', async () => {
+      await firstTask.deleteSubtask(1);
+
+      expect(await firstTask.getSubtaskTexts()).toEqual([subtasks.items[0], subtasks.items[2]]);
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.oneDeleted);
+    });
+
+    test('should hide the progress once every subtask is deleted', async () => {
+      for (let i = 0; i < subtasks.items.length; i++) {
+        await firstTask.deleteSubtask(0);
+      }
+
+      expect(await firstTask.getProgressText()).toBeNull();
+      expect(await firstTask.isCompleted()).toBe(false);
+    });
+
+    test('should undo a subtask deletion', async () => {
+      await firstTask.deleteSubtask(1);
+      await todoPage.undo();
+
+      expect(await firstTask.getSubtaskTexts()).toEqual(subtasks.items);
+    });
+  });
+
+  test.describe('Persistence', () => {
+    test('should keep subtasks and their state after reload', async () => {
+      await firstTask.addSubtasks(subtasks.items);
+      await firstTask.toggleSubtask(0);
+      await todoPage.reload();
+      await firstTask.expandSubtasks();
+
+      expect(await firstTask.getSubtaskTexts()).toEqual(subtasks.items);
+      expect(await firstTask.isSubtaskCompleted(0)).toBe(true);
+      expect(await firstTask.getProgressText()).toBe(subtasks.progress.oneDone);
+    });
+
+    test('should save subtasks on the server', async () => {
+      await firstTask.addSubtasks(subtasks.items);
+
+      const [serverTask] = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTask.subtasks.map(subtask => subtask.text)).toEqual(subtasks.items);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Cross-Tab Sync Test Suite
+ * Drives one tab and checks the other through two TodoPages open in the same
+ * browser context: adds, deletes, edits, completion, order and lists, edits
+ * of the same task in both tabs, and the storage-event fallback
+ */
+
+const { expect } = require('@playwright/test');
+const { test, ListSidebar, testData } = require('../pages/fixtures');
+
+const { tabSync } = testData;
+
+test.describe('Cross-Tab Sync', () => {
+  let first;
+  let second;
+
+  test.beforeEach(async ({ tabs }) => {
+    ({ first, second } = tabs);
+  });
+
+  test.describe('Changes Made in One Tab', () => {
+    test('should show a task added in the first tab in the second', async () => {
+      await first.addTaskByButton(tabSync.firstTabTask);
+
+      await expect.poll(() => second.getAllTaskTexts()).toEqual([...testData.defaultTasks, tabSync.firstTabTask]);
+    });
+
+    test('should remove a task deleted in the second tab from the first', async () => {
+      await second.deleteTaskByIndex(0);
+
+      await expect.poll(() => first.getAllTaskTexts()).toEqual(tabSync.afterDeletingFirst);
+    });
+
+    test('should show an edit made in the first tab in the second', async () => {
+      await first.editTaskByIndex(1, tabSync.firstTabEdit);
+
+      await expect.poll(() => second.getTaskTextByIndex(1)).toBe(tabSync.firstTabEdit);
+    });
+
+    test('should show a task completed in the first tab in the second', async () => {
+      await first.toggleTaskByIndex(0);
+
+      await expect.poll(() => second.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+      expect(await second.isTaskCompleted(0)).toBe(true);
+    });
+
+    test('should show a reorder made in the first tab in the second', async () => {
+      await first.moveTaskWithKeyboard(0, 'down');
+
+      await expect.poll(() => second.getAllTaskTexts()).toEqual(testData.reorder.afterFirstDownOne);
+    });
+
+    test('should show a list created in the second tab in the first', async () => {
+      const firstSidebar = new ListSidebar(first.page, testData.uiElements);
+      const secondSidebar = new ListSidebar(second.page, testData.uiElements);
+      await secondSidebar.createList(testData.lists.work);
+
+      await expect.poll(() => firstSidebar.getListNames()).toEqual([testData.lists.defaultName, testData.lists.work]);
+    });
+  });
+
+  test.describe('Changes Made in Both Tabs', () => {
+    test('should keep edits made to different tasks in each tab', async () => {
+      await first.editTaskByIndex(0, tabSync.firstTabEdit);
+      await second.editTaskByIndex(2, tabSync.secondTabEdit);
+
+      await expect.poll(() => first.getAllTaskTexts()).toEqual(tabSync.afterSeparateEdits);
+      await expect.poll(() => second.getAllTaskTexts()).toEqual(tabSync.afterSeparateEdits);
+    });
+
+    test('should keep tasks added in each tab', async () => {
+      await first.addTaskByButton(tabSync.firstTabTask);
+      await second.addTaskByButton(tabSync.secondTabTask);
+
+      const expected = [...testData.defaultTasks, tabSync.firstTabTask, tabSync.secondTabTask];
+      await expect.poll(() => first.getAllTaskTexts()).toEqual(expected);
+      await expect.poll(() => second.getAllTaskTexts()).toEqual(expected);
+    });
+
+    test('should warn an open editor that the other tab changed its task', async () => {
+      await second.startEditingByIndex(0);
+      await first.editTaskByIndex(0, tabSync.firstTabEdit);
+
+      await expect.poll(() => second.getEditConflictText()).toBe(tabSync.conflictNotice);
+      expect(await second.isEditInputVisible()).toBe(true);
+    });
+
+    test('should settle on the later of two edits to the same task', async () => {
+      await second.startEditingByIndex(0);
+      await first.editTaskByIndex(0, tabSync.firstTabEdit);
+      await expect.poll(() => second.isEditConflictVisible()).toBe(true);
+
+      await second.fillEditInput(tabSync.secondTabEdit);
+      await second.pressEnter();
+
+      await expect.poll(() => first.getTaskTextByIndex(0)).toBe(tabSync.secondTabEdit);
+      expect(await second.getTaskTextByIndex(0)).toBe(tabSync.secondTabEdit);
+
+      await first.reload();
+      expect(await first.getTaskTextByIndex(0)).toBe(tabSync.secondTabEdit);
+    });
+  });
+
+  test.describe('Without BroadcastChannel', () => {
+    test.use({ broadcastChannel: false });
+
+    test('should sync an added task through storage events', async () => {
+      await first.addTaskByButton(tabSync.firstTabTask);
+
+      await expect.poll(() => second.getAllTaskTexts()).toEqual([...testData.defaultTasks, tabSync.firstTabTask]);
+    });
+
+    test('should sync a deleted task through storage events', async () => {
+      await second.deleteTaskByIndex(0);
+
+      await expect.poll(() => first.getAllTaskTexts()).toEqual(tabSync.afterDeletingFirst);
+    });
+  });
+});
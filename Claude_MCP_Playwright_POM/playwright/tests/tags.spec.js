@@ -0,0 +1,141 @@
+/**
+ * Tags Test Suite
+ * Covers inline #hashtag parsing, tag chips, tag filtering and per-tag counts
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const { cases } = testData.tags;
+
+test.describe('Tags', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Parsing', () => {
+    for (const [name, tagCase] of Object.entries(cases)) {
+      test(`should parse ${name} tags out of the task text`, async () => {
+        await todoPage.addTaskByEnter(tagCase.input);
+
+        const lastIndex = testData.initialTaskCount;
+        expect(await todoPage.getTaskTextByIndex(lastIndex)).toBe(tagCase.text);
+        expect(await todoPage.getTaskTags(lastIndex)).toEqual(tagCase.tags);
+      });
+    }
+
+    test('should not add a task that has only tags', async () => {
+      await todoPage.addTaskByButton(testData.tags.tagsOnlyInput);
+
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount);
+      expect(await todoPage.getInputErrorText()).toBe(testData.validationMessages.tagsOnly);
+    });
+
+    test('should show the tags in the inline editor', async () => {
+      await todoPage.addTaskByEnter(cases.multiple.input);
+      await todoPage.startEditingByIndex(testData.initialTaskCount);
+
+      expect(await todoPage.getEditInputValue()).toBe(testData.tags.editorText);
+    });
+
+    test('should replace the tags when editing', async () => {
+      await todoPage.addTaskByEnter(cases.multiple.input);
+      await todoPage.editTaskByIndex(testData.initialTaskCount, testData.tags.retagInput);
+
+      expect(await todoPage.getTaskTextByIndex(testData.initialTaskCount)).toBe(cases.multiple.text);
+      expect(await todoPage.getTaskTags(testData.initialTaskCount)).toEqual(testData.tags.retaggedTags);
+    });
+
+    test('should keep the text when an edit leaves only tags', async () => {
+      await todoPage.editTaskByIndex(0, testData.tags.tagsOnlyEdit);
+
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(testData.defaultTasks[0]);
+      expect(await todoPage.getTaskTags(0)).toEqual(testData.tags.tagsOnlyEditTags);
+    });
+
+    test('should keep tags after reload', async () => {
+      await todoPage.addTaskByEnter(cases.unicode.input);
+      await todoPage.reload();
+
+      expect(await todoPage.getTaskTags(testData.initialTaskCount)).toEqual(cases.unicode.tags);
+    });
+  });
+
+  test.describe('Filtering', () => {
+    test.beforeEach(async () => {
+      for (const name of testData.tags.taggedCaseNames) {
+        await todoPage.addTaskByEnter(cases[name].input);
+      }
+    });
+
+    test('should show only tasks with the clicked tag', async () => {
+      await todoPage.filterByTag(testData.tags.filterTag);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.tags.filteredTexts);
+      expect(await todoPage.getActiveTagFilter()).toBe(testData.tags.filterTag);
+    });
+
+    test('should filter by a unicode tag', async () => {
+      await todoPage.filterByTag(testData.tags.unicodeFilterTag);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.tags.unicodeFilteredTexts);
+    });
+
+    test('should turn the tag filter off when its chip is clicked again', async () => {
+      await todoPage.filterByTag(testData.tags.filterTag);
+      await todoPage.filterByTag(testData.tags.filterTag);
+
+      expect(await todoPage.getActiveTagFilter()).toBeNull();
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount + testData.tags.taggedCaseNames.length);
+    });
+
+    test('should clear the tag filter', async () => {
+      await todoPage.filterByTag(testData.tags.filterTag);
+      await todoPage.clearTagFilter();
+
+      expect(await todoPage.getActiveTagFilter()).toBeNull();
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount + testData.tags.taggedCaseNames.length);
+    });
+
+    test('should combine the tag filter with the status filter', async () => {
+      await todoPage.filterByTag(testData.tags.filterTag);
+      await todoPage.toggleTaskByIndex(0);
+      await todoPage.toggleTaskByIndex(1);
+      await todoPage.clickFilter(testData.routes.active.label);
+
+      expect(await todoPage.getFilterEmptyMessageText()).toBe(testData.tags.filterEmptyMessage);
+    });
+  });
+
+  test.describe('Tag Counts', () => {
+    test('should not list tag counts when no task is tagged', async () => {
+      expect(await todoPage.getTagCounts()).toEqual({});
+    });
+
+    test('should count the tasks carrying each tag', async () => {
+      for (const name of testData.tags.taggedCaseNames) {
+        await todoPage.addTaskByEnter(cases[name].input);
+      }
+
+      expect(await todoPage.getTagCounts()).toEqual(testData.tags.countsAfterAdding);
+    });
+
+    test('should count a duplicated tag once per task', async () => {
+      await todoPage.addTaskByEnter(cases.duplicate.input);
+
+      expect(await todoPage.getTagCounts()).toEqual(testData.tags.duplicateCounts);
+    });
+
+    test('should update tag counts when a tagged task is deleted', async () => {
+      for (const name of testData.tags.taggedCaseNames) {
+        await todoPage.addTaskByEnter(cases[name].input);
+      }
+      await todoPage.deleteTaskByIndex(testData.initialTaskCount);
+
+      expect(await todoPage.getTagCounts()).toEqual(testData.tags.countsAfterDeletingSingle);
+    });
+  });
+});
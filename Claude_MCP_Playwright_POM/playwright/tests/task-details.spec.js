@@ -0,0 +1,172 @@
+/**
+ * Due Dates, Priorities and Sorting Test Suite
+ * Runs against a fake clock (see the clock fixture) so overdue checks are deterministic
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, testData } = require('../pages/fixtures');
+
+const { dates, priorityLabels, sortLabels, seededTasks, sortedOrders } = testData.taskDetails;
+const textsAt = (indexes) => indexes.map(index => seededTasks[index].text);
+
+test.describe('Task Details', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page, clock }) => {
+    // The clock fixture is installed before the first navigation
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('Due Dates and Priorities', () => {
+    test.beforeEach(async () => {
+      await todoPage.goto();
+    });
+
+    test('should add a task with a due date and priority', async () => {
+      await todoPage.addTaskWithDetails(testData.testTasks.new, {
+        dueDate: dates.future,
+        priority: priorityLabels.high
+      });
+
+      const lastIndex = testData.initialTaskCount;
+      expect(await todoPage.getTaskDueDate(lastIndex)).toBe(dates.future);
+      expect(await todoPage.getTaskDueDateText(lastIndex)).toBe(`${testData.taskDetails.dueTextPrefix} ${dates.future}`);
+      expect(await todoPage.getTaskPriority(lastIndex)).toBe(priorityLabels.high);
+    });
+
+    test('should add a task without details', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      const lastIndex = testData.initialTaskCount;
+      expect(await todoPage.getTaskDueDate(lastIndex)).toBeNull();
+      expect(await todoPage.getTaskPriority(lastIndex)).toBeNull();
+    });
+
+    test('should reset the detail inputs after adding a task', async () => {
+      await todoPage.addTaskWithDetails(testData.testTasks.new, {
+        dueDate: dates.future,
+        priority: priorityLabels.low
+      });
+
+      expect(await todoPage.getNewTaskDetails()).toEqual({ dueDate: '', priority: priorityLabels.none });
+    });
+
+    test('should change the due date and priority when editing', async () => {
+      await todoPage.editTaskDetailsByIndex(0, { dueDate: dates.later, priority: priorityLabels.medium });
+
+      expect(await todoPage.getTaskDueDate(0)).toBe(dates.later);
+      expect(await todoPage.getTaskPriority(0)).toBe(priorityLabels.medium);
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(testData.defaultTasks[0]);
+    });
+
+    test('should clear the due date and priority when editing', async () => {
+      await todoPage.editTaskDetailsByIndex(0, { dueDate: dates.future, priority: priorityLabels.high });
+      await todoPage.editTaskDetailsByIndex(0, { dueDate: '', priority: priorityLabels.none });
+
+      expect(await todoPage.getTaskDueDate(0)).toBeNull();
+      expect(await todoPage.getTaskPriority(0)).toBeNull();
+    });
+
+    test('should keep details after reload', async () => {
+      await todoPage.addTaskWithDetails(testData.testTasks.new, {
+        dueDate: dates.future,
+        priority: priorityLabels.high
+      });
+      await todoPage.reload();
+
+      const lastIndex = testData.initialTaskCount;
+      expect(await todoPage.getTaskDueDate(lastIndex)).toBe(dates.future);
+      expect(await todoPage.getTaskPriority(lastIndex)).toBe(priorityLabels.high);
+    });
+  });
+
+  test.describe('Overdue Highlighting', () => {
+    test.beforeEach(async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, seededTasks);
+      await todoPage.goto();
+    });
+
+    test('should highlight only open tasks whose due date has passed', async () => {
+      for (let i = 0; i < seededTasks.length; i++) {
+        expect(await todoPage.isTaskOverdue(i)).toBe(testData.taskDetails.overdueIndexes.includes(i));
+      }
+    });
+
+    test('should label overdue due dates', async () => {
+      const [overdueIndex] = testData.taskDetails.overdueIndexes;
+
+      expect(await todoPage.getTaskDueDateText(overdueIndex))
+        .toBe(`${testData.taskDetails.overdueTextPrefix} ${seededTasks[overdueIndex].dueDate}`);
+    });
+
+    test('should not highlight a task due today', async () => {
+      const dueTodayIndex = seededTasks.findIndex(task => task.dueDate === dates.today);
+
+      expect(await todoPage.isTaskOverdue(dueTodayIndex)).toBe(false);
+    });
+
+    test('should stop highlighting an overdue task once it is completed', async () => {
+      const [overdueIndex] = testData.taskDetails.overdueIndexes;
+      await todoPage.toggleTaskByIndex(overdueIndex);
+
+      expect(await todoPage.isTaskOverdue(overdueIndex)).toBe(false);
+    });
+
+    test('should highlight a task once the day it was due has passed', async ({ clock }) => {
+      const dueTodayIndex = seededTasks.findIndex(task => task.dueDate === dates.today);
+      await clock.fastForward(testData.clock.oneDay);
+
+      await expect.poll(() => todoPage.isTaskOverdue(dueTodayIndex)).toBe(true);
+    });
+  });
+
+  test.describe('Sorting', () => {
+    test.beforeEach(async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, seededTasks);
+      await todoPage.goto();
+    });
+
+    test('should offer the creation, due date and priority orders', async () => {
+      expect(await todoPage.getSortOptions()).toEqual(Object.values(sortLabels));
+      expect(await todoPage.getSortLabel()).toBe(sortLabels.created);
+    });
+
+    test('should keep the created order by default', async () => {
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsAt(sortedOrders.created));
+    });
+
+    test('should sort by due date with undated tasks last', async () => {
+      await todoPage.sortBy(sortLabels.dueDate);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsAt(sortedOrders.dueDate));
+    });
+
+    test('should sort by priority with unprioritized tasks last', async () => {
+      await todoPage.sortBy(sortLabels.priority);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsAt(sortedOrders.priority));
+    });
+
+    test('should restore the created order', async () => {
+      await todoPage.sortBy(sortLabels.priority);
+      await todoPage.sortBy(sortLabels.created);
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(textsAt(sortedOrders.created));
+    });
+
+    test('should place a new task by its priority', async () => {
+      await todoPage.sortBy(sortLabels.priority);
+      await todoPage.addTaskWithDetails(testData.testTasks.new, { priority: priorityLabels.high });
+
+      const texts = await todoPage.getAllTaskTexts();
+      expect(texts.slice(0, 2)).toEqual([seededTasks[sortedOrders.priority[0]].text, testData.testTasks.new]);
+    });
+
+    test('should not save the sorted order on the server', async () => {
+      await todoPage.sortBy(sortLabels.dueDate);
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks.map(task => task.text)).toEqual(textsAt(sortedOrders.created));
+    });
+  });
+});
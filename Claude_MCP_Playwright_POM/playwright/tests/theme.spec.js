@@ -0,0 +1,99 @@
+/**
+ * Themes Test Suite
+ * Covers the light, dark and high-contrast themes: following the emulated
+ * system colour scheme, choosing a theme with the toggle, persisting the
+ * choice and keeping every theme free of axe violations
+ */
+
+const { expect } = require('@playwright/test');
+const { test, TodoPage, testData } = require('../pages/fixtures');
+
+const { themes } = testData;
+const { values, colorSchemes } = themes;
+
+test.describe('Themes', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Navigation happens inside each test so the colour scheme can be emulated first
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  test.describe('System Preference', () => {
+    for (const [colorScheme, theme] of Object.entries(themes.systemDefaults)) {
+      test(`should start in the ${theme} theme when the system prefers ${colorScheme}`, async () => {
+        await todoPage.emulateColorScheme(colorScheme);
+        await todoPage.goto();
+
+        expect(await todoPage.getActiveTheme()).toBe(theme);
+        expect(await todoPage.getPressedThemeLabel()).toBe(themes.options[theme].label);
+      });
+    }
+
+    test('should follow a system change while no theme is chosen', async () => {
+      await todoPage.emulateColorScheme(colorSchemes.light);
+      await todoPage.goto();
+      await todoPage.emulateColorScheme(colorSchemes.dark);
+
+      await expect.poll(() => todoPage.getActiveTheme()).toBe(values.dark);
+    });
+
+    test('should ignore an unknown stored theme', async () => {
+      await todoPage.seedStorage(themes.storageKey, themes.unknownStoredValue);
+      await todoPage.emulateColorScheme(colorSchemes.dark);
+      await todoPage.goto();
+
+      expect(await todoPage.getActiveTheme()).toBe(values.dark);
+    });
+  });
+
+  test.describe('Choosing a Theme', () => {
+    for (const [theme, { label, colors }] of Object.entries(themes.options)) {
+      test(`should switch to the ${theme} theme`, async () => {
+        await todoPage.goto();
+        await todoPage.chooseTheme(label);
+
+        expect(await todoPage.getActiveTheme()).toBe(theme);
+        expect(await todoPage.getPressedThemeLabel()).toBe(label);
+        expect(await todoPage.getThemeColors()).toEqual(colors);
+      });
+    }
+
+    test('should remember the chosen theme after reload', async () => {
+      await todoPage.goto();
+      await todoPage.chooseTheme(themes.options[values.highContrast].label);
+      await todoPage.reload();
+
+      expect(await todoPage.getActiveTheme()).toBe(values.highContrast);
+      expect(await todoPage.getStoredValue(themes.storageKey)).toBe(values.highContrast);
+    });
+
+    test('should keep the chosen theme over the system preference', async () => {
+      await todoPage.emulateColorScheme(colorSchemes.dark);
+      await todoPage.goto();
+      await todoPage.chooseTheme(themes.options[values.light].label);
+      await todoPage.reload();
+
+      expect(await todoPage.getActiveTheme()).toBe(values.light);
+
+      await todoPage.emulateColorScheme(colorSchemes.light);
+      await todoPage.emulateColorScheme(colorSchemes.dark);
+      expect(await todoPage.getActiveTheme()).toBe(values.light);
+    });
+  });
+
+  test.describe('Accessibility', () => {
+    for (const [theme, { label }] of Object.entries(themes.options)) {
+      test(`should have no axe violations in the ${theme} theme`, async ({ accessibilityAudit }) => {
+        await todoPage.goto();
+        await todoPage.toggleTaskByIndex(0);
+        await todoPage.addTaskWithDetails(testData.testTasks.new, {
+          priority: testData.taskDetails.priorityLabels.high
+        });
+        await todoPage.chooseTheme(label);
+
+        expect(await accessibilityAudit.getViolations()).toEqual([]);
+      });
+    }
+  });
+});
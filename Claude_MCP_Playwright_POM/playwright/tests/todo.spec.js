@@ -1,24 +1,36 @@
 /**
  * Todo App Test Suite
  * Uses Page Object Model for clean, maintainable tests
+ * Rows are addressed through TaskRow component objects from todoPage.task()
  */
 
 const { test, expect } = require('@playwright/test');
-const { TodoPage, testData } = require('../pages/fixtures');
+const { TodoPage, ListSidebar, testData } = require('../pages/fixtures');
 
 test.describe('Todo App', () => {
   let todoPage;
+  let listSidebar;
 
   test.beforeEach(async ({ page }) => {
     // Initialize TodoPage with test data locators
     todoPage = new TodoPage(page, testData.uiElements);
+    listSidebar = new ListSidebar(page, testData.uiElements);
     await todoPage.goto();
   });
 
   test.describe('Page Load and Initial State', () => {
-    test('should load the page with the correct title', async () => {
+    test('should load the page titled after the default list', async () => {
       const heading = await todoPage.getHeadingText();
-      expect(heading).toBe(testData.pageTitle);
+      expect(heading).toBe(testData.lists.defaultName);
+      expect(heading).toBe(await listSidebar.getActiveListName());
+    });
+
+    test('should title the page after the list that is switched to', async () => {
+      await listSidebar.createList(testData.lists.work);
+      expect(await todoPage.getHeadingText()).toBe(testData.lists.work);
+
+      await listSidebar.selectList(testData.lists.defaultName);
+      expect(await todoPage.getHeadingText()).toBe(testData.lists.defaultName);
     });
 
     test('should display initial default tasks', async () => {
@@ -29,7 +41,7 @@ test.describe('Todo App', () => {
 
     test('should display correct default task texts', async () => {
       for (let i = 0; i < testData.defaultTasks.length; i++) {
-        const taskText = await todoPage.getTaskTextByIndex(i);
+        const taskText = await todoPage.task(i).text();
         expect(taskText).toBe(testData.defaultTasks[i]);
       }
     });
@@ -56,7 +68,7 @@ test.describe('Todo App', () => {
       expect(deleteButtonCount).toBe(testData.initialTaskCount);
 
       for (let i = 0; i < testData.initialTaskCount; i++) {
-        const buttonText = await todoPage.getDeleteButtonTextByIndex(i);
+        const buttonText = await todoPage.task(i).deleteButtonText();
         expect(buttonText).toBe(testData.deleteButtonLabel);
       }
     });
@@ -81,18 +93,20 @@ test.describe('Todo App', () => {
 
     test('should not add empty tasks when clicking the button', async () => {
       const initialCount = await todoPage.getTaskCount();
-      await todoPage.fillTaskInput('   ');
+      await todoPage.fillTaskInput(testData.testTasks.whitespaceOnly);
       await todoPage.clickAddButton();
       const finalCount = await todoPage.getTaskCount();
       expect(finalCount).toBe(initialCount);
+      expect(await todoPage.getInputErrorText()).toBe(testData.validationMessages.emptyOnWhitespace);
     });
 
     test('should not add empty tasks when pressing Enter', async () => {
       const initialCount = await todoPage.getTaskCount();
-      await todoPage.fillTaskInput('   ');
+      await todoPage.fillTaskInput(testData.testTasks.whitespaceOnly);
       await todoPage.pressKeyInInput('Enter');
       const finalCount = await todoPage.getTaskCount();
       expect(finalCount).toBe(initialCount);
+      expect(await todoPage.getInputErrorText()).toBe(testData.validationMessages.emptyOnWhitespace);
     });
 
     test('should update task counter after adding a task', async () => {
@@ -126,7 +140,7 @@ test.describe('Todo App', () => {
   test.describe('Deleting Tasks', () => {
     test('should delete a task when delete button is clicked', async () => {
       const initialCount = await todoPage.getTaskCount();
-      await todoPage.deleteFirstTask();
+      await todoPage.task(0).delete();
       const finalCount = await todoPage.getTaskCount();
       expect(finalCount).toBe(initialCount - 1);
     });
@@ -135,21 +149,22 @@ test.describe('Todo App', () => {
       let stats = await todoPage.getStatsText();
       expect(stats).toContain(testData.taskCounterMessages.initial);
 
-      await todoPage.deleteFirstTask();
+      await todoPage.task(0).delete();
 
       stats = await todoPage.getStatsText();
       expect(stats).toContain(testData.taskCounterMessages.afterDeleteOne);
     });
 
     test('should delete the correct task from the list', async () => {
-      const secondTaskText = await todoPage.getTaskTextByIndex(1);
-      await todoPage.deleteTaskByIndex(1);
-      expect(await todoPage.hasTextInPage(secondTaskText)).toBe(false);
+      await todoPage.task(testData.defaultTasks[1]).delete();
+
+      expect(await todoPage.hasTextInPage(testData.defaultTasks[1])).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual([testData.defaultTasks[0], testData.defaultTasks[2]]);
     });
 
     test('should delete all tasks one by one', async () => {
       for (let i = 0; i < testData.scenarios.deleteAllTasksCount; i++) {
-        await todoPage.deleteFirstTask();
+        await todoPage.task(0).delete();
       }
 
       await todoPage.waitForEmptyMessage();
@@ -165,6 +180,198 @@ test.describe('Todo App', () => {
     });
   });
 
+  test.describe('Completing Tasks', () => {
+    test('should render every default task as not completed', async () => {
+      for (const text of testData.defaultTasks) {
+        expect(await todoPage.task(text).isCompleted()).toBe(false);
+        expect(await todoPage.task(text).isStruckThrough()).toBe(false);
+      }
+    });
+
+    test('should mark a task as completed when toggled', async () => {
+      const task = todoPage.task(testData.defaultTasks[0]);
+      await task.toggle();
+
+      expect(await task.isCompleted()).toBe(true);
+      expect(await task.isStruckThrough()).toBe(true);
+      expect(await todoPage.task(testData.defaultTasks[1]).isCompleted()).toBe(false);
+    });
+
+    test('should mark a task as active again when untoggled', async () => {
+      const task = todoPage.task(testData.defaultTasks[0]);
+      await task.toggle();
+      await task.toggle();
+
+      expect(await task.isCompleted()).toBe(false);
+      expect(await task.isStruckThrough()).toBe(false);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should show initial active and completed counters', async () => {
+      const stats = await todoPage.getStatsText();
+      expect(stats).toContain(testData.completionCounterMessages.initialActive);
+      expect(stats).toContain(testData.completionCounterMessages.initialCompleted);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should update counters when a task is toggled', async () => {
+      await todoPage.task(1).toggle();
+
+      const stats = await todoPage.getStatsText();
+      expect(stats).toContain(testData.completionCounterMessages.afterToggleActive);
+      expect(stats).toContain(testData.completionCounterMessages.afterToggleCompleted);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+    });
+
+    test('should keep counters consistent as more tasks are toggled', async () => {
+      await todoPage.task(0).toggle();
+      await todoPage.task(1).toggle();
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleTwo);
+
+      await todoPage.task(2).toggle();
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleAll);
+    });
+
+    test('should add new tasks as active', async () => {
+      await todoPage.task(0).toggle();
+      await todoPage.addTaskByButton(testData.testTasks.new);
+
+      expect(await todoPage.task(testData.testTasks.new).isCompleted()).toBe(false);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOneAndAdd);
+    });
+
+    test('should drop a completed task from the counters when it is deleted', async () => {
+      const task = todoPage.task(testData.defaultTasks[0]);
+      await task.toggle();
+      await task.delete();
+
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOneAndDeleteIt);
+    });
+  });
+
+  test.describe('Editing Tasks', () => {
+    // Editor state is read by index: a row found by text stops matching
+    // while its editor replaces the text
+    test('should open the inline editor on double-click with the current text', async () => {
+      const task = todoPage.task(0);
+      await task.startEditing();
+
+      expect(await task.isEditing()).toBe(true);
+      expect(await task.isEditorFocused()).toBe(true);
+      expect(await task.editorValue()).toBe(testData.defaultTasks[0]);
+    });
+
+    test('should open the inline editor with the Edit button', async () => {
+      const task = todoPage.task(0);
+      expect(await task.editButtonText()).toBe(testData.editButtonLabel);
+
+      await task.clickEdit();
+
+      expect(await task.isEditing()).toBe(true);
+      expect(await task.editorValue()).toBe(testData.defaultTasks[0]);
+    });
+
+    test('should save the edited text when Enter is pressed', async () => {
+      await todoPage.task(testData.defaultTasks[0]).edit(testData.testTasks.edited);
+
+      expect(await todoPage.isEditInputVisible()).toBe(false);
+      expect(await todoPage.task(0).text()).toBe(testData.testTasks.edited);
+    });
+
+    test('should save the edited text when the editor loses focus', async () => {
+      await todoPage.task(testData.defaultTasks[1]).editWithBlur(testData.testTasks.edited);
+
+      expect(await todoPage.isEditInputVisible()).toBe(false);
+      expect(await todoPage.task(1).text()).toBe(testData.testTasks.edited);
+    });
+
+    test('should discard changes when Escape is pressed', async () => {
+      const task = todoPage.task(testData.defaultTasks[0]);
+      await task.cancelEdit(testData.testTasks.discardedDraft);
+
+      expect(await todoPage.isEditInputVisible()).toBe(false);
+      expect(await task.text()).toBe(testData.defaultTasks[0]);
+      expect(await todoPage.hasTextInPage(testData.testTasks.discardedDraft)).toBe(false);
+    });
+
+    test('should trim whitespace from the edited text', async () => {
+      await todoPage.task(0).edit(testData.testTasks.editedWithWhitespace);
+
+      expect(await todoPage.task(0).text()).toBe(testData.testTasks.edited);
+    });
+
+    test('should delete the task when the edit is emptied', async () => {
+      await todoPage.task(0).edit(testData.testTasks.whitespaceOnly);
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual(testData.defaultTasks.slice(1));
+
+      const stats = await todoPage.getStatsText();
+      expect(stats).toContain(testData.taskCounterMessages.afterDeleteOne);
+    });
+
+    test('should keep the edited task in its original position', async () => {
+      await todoPage.task(testData.defaultTasks[1]).edit(testData.testTasks.edited);
+
+      const allTasks = await todoPage.getAllTaskTexts();
+      expect(allTasks).toEqual([
+        testData.defaultTasks[0],
+        testData.testTasks.edited,
+        testData.defaultTasks[2]
+      ]);
+    });
+
+    test('should keep the completion state of an edited task', async () => {
+      await todoPage.task(testData.defaultTasks[0]).toggle();
+      await todoPage.task(testData.defaultTasks[0]).edit(testData.testTasks.edited);
+
+      expect(await todoPage.task(testData.testTasks.edited).isCompleted()).toBe(true);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.afterToggleOne);
+    });
+  });
+
+  test.describe('Task Row Lookup', () => {
+    test('should find a task by its exact text', async () => {
+      const task = todoPage.task(testData.defaultTasks[2]);
+      await task.toggle();
+
+      expect(await task.text()).toBe(testData.defaultTasks[2]);
+      expect(await todoPage.task(2).isCompleted()).toBe(true);
+    });
+
+    test('should find a task whose text has special characters', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.specialCharacters);
+
+      const task = todoPage.task(testData.testTasks.specialCharacters);
+      expect(await task.text()).toBe(testData.testTasks.specialCharacters);
+    });
+
+    test('should report when no task has the text', async () => {
+      await expect(todoPage.task(testData.rowLookup.missingText).text())
+        .rejects.toThrow(testData.rowLookup.missingTextError);
+    });
+
+    test('should not match part of a task\'s text', async () => {
+      await expect(todoPage.task(testData.rowLookup.partialText).toggle())
+        .rejects.toThrow(testData.rowLookup.partialTextError);
+      expect(await todoPage.getStatsCounts()).toEqual(testData.completionCounts.initial);
+    });
+
+    test('should report when several tasks have the text', async () => {
+      await todoPage.seedServerTasks(testData.api.tasksPath, testData.rowLookup.duplicateTasks);
+      await todoPage.reload();
+
+      await expect(todoPage.task(testData.defaultTasks[0]).delete())
+        .rejects.toThrow(testData.rowLookup.duplicateTextError);
+      expect(await todoPage.getTaskCount()).toBe(testData.rowLookup.duplicateTasks.length);
+    });
+
+    test('should report an index past the last task', async () => {
+      await expect(todoPage.task(testData.initialTaskCount).text())
+        .rejects.toThrow(testData.rowLookup.missingIndexError);
+    });
+  });
+
   test.describe('Empty State', () => {
     test('should show empty state message when no tasks exist', async () => {
       await todoPage.deleteAllTasks();
@@ -213,7 +420,7 @@ test.describe('Todo App', () => {
 
     test('should trim whitespace when adding task', async () => {
       await todoPage.addTaskByButton(testData.testTasks.withWhitespace);
-      expect(await todoPage.hasTextInPage(testData.testTasks.trimmedVersion)).toBe(true);
+      expect(await todoPage.getTaskTextByIndex(testData.initialTaskCount)).toBe(testData.testTasks.trimmedVersion);
     });
   });
 
@@ -225,7 +432,7 @@ test.describe('Todo App', () => {
 
     test('Delete buttons should be clickable', async () => {
       const initialCount = await todoPage.getTaskCount();
-      await todoPage.deleteFirstTask();
+      await todoPage.task(0).delete();
       const finalCount = await todoPage.getTaskCount();
       expect(finalCount).toBe(initialCount - 1);
     });
@@ -252,7 +459,7 @@ test.describe('Todo App', () => {
     });
 
     test('task counter should decrease when task is deleted', async () => {
-      await todoPage.deleteFirstTask();
+      await todoPage.task(0).delete();
       const stats = await todoPage.getStatsText();
       expect(stats).toContain(testData.taskCounterMessages.afterDeleteOne);
     });
@@ -264,7 +471,7 @@ test.describe('Todo App', () => {
       let stats = await todoPage.getStatsText();
       expect(stats).toContain(testData.taskCounterMessages.afterAddTwo);
 
-      await todoPage.deleteFirstTask();
+      await todoPage.task(0).delete();
 
       stats = await todoPage.getStatsText();
       expect(stats).toContain(testData.taskCounterMessages.afterAddOne);
@@ -319,7 +526,7 @@ test.describe('Todo App', () => {
     });
 
     test('should preserve task order after operations', async () => {
-      const firstTask = await todoPage.getTaskTextByIndex(0);
+      const firstTask = await todoPage.task(0).text();
       expect(firstTask).toBe(testData.defaultTasks[0]);
 
       await todoPage.addTaskByButton(testData.testTasks.last);
@@ -0,0 +1,181 @@
+/**
+ * Import / Export Test Suite
+ * Covers JSON, CSV and Markdown downloads, importing through the file picker
+ * and drag-and-drop, duplicate handling and rejection of malformed files
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const { transfer } = testData;
+
+test.describe('Import and Export', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Export', () => {
+    for (const [name, format] of Object.entries(transfer.formats)) {
+      test(`should download a ${name} file named ${format.fileName}`, async () => {
+        const exported = await todoPage.exportTasks(format.label);
+
+        expect(exported.fileName).toBe(format.fileName);
+      });
+    }
+
+    test('should export every task as JSON', async () => {
+      const exported = await todoPage.exportTasks(transfer.formats.json.label);
+      const payload = JSON.parse(exported.content);
+
+      expect(payload.version).toBe(testData.storage.schemaVersion);
+      expect(payload.tasks.map(task => task.text)).toEqual(testData.defaultTasks);
+    });
+
+    test('should export a CSV file with a header row', async () => {
+      const exported = await todoPage.exportTasks(transfer.formats.csv.label);
+
+      expect(exported.content).toBe(transfer.exportedDefaults.csv);
+    });
+
+    test('should export a Markdown checklist', async () => {
+      const exported = await todoPage.exportTasks(transfer.formats.markdown.label);
+
+      expect(exported.content).toBe(transfer.exportedDefaults.markdown);
+    });
+
+    test('should mark completed tasks in the Markdown checklist', async () => {
+      await todoPage.toggleTaskByIndex(0);
+      const exported = await todoPage.exportTasks(transfer.formats.markdown.label);
+
+      expect(exported.content).toBe(transfer.exportedAfterCompletingFirst.markdown);
+    });
+
+    test('should import its own JSON export back', async () => {
+      const exported = await todoPage.exportTasks(transfer.formats.json.label);
+      await todoPage.deleteAllTasks();
+      await todoPage.importFile({
+        name: exported.fileName,
+        mimeType: transfer.formats.json.mimeType,
+        buffer: Buffer.from(exported.content)
+      });
+      await todoPage.applyImport();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+  });
+
+  test.describe('Import Preview', () => {
+    for (const [name, file] of Object.entries(transfer.validFiles)) {
+      test(`should preview a ${name} file before importing`, async () => {
+        await todoPage.importFile(file.path);
+
+        expect(await todoPage.isImportPreviewVisible()).toBe(true);
+        expect(await todoPage.getImportPreviewTexts()).toEqual(file.previewTexts);
+        expect(await todoPage.getImportDuplicateCount()).toBe(transfer.duplicateCount);
+        expect(await todoPage.getImportSummaryText()).toBe(transfer.summaries.skip);
+        expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      });
+    }
+
+    test('should preview a file dropped on the drop zone', async () => {
+      await todoPage.dropImportFile(transfer.validFiles.markdown.path);
+
+      expect(await todoPage.getImportPreviewTexts()).toEqual(transfer.validFiles.markdown.previewTexts);
+    });
+
+    test('should describe each duplicate mode', async () => {
+      await todoPage.importFile(transfer.validFiles.json.path);
+
+      for (const [mode, label] of Object.entries(transfer.modeLabels)) {
+        await todoPage.chooseImportMode(label);
+        expect(await todoPage.getImportSummaryText()).toBe(transfer.summaries[mode]);
+      }
+    });
+
+    test('should leave the list unchanged when the import is cancelled', async () => {
+      await todoPage.importFile(transfer.validFiles.json.path);
+      await todoPage.cancelImport();
+
+      expect(await todoPage.isImportPreviewVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+  });
+
+  test.describe('Duplicate Handling', () => {
+    for (const [name, file] of Object.entries(transfer.validFiles)) {
+      test(`should skip duplicates from a ${name} file`, async () => {
+        await todoPage.importFile(file.path);
+        await todoPage.applyImport();
+
+        expect(await todoPage.getAllTaskTexts()).toEqual(file.afterSkip);
+        expect(await todoPage.isTaskCompleted(file.duplicateIndex)).toBe(false);
+      });
+
+      test(`should merge duplicates from a ${name} file`, async () => {
+        await todoPage.importFile(file.path);
+        await todoPage.chooseImportMode(transfer.modeLabels.merge);
+        await todoPage.applyImport();
+
+        expect(await todoPage.getAllTaskTexts()).toEqual(file.afterSkip);
+        expect(await todoPage.isTaskCompleted(file.duplicateIndex)).toBe(true);
+      });
+
+      test(`should replace every task with a ${name} file`, async () => {
+        await todoPage.importFile(file.path);
+        await todoPage.chooseImportMode(transfer.modeLabels.replace);
+        await todoPage.applyImport();
+
+        expect(await todoPage.getAllTaskTexts()).toEqual(file.afterReplace);
+      });
+    }
+  });
+
+  test.describe('Applying Imports', () => {
+    test('should save imported tasks on the server', async () => {
+      await todoPage.importFile(transfer.validFiles.csv.path);
+      await todoPage.applyImport();
+
+      const serverTasks = await todoPage.getServerTasks(testData.api.tasksPath);
+      expect(serverTasks.map(task => task.text)).toEqual(transfer.validFiles.csv.afterSkip);
+    });
+
+    test('should undo an import from the toast', async () => {
+      await todoPage.importFile(transfer.validFiles.csv.path);
+      await todoPage.applyImport();
+
+      expect(await todoPage.getUndoToastText()).toBe(transfer.importedToast);
+      await todoPage.clickUndoInToast();
+
+      expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+    });
+  });
+
+  test.describe('Malformed Files', () => {
+    for (const [name, file] of Object.entries(transfer.malformedFiles)) {
+      test(`should reject ${name} with a clear error`, async () => {
+        await todoPage.importFile(file.path);
+
+        expect(await todoPage.getErrorBannerText()).toBe(file.error);
+        expect(await todoPage.isImportPreviewVisible()).toBe(false);
+        expect(await todoPage.getAllTaskTexts()).toEqual(testData.defaultTasks);
+      });
+    }
+
+    test('should reject a malformed file dropped on the drop zone', async () => {
+      await todoPage.dropImportFile(transfer.malformedFiles.invalidJson.path);
+
+      expect(await todoPage.getErrorBannerText()).toBe(transfer.malformedFiles.invalidJson.error);
+    });
+
+    test('should replace an open preview when a malformed file is chosen', async () => {
+      await todoPage.importFile(transfer.validFiles.json.path);
+      await todoPage.importFile(transfer.malformedFiles.invalidJson.path);
+
+      expect(await todoPage.getErrorBannerText()).toBe(transfer.malformedFiles.invalidJson.error);
+      expect(await todoPage.isImportPreviewVisible()).toBe(false);
+    });
+  });
+});
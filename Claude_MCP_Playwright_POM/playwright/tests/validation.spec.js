@@ -0,0 +1,153 @@
+/**
+ * Input Validation Test Suite
+ * Covers the task text rules (trimming, empty, tags-only, maximum length and
+ * duplicates), the inline error under the input and the character counter
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, ListSidebar, testData } = require('../pages/fixtures');
+
+const { validation, validationMessages } = testData;
+
+test.describe('Input Validation', () => {
+  let todoPage;
+  let listSidebar;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+    listSidebar = new ListSidebar(page, testData.uiElements);
+    await todoPage.goto();
+  });
+
+  test.describe('Refused Input', () => {
+    test('should explain that an empty task cannot be added', async () => {
+      await todoPage.clickAddButton();
+
+      expect(await todoPage.getInputErrorText()).toBe(validationMessages.cannotAddEmpty);
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount);
+    });
+
+    test('should explain that a whitespace-only task cannot be added', async () => {
+      await todoPage.addTaskByEnter(testData.testTasks.whitespaceOnly);
+
+      expect(await todoPage.getInputErrorText()).toBe(validationMessages.emptyOnWhitespace);
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount);
+    });
+
+    test('should refuse text over the maximum length and keep it for editing', async () => {
+      await todoPage.addTaskByButton(validation.tooLongInput);
+
+      expect(await todoPage.getInputErrorText()).toBe(validationMessages.tooLong);
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount);
+      expect(await todoPage.getInputValue()).toBe(validation.tooLongInput);
+    });
+
+    test('should refuse a task already in the list, ignoring case', async () => {
+      await todoPage.addTaskByButton(validation.duplicateInput);
+
+      expect(await todoPage.getInputErrorText()).toBe(validationMessages.duplicate);
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount);
+    });
+
+    test('should allow the same task in another list', async () => {
+      await listSidebar.createList(testData.lists.work);
+      await todoPage.addTaskByButton(validation.duplicateInput);
+
+      expect(await todoPage.isInputErrorVisible()).toBe(false);
+      expect(await todoPage.getAllTaskTexts()).toEqual([validation.duplicateInput]);
+    });
+  });
+
+  test.describe('Inline Error', () => {
+    test.beforeEach(async () => {
+      await todoPage.addTaskByButton(validation.duplicateInput);
+    });
+
+    test('should mark the input invalid and describe it with the error', async () => {
+      expect(await todoPage.isInputInvalid()).toBe(true);
+      await expect(todoPage.taskInput).toHaveAccessibleDescription(
+        `${validationMessages.duplicate} ${validation.characterCounts.duplicate}`
+      );
+    });
+
+    test('should clear the error once the text changes', async () => {
+      await todoPage.fillTaskInput(testData.testTasks.simple);
+
+      expect(await todoPage.isInputErrorVisible()).toBe(false);
+      expect(await todoPage.isInputInvalid()).toBe(false);
+    });
+
+    test('should add the task once the text is corrected', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.simple);
+
+      expect(await todoPage.isInputErrorVisible()).toBe(false);
+      expect(await todoPage.getTaskCount()).toBe(testData.initialTaskCount + 1);
+    });
+  });
+
+  test.describe('Editing', () => {
+    test('should keep the old text when an edit duplicates another task', async () => {
+      const lastIndex = testData.initialTaskCount - 1;
+      const original = await todoPage.getTaskTextByIndex(lastIndex);
+      await todoPage.editTaskByIndex(lastIndex, validation.duplicateInput);
+
+      expect(await todoPage.getErrorBannerText()).toBe(validationMessages.duplicate);
+      expect(await todoPage.getTaskTextByIndex(lastIndex)).toBe(original);
+    });
+
+    test('should keep the old text when an edit is too long', async () => {
+      const original = await todoPage.getTaskTextByIndex(0);
+      await todoPage.editTaskByIndex(0, validation.tooLongInput);
+
+      expect(await todoPage.getErrorBannerText()).toBe(validationMessages.tooLong);
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(original);
+    });
+
+    test('should allow an edit that only changes the case of its own text', async () => {
+      await todoPage.editTaskByIndex(0, validation.duplicateInput);
+
+      expect(await todoPage.isErrorBannerVisible()).toBe(false);
+      expect(await todoPage.getTaskTextByIndex(0)).toBe(validation.duplicateInput);
+    });
+  });
+
+  test.describe('Character Counter', () => {
+    test('should start at zero', async () => {
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.empty);
+    });
+
+    test('should count the text as it is typed', async () => {
+      await todoPage.typeTaskInput(testData.testTasks.simple);
+
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.simple);
+    });
+
+    test('should not count surrounding whitespace', async () => {
+      await todoPage.fillTaskInput(testData.testTasks.withWhitespace);
+
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.simple);
+    });
+
+    test('should accept text at the maximum length once trimmed', async () => {
+      await todoPage.fillTaskInput(validation.paddedMaxLengthInput);
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.maxLength);
+      expect(await todoPage.isCharacterCountOverLimit()).toBe(false);
+
+      await todoPage.clickAddButton();
+      expect(await todoPage.getTaskTextByIndex(testData.initialTaskCount)).toBe(validation.paddedMaxLengthInput.trim());
+    });
+
+    test('should flag text over the maximum length', async () => {
+      await todoPage.fillTaskInput(validation.tooLongInput);
+
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.tooLong);
+      expect(await todoPage.isCharacterCountOverLimit()).toBe(true);
+    });
+
+    test('should reset after a task is added', async () => {
+      await todoPage.addTaskByButton(testData.testTasks.simple);
+
+      expect(await todoPage.getCharacterCountText()).toBe(validation.characterCounts.empty);
+    });
+  });
+});
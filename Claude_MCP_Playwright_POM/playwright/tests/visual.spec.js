@@ -0,0 +1,70 @@
+/**
+ * Visual Regression Test Suite
+ * Compares full-page screenshots of each app state, and of each theme, with
+ * stored baselines.
+ * Runs in the visual-desktop and visual-mobile projects, which pin the
+ * viewport and text rendering; each project keeps its own baselines.
+ * Record or refresh them with --update-snapshots.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TodoPage, testData } = require('../pages/fixtures');
+
+const { visual } = testData;
+
+test.describe('Visual Regression', () => {
+  let todoPage;
+
+  test.beforeEach(async ({ page }) => {
+    todoPage = new TodoPage(page, testData.uiElements);
+  });
+
+  // Opens the app with the stable font stack applied
+  const open = async () => {
+    await todoPage.goto();
+    await todoPage.useStableFonts(visual.fonts, visual.fontStack);
+  };
+
+  // Captures the whole page once the app is idle and nothing has focus
+  const expectSnapshot = async (page, name) => {
+    await todoPage.waitForSyncIdle();
+    await todoPage.blurActiveElement();
+    await expect(page).toHaveScreenshot(name, {
+      fullPage: true,
+      mask: todoPage.getScreenshotMasks(visual.maskedLocators)
+    });
+  };
+
+  test('should match the empty state', async ({ page }) => {
+    await todoPage.seedServerTasks(testData.api.tasksPath, []);
+    await open();
+    await todoPage.waitForEmptyMessage();
+
+    await expectSnapshot(page, visual.snapshots.empty);
+  });
+
+  test('should match a task with long text', async ({ page }) => {
+    await open();
+    await todoPage.addTaskByButton(testData.testTasks.long);
+
+    await expectSnapshot(page, visual.snapshots.longText);
+  });
+
+  test('should match unicode tasks', async ({ page }) => {
+    await open();
+    await todoPage.addTaskByButton(testData.testTasks.unicode);
+    await todoPage.addTaskByButton(testData.tags.cases.unicode.input);
+
+    await expectSnapshot(page, visual.snapshots.unicode);
+  });
+
+  for (const [theme, { label }] of Object.entries(testData.themes.options)) {
+    test(`should match the default tasks in the ${theme} theme`, async ({ page }) => {
+      await open();
+      await todoPage.chooseTheme(label);
+
+      expect(await todoPage.getActiveTheme()).toBe(theme);
+      await expectSnapshot(page, visual.snapshots.themes[theme]);
+    });
+  }
+});
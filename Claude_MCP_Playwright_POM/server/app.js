@@ -0,0 +1,352 @@
+/**
+ * Task API request handler
+ * Routes:
+ *   GET    /api/health      - Liveness check
+ *   GET    /api/tasks       - List the session's tasks
+ *   PUT    /api/tasks       - Replace the whole list ({ tasks: [...] }), used for reorder and bulk changes
+ *   POST   /api/tasks       - Create a task ({ id?, text, completed?, dueDate?, priority?, tags?, listId?, subtasks? })
+ *   PATCH  /api/tasks/:id   - Update any of a task's text, completed, dueDate, priority, tags, listId and subtasks;
+ *                             a new listId moves the task to the end
+ *   DELETE /api/tasks/:id   - Delete a task
+ *   GET    /api/lists       - List the session's named lists
+ *   POST   /api/lists       - Create a list ({ id?, name })
+ *   PATCH  /api/lists/:id   - Rename a list ({ name })
+ *   DELETE /api/lists/:id   - Delete a list and its tasks; the last list cannot be deleted
+ *
+ * Each browser gets its own list, keyed by a session cookie that is issued on
+ * the first request. That keeps parallel test runs (one browser context each)
+ * from seeing each other's data.
+ */
+
+const crypto = require('crypto');
+const defaultTasks = require('./defaultTasks');
+const { DEFAULT_LIST_ID, defaultLists } = require('./defaultLists');
+
+const SESSION_COOKIE = 'todo-session';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidId = (id) => typeof id === 'number' || (typeof id === 'string' && id !== '');
+
+// Older clients do not send the optional metadata fields
+const withDefaults = (task) => (task === null || typeof task !== 'object' ? task : {
+  ...task,
+  dueDate: task.dueDate === undefined ? null : task.dueDate,
+  priority: task.priority === undefined ? null : task.priority,
+  tags: task.tags === undefined ? [] : task.tags,
+  listId: task.listId === undefined ? DEFAULT_LIST_ID : task.listId,
+  subtasks: task.subtasks === undefined ? [] : task.subtasks,
+});
+
+const isValidSubtask = (subtask) =>
+  subtask !== null &&
+  typeof subtask === 'object' &&
+  isValidId(subtask.id) &&
+  typeof subtask.text === 'string' &&
+  subtask.text.trim() !== '' &&
+  typeof subtask.completed === 'boolean';
+
+const validateTask = (task) => {
+  if (task === null || typeof task !== 'object') {
+    throw new HttpError(400, 'Task must be an object');
+  }
+  if (!isValidId(task.id)) {
+    throw new HttpError(400, 'Task id must be a number or a non-empty string');
+  }
+  if (typeof task.text !== 'string' || task.text.trim() === '') {
+    throw new HttpError(400, 'Task text must be a non-empty string');
+  }
+  if (typeof task.completed !== 'boolean') {
+    throw new HttpError(400, 'Task completed must be a boolean');
+  }
+  if (task.dueDate !== null && !(typeof task.dueDate === 'string' && DATE_PATTERN.test(task.dueDate))) {
+    throw new HttpError(400, 'Task dueDate must be null or a YYYY-MM-DD date');
+  }
+  if (task.priority !== null && !PRIORITIES.includes(task.priority)) {
+    throw new HttpError(400, `Task priority must be null or one of ${PRIORITIES.join(', ')}`);
+  }
+  if (!Array.isArray(task.tags) || !task.tags.every(tag => typeof tag === 'string' && tag !== '')) {
+    throw new HttpError(400, 'Task tags must be an array of non-empty strings');
+  }
+  if (!isValidId(task.listId)) {
+    throw new HttpError(400, 'Task listId must be a number or a non-empty string');
+  }
+  if (!Array.isArray(task.subtasks) || !task.subtasks.every(isValidSubtask)) {
+    throw new HttpError(400, 'Task subtasks must be an array of { id, text, completed } objects');
+  }
+  return task;
+};
+
+const validateList = (list, otherLists) => {
+  if (!isValidId(list.id)) {
+    throw new HttpError(400, 'List id must be a number or a non-empty string');
+  }
+  if (typeof list.name !== 'string' || list.name.trim() === '') {
+    throw new HttpError(400, 'List name must be a non-empty string');
+  }
+  const name = list.name.trim();
+  if (otherLists.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+    throw new HttpError(409, `A list named ${name} already exists`);
+  }
+  return { id: list.id, name };
+};
+
+const parseCookies = (header = '') =>
+  Object.fromEntries(
+    header
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, value]) => [name, decodeURIComponent(value)])
+  );
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (body === '') {
+        resolve({});
+        return;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be valid JSON'));
+        return;
+      }
+      // Every handler reads fields off the body, so null, arrays and bare
+      // values are refused here
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(new HttpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+
+const sendJson = (res, status, payload) => {
+  res.statusCode = status;
+  if (payload === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * Create the request handler
+ * @param {Object} store - Task store from taskStore.js
+ * @returns {Function} Node http request listener
+ */
+function createApp(store) {
+  const resolveSession = (req, res) => {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId && store.hasSession(sessionId)) {
+      return sessionId;
+    }
+
+    const newSessionId = crypto.randomUUID();
+    store.setTasks(newSessionId, defaultTasks.map(task => ({ ...task })));
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${newSessionId}; Path=/; HttpOnly; SameSite=Lax`);
+    return newSessionId;
+  };
+
+  const handleCollection = async (req, res, sessionId) => {
+    const tasks = store.getTasks(sessionId);
+
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, tasks);
+
+      case 'PUT': {
+        const body = await readBody(req);
+        if (!Array.isArray(body.tasks)) {
+          throw new HttpError(400, 'Body must contain a tasks array');
+        }
+        const replacement = body.tasks.map(task => validateTask(withDefaults(task)));
+        const ids = new Set(replacement.map(task => String(task.id)));
+        if (ids.size !== replacement.length) {
+          throw new HttpError(400, 'Task ids must be unique');
+        }
+        store.setTasks(sessionId, replacement);
+        return sendJson(res, 200, replacement);
+      }
+
+      case 'POST': {
+        const body = await readBody(req);
+        const task = validateTask({
+          id: body.id !== undefined ? body.id : Date.now(),
+          text: body.text,
+          completed: body.completed !== undefined ? body.completed : false,
+          dueDate: body.dueDate !== undefined ? body.dueDate : null,
+          priority: body.priority !== undefined ? body.priority : null,
+          tags: body.tags !== undefined ? body.tags : [],
+          listId: body.listId !== undefined ? body.listId : DEFAULT_LIST_ID,
+          subtasks: body.subtasks !== undefined ? body.subtasks : [],
+        });
+        if (tasks.some(existing => String(existing.id) === String(task.id))) {
+          throw new HttpError(409, `Task ${task.id} already exists`);
+        }
+        store.setTasks(sessionId, [...tasks, task]);
+        return sendJson(res, 201, task);
+      }
+
+      default:
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+  };
+
+  const handleItem = async (req, res, sessionId, id) => {
+    const tasks = store.getTasks(sessionId);
+    const existing = tasks.find(task => String(task.id) === id);
+    if (!existing) {
+      throw new HttpError(404, `Task ${id} not found`);
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, existing);
+
+      case 'PATCH': {
+        const body = await readBody(req);
+        const updated = validateTask({
+          ...withDefaults(existing),
+          ...(body.text !== undefined && { text: body.text }),
+          ...(body.completed !== undefined && { completed: body.completed }),
+          ...(body.dueDate !== undefined && { dueDate: body.dueDate }),
+          ...(body.priority !== undefined && { priority: body.priority }),
+          ...(body.tags !== undefined && { tags: body.tags }),
+          ...(body.listId !== undefined && { listId: body.listId }),
+          ...(body.subtasks !== undefined && { subtasks: body.subtasks }),
+        });
+        // Like in the app, a task moved to another list goes after its tasks
+        store.setTasks(sessionId, updated.listId === withDefaults(existing).listId
+          ? tasks.map(task => (task === existing ? updated : task))
+          : [...tasks.filter(task => task !== existing), updated]);
+        return sendJson(res, 200, updated);
+      }
+
+      case 'DELETE':
+        store.setTasks(sessionId, tasks.filter(task => task !== existing));
+        return sendJson(res, 204);
+
+      default:
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+  };
+
+  const getLists = (sessionId) => store.getLists(sessionId) || defaultLists;
+
+  const handleLists = async (req, res, sessionId) => {
+    const lists = getLists(sessionId);
+
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, lists);
+
+      case 'POST': {
+        const body = await readBody(req);
+        const list = validateList({ id: body.id !== undefined ? body.id : Date.now(), name: body.name }, lists);
+        if (lists.some(existing => String(existing.id) === String(list.id))) {
+          throw new HttpError(409, `List ${list.id} already exists`);
+        }
+        store.setLists(sessionId, [...lists, list]);
+        return sendJson(res, 201, list);
+      }
+
+      default:
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+  };
+
+  const handleListItem = async (req, res, sessionId, id) => {
+    const lists = getLists(sessionId);
+    const existing = lists.find(list => String(list.id) === id);
+    if (!existing) {
+      throw new HttpError(404, `List ${id} not found`);
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, existing);
+
+      case 'PATCH': {
+        const body = await readBody(req);
+        const updated = validateList(
+          { id: existing.id, name: body.name },
+          lists.filter(list => list !== existing)
+        );
+        store.setLists(sessionId, lists.map(list => (list === existing ? updated : list)));
+        return sendJson(res, 200, updated);
+      }
+
+      case 'DELETE':
+        if (lists.length === 1) {
+          throw new HttpError(409, 'The last list cannot be deleted');
+        }
+        store.setLists(sessionId, lists.filter(list => list !== existing));
+        store.setTasks(sessionId, store.getTasks(sessionId).filter(task => String(task.listId) !== id));
+        return sendJson(res, 204);
+
+      default:
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+  };
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/api/health') {
+        return sendJson(res, 200, { status: 'ok' });
+      }
+
+      if (pathname === '/api/tasks') {
+        return await handleCollection(req, res, resolveSession(req, res));
+      }
+
+      const itemMatch = pathname.match(/^\/api\/tasks\/([^/]+)$/);
+      if (itemMatch) {
+        return await handleItem(req, res, resolveSession(req, res), decodeURIComponent(itemMatch[1]));
+      }
+
+      if (pathname === '/api/lists') {
+        return await handleLists(req, res, resolveSession(req, res));
+      }
+
+      const listMatch = pathname.match(/^\/api\/lists\/([^/]+)$/);
+      if (listMatch) {
+        return await handleListItem(req, res, resolveSession(req, res), decodeURIComponent(listMatch[1]));
+      }
+
+      throw new HttpError(404, `No route for ${pathname}`);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(error);
+      }
+      return sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+    }
+  };
+}
+
+module.exports = { createApp, HttpError, SESSION_COOKIE };
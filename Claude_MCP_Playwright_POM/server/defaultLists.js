@@ -0,0 +1,13 @@
+/**
+ * Lists every new session starts with
+ * Mirrors the client's DEFAULT_LISTS. Tasks saved without a listId belong to
+ * DEFAULT_LIST_ID.
+ */
+
+const DEFAULT_LIST_ID = 'default';
+
+const defaultLists = [
+  { id: DEFAULT_LIST_ID, name: 'My Todo List' },
+];
+
+module.exports = { DEFAULT_LIST_ID, defaultLists };
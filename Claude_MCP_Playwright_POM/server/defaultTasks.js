@@ -0,0 +1,15 @@
+/**
+ * Tasks every new session starts with
+ * Mirrors the client's DEFAULT_TASKS so a fresh browser sees the same list
+ * whether or not the API is reachable.
+ */
+
+const { DEFAULT_LIST_ID } = require('./defaultLists');
+
+const defaultTasks = [
+  { id: 1, text: 'Learn React', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+  { id: 2, text: 'Build a todo app', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+  { id: 3, text: 'Master JavaScript', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+];
+
+module.exports = defaultTasks;
@@ -0,0 +1,24 @@
+/**
+ * Task API server
+ * Usage: npm run api
+ *
+ * Environment:
+ *   API_PORT           - Port to listen on (default 3001)
+ *   TODO_API_STORE     - 'memory' (default) or 'file'
+ *   TODO_API_DATA_FILE - JSON file used by the file store (default server/data/tasks.json)
+ */
+
+const http = require('http');
+const path = require('path');
+const { createApp } = require('./app');
+const { createMemoryStore, createFileStore } = require('./taskStore');
+
+const port = Number(process.env.API_PORT) || 3001;
+const storeType = process.env.TODO_API_STORE || 'memory';
+const dataFile = process.env.TODO_API_DATA_FILE || path.join(__dirname, 'data', 'tasks.json');
+
+const store = storeType === 'file' ? createFileStore(dataFile) : createMemoryStore();
+
+http.createServer(createApp(store)).listen(port, () => {
+  console.log(`Task API listening on http://localhost:${port} (${storeType} store)`);
+});
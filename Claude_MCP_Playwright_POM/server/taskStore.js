@@ -0,0 +1,91 @@
+/**
+ * Task Stores
+ * Keep one set of lists and tasks per session. The memory store is used for
+ * development and tests; the file store writes every change to a JSON file
+ * so data survives a server restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Oldest sessions are dropped beyond this, so long test runs cannot grow the
+// store without bound
+const MAX_SESSIONS = 1000;
+
+// Files written before named lists existed hold a bare task array per session
+const toSession = (value) => (Array.isArray(value) ? { tasks: value, lists: null } : value);
+
+/**
+ * Create a store that keeps every session in memory
+ * @param {Object} initialSessions - Optional map of session id to { tasks, lists }
+ * @returns {Object} Task store
+ */
+function createMemoryStore(initialSessions = {}) {
+  const sessions = new Map(
+    Object.entries(initialSessions).map(([sessionId, value]) => [sessionId, toSession(value)])
+  );
+
+  const update = (sessionId, changes) => {
+    const current = sessions.get(sessionId) || { tasks: [], lists: null };
+    sessions.delete(sessionId);
+    sessions.set(sessionId, { ...current, ...changes });
+    while (sessions.size > MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  };
+
+  return {
+    hasSession: (sessionId) => sessions.has(sessionId),
+
+    getTasks: (sessionId) => (sessions.get(sessionId) || {}).tasks || [],
+
+    setTasks: (sessionId, tasks) => update(sessionId, { tasks }),
+
+    // null until the session's lists are first written; the app then serves
+    // the default lists
+    getLists: (sessionId) => (sessions.get(sessionId) || {}).lists || null,
+
+    setLists: (sessionId, lists) => update(sessionId, { lists }),
+
+    toJSON: () => Object.fromEntries(sessions),
+  };
+}
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - Where to read and write the sessions
+ * @returns {Object} Task store
+ */
+function createFileStore(filePath) {
+  let initialSessions = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      initialSessions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable task data in ${filePath}: ${error.message}`);
+    }
+  }
+
+  const memory = createMemoryStore(initialSessions);
+
+  const write = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(memory.toJSON(), null, 2));
+  };
+
+  return {
+    ...memory,
+
+    setTasks: (sessionId, tasks) => {
+      memory.setTasks(sessionId, tasks);
+      write();
+    },
+
+    setLists: (sessionId, lists) => {
+      memory.setLists(sessionId, lists);
+      write();
+    },
+  };
+}
+
+module.exports = { createMemoryStore, createFileStore };
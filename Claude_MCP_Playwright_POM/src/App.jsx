@@ -1,75 +1,882 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as taskApi from './api/taskApi';
+import BulkActionBar from './components/BulkActionBar';
+import ErrorBanner from './components/ErrorBanner';
+import FilterBar from './components/FilterBar';
+import ImportPreview from './components/ImportPreview';
+import ListSidebar from './components/ListSidebar';
+import LiveAnnouncer from './components/LiveAnnouncer';
+import ShortcutHelp from './components/ShortcutHelp';
+import TagFilter from './components/TagFilter';
+import TaskItem from './components/TaskItem';
+import ThemeToggle from './components/ThemeToggle';
+import TransferBar from './components/TransferBar';
+import UndoToast from './components/UndoToast';
+import useHashFilter from './hooks/useHashFilter';
+import useOutbox from './hooks/useOutbox';
+import useSearchQuery from './hooks/useSearchQuery';
+import useSelection from './hooks/useSelection';
+import useShortcuts from './hooks/useShortcuts';
+import useTabSync from './hooks/useTabSync';
+import useTasks from './hooks/useTasks';
+import useTheme from './hooks/useTheme';
+import useToday from './hooks/useToday';
+import { DEFAULT_LIST_ID, DEFAULT_LISTS, countTasksByList, getListNameError } from './lists/lists';
+import { createDefaultAdapter } from './storage/adapters';
+import { loadActiveListId, loadLists, saveActiveListId, saveLists } from './storage/listStorage';
+import { loadTasks, saveTasks } from './storage/taskStorage';
+import { apiCall, isOfflineFailure, sendApiCall } from './sync/outbox';
+import { createDefaultTabChannel } from './sync/tabChannel';
+import { matchesQuery } from './tasks/search';
+import { nextSubtaskId } from './tasks/subtasks';
+import { countTags } from './tasks/tags';
+import { createTask } from './tasks/taskReducer';
+import { downloadFile } from './transfer/download';
+import { ImportError, parseTaskFile, serializeTasks } from './transfer/formats';
+import { DEFAULT_IMPORT_MODE, planImport } from './transfer/importPlan';
+import { DEFAULT_SORT, PRIORITIES, SORT_OPTIONS, sortTasks } from './tasks/taskMeta';
+import { DEFAULT_TASK_RULES, TAGS_ONLY_TASK_MESSAGE, validateTaskText } from './tasks/validation';
 import './App.css';
 
-export default function App() {
-  const [tasks, setTasks] = useState([
-    { id: 1, text: 'Learn React' },
-    { id: 2, text: 'Build a todo app' },
-    { id: 3, text: 'Master JavaScript' },
-  ]);
+const DEFAULT_TASKS = [
+  { id: 1, text: 'Learn React', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+  { id: 2, text: 'Build a todo app', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+  { id: 3, text: 'Master JavaScript', completed: false, dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [] },
+];
+
+const LOAD_ERROR_MESSAGE = 'Could not load tasks from the server. Showing tasks saved on this device.';
+const OFFLINE_LOAD_MESSAGE = 'You are offline. Showing tasks saved on this device.';
+const SAVE_ERROR_MESSAGE = 'Could not save your last change, so it was undone.';
+const OUTBOX_ERROR_MESSAGE = 'Some changes made while offline could not be saved. Showing the tasks on the server.';
+// Focus target meaning the new-task input rather than a task row
+const NEW_TASK_INPUT = 'new-task-input';
+
+const defaultStorage = createDefaultAdapter();
+const defaultTabChannel = createDefaultTabChannel();
+
+export default function App({
+  storage = defaultStorage,
+  api = taskApi,
+  tabChannel = defaultTabChannel,
+  taskRules = DEFAULT_TASK_RULES,
+}) {
+  const {
+    tasks,
+    run,
+    undo,
+    redo,
+    reset,
+    rollback,
+    undoTasks,
+    redoTasks,
+  } = useTasks([]);
+  // 'loading' until the first server response, then 'ready'; 'error' means
+  // the server could not be reached and the cached tasks are shown instead
+  const [status, setStatus] = useState('loading');
+  const [lists, setLists] = useState(() => loadLists(storage, DEFAULT_LISTS));
+  const [activeListId, setActiveListId] = useState(() => loadActiveListId(storage));
+  const [error, setError] = useState(null);
+  const [pendingRequests, setPendingRequests] = useState(0);
   const [inputValue, setInputValue] = useState('');
+  // Why the last add was refused, shown under the input until it changes
+  const [inputError, setInputError] = useState(null);
+  const [dueDateValue, setDueDateValue] = useState('');
+  const [priorityValue, setPriorityValue] = useState('');
+  const [sortBy, setSortBy] = useState(DEFAULT_SORT);
+  const [tagFilter, setTagFilter] = useState(null);
+  // { fileName, imported, mode } while an import waits for confirmation
+  const [pendingImport, setPendingImport] = useState(null);
+  // { id, message, before, after }: the lists around the command it can undo
+  const [toast, setToast] = useState(null);
+  const [announcement, setAnnouncement] = useState(null);
+  // Task id (or NEW_TASK_INPUT) to focus after the next render
+  const [focusTarget, setFocusTarget] = useState(null);
+  // Task id whose editor to open after the next render
+  const [editTarget, setEditTarget] = useState(null);
+  // The row holding focus, which the task shortcuts act on
+  const [currentTaskId, setCurrentTaskId] = useState(null);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const taskInputRef = useRef(null);
+  const [drag, setDrag] = useState({ fromId: null, overId: null });
+  const filter = useHashFilter();
+  const search = useSearchQuery();
+  const selection = useSelection();
+  const today = useToday();
+  const { theme, chooseTheme } = useTheme(storage);
+  // A stale or deleted id falls back to the first list
+  const activeList = lists.find(list => list.id === activeListId) || lists[0];
 
-  const addTask = () => {
-    if (inputValue.trim() === '') return;
+  const dismissToast = useCallback(() => setToast(null), []);
+  const dismissError = useCallback(() => setError(null), []);
 
-    const newTask = {
-      id: Date.now(),
-      text: inputValue,
+  // Loads can overlap (a Retry while one is out, StrictMode mounting twice),
+  // so each takes a number and only the newest one's response is used
+  const latestLoadRef = useRef(0);
+
+  const loadFromServer = useCallback(() => {
+    const load = ++latestLoadRef.current;
+    const isLatest = () => load === latestLoadRef.current;
+    setStatus('loading');
+    setError(null);
+
+    Promise.all([api.fetchLists(), api.fetchTasks()])
+      .then(([serverLists, serverTasks]) => {
+        if (!isLatest()) return;
+        setLists(serverLists);
+        reset(serverTasks);
+        setStatus('ready');
+      })
+      .catch(() => {
+        if (!isLatest()) return;
+        setLists(loadLists(storage, DEFAULT_LISTS));
+        reset(loadTasks(storage, DEFAULT_TASKS));
+        setStatus('error');
+        setError({ message: navigator.onLine === false ? OFFLINE_LOAD_MESSAGE : LOAD_ERROR_MESSAGE, canRetry: true });
+      });
+  }, [api, storage, reset]);
+
+  useEffect(() => {
+    loadFromServer();
+    // Drop the response of a load still out when unmounting
+    return () => {
+      latestLoadRef.current += 1;
     };
+  }, [loadFromServer]);
+
+  // Once changes made offline have gone out, reload to pick up whatever else
+  // changed on the server meanwhile
+  const outbox = useOutbox(storage, api, (rejected) => {
+    loadFromServer();
+    if (rejected > 0) setError({ message: OUTBOX_ERROR_MESSAGE, canRetry: false });
+  });
+
+  // The local copy doubles as the fallback shown when the server is down
+  useEffect(() => {
+    if (status !== 'loading') saveTasks(storage, tasks);
+  }, [storage, tasks, status]);
+
+  useEffect(() => {
+    if (status !== 'loading') saveLists(storage, lists);
+  }, [storage, lists, status]);
+
+  useEffect(() => {
+    saveActiveListId(storage, activeList.id);
+  }, [storage, activeList.id]);
+
+  // A targeted TaskItem focuses its own row; child effects run first, so
+  // by now it has, and the target can be cleared
+  useEffect(() => {
+    if (focusTarget === null) return;
+    if (focusTarget === NEW_TASK_INPUT) taskInputRef.current.focus();
+    setFocusTarget(null);
+  }, [focusTarget]);
+
+  // Likewise the edit target only needs to last until the row has opened its
+  // editor; left set, the row would reopen it whenever editing ended
+  useEffect(() => {
+    if (editTarget !== null) setEditTarget(null);
+  }, [editTarget]);
+
+  // Send a change to the server after it has already been applied locally;
+  // if the server rejects it, revert() puts back what it replaced. Offline,
+  // or behind changes still waiting, it joins the outbox instead.
+  const sendChange = (call, revert) => {
+    if (!outbox.online || outbox.queued.length > 0) {
+      outbox.enqueue(call);
+      return;
+    }
+
+    setPendingRequests(count => count + 1);
+    sendApiCall(api, call)
+      .catch((sendError) => {
+        if (isOfflineFailure(sendError)) {
+          outbox.enqueue(call);
+          return;
+        }
+        revert();
+        setToast(null);
+        setError({ message: SAVE_ERROR_MESSAGE, canRetry: false });
+      })
+      .finally(() => setPendingRequests(count => count - 1));
+  };
+
+  // A rejected change is taken back out of the tasks on its own: changes made
+  // since may already be on the server
+  const sync = (previousTasks, nextTasks, call) => {
+    sendChange(call, () => rollback(previousTasks, nextTasks));
+  };
+
+  // Screen readers hear each add, delete and completion followed by the open
+  // list's new active count, since the stats themselves are not announced
+  const announce = (message, nextTasks) => {
+    const active = nextTasks.filter(task => task.listId === activeList.id && !task.completed).length;
+    setAnnouncement({
+      id: Date.now(),
+      message: `${message}. ${active} active ${active === 1 ? 'task' : 'tasks'}.`,
+    });
+  };
+
+  const undoLastCommand = () => {
+    if (!undoTasks) return;
+
+    const previousTasks = tasks;
+    undo();
+    setToast(null);
+    sync(previousTasks, undoTasks, apiCall('replaceTasks', undoTasks));
+  };
+
+  // The toast's Undo takes back the command that showed it. With newer
+  // commands on top, plain undo would take back one of those instead.
+  const undoToastCommand = () => {
+    const { before, after } = toast;
+    if (undoTasks === before) {
+      undoLastCommand();
+      return;
+    }
+
+    setToast(null);
+    const reverted = run({ type: 'revert', before, after });
+    if (reverted === tasks) return;
+    sync(tasks, reverted, apiCall('replaceTasks', reverted));
+  };
+
+  const redoLastCommand = () => {
+    if (!redoTasks) return;
+
+    const previousTasks = tasks;
+    redo();
+    sync(previousTasks, redoTasks, apiCall('replaceTasks', redoTasks));
+  };
+
+  // Another tab already saved its change, so it is only shown here. It also
+  // clears the undo history: undoing past it would bring that tab's tasks
+  // back as they were.
+  const receiveTasks = (merged, conflicts) => {
+    reset(merged);
+    setToast(null);
+    const replaced = conflicts.find(conflict => !conflict.keptLocal);
+    if (replaced) {
+      setError({
+        message: `"${replaced.local.text}" was also changed in another tab, and that newer change was kept.`,
+        canRetry: false,
+      });
+    }
+  };
 
-    setTasks([...tasks, newTask]);
+  useTabSync(tabChannel, { tasks, lists, ready: status !== 'loading' }, {
+    onRemoteTasks: receiveTasks,
+    onRemoteLists: setLists,
+  });
+
+  // A refused add keeps the entered text so it can be corrected
+  const addTask = () => {
+    const listTasks = tasks.filter(task => task.listId === activeList.id);
+    const { text, tags, error: textError } = validateTaskText(inputValue, listTasks, taskRules);
+    if (textError) {
+      setInputError(textError);
+      setFocusTarget(NEW_TASK_INPUT);
+      return;
+    }
+
+    const newTask = createTask(tasks, {
+      text,
+      tags,
+      listId: activeList.id,
+      dueDate: dueDateValue || null,
+      priority: priorityValue || null,
+    });
+
+    const added = run({ type: 'add', task: newTask });
+    sync(tasks, added, apiCall('createTask', newTask));
+    announce(`Added "${text}"`, added);
     setInputValue('');
+    setDueDateValue('');
+    setPriorityValue('');
+  };
+
+  // Deletes go through here so every one of them offers an Undo toast
+  const removeTasks = (shouldRemove) => {
+    const removed = tasks.filter(shouldRemove);
+    const removedCount = removed.length;
+    if (removedCount === 0) return;
+
+    const removedIds = removed.map(task => task.id);
+    const remaining = run({ type: 'delete', ids: removedIds });
+    selection.deselect(removedIds);
+    sync(tasks, remaining, removedCount === 1
+      ? apiCall('deleteTask', removed[0].id)
+      : apiCall('replaceTasks', remaining));
+    setToast({
+      id: Date.now(),
+      message: removedCount === 1 ? 'Task deleted' : `${removedCount} tasks deleted`,
+      before: tasks,
+      after: remaining,
+    });
+    announce(
+      removedCount === 1 ? `Deleted "${removed[0].text}"` : `${removedCount} tasks deleted`,
+      remaining
+    );
   };
 
   const deleteTask = (id) => {
-    setTasks(tasks.filter(task => task.id !== id));
+    removeTasks(task => task.id === id);
+  };
+
+  const toggleTask = (id) => {
+    const task = tasks.find(current => current.id === id);
+    const completed = !task.completed;
+    const toggled = run({ type: 'toggle', id });
+    sync(tasks, toggled, apiCall('updateTask', id, { completed }));
+    announce(completed ? `Completed "${task.text}"` : `Marked "${task.text}" as active`, toggled);
+  };
+
+  // changes carries the editor's text (tags included), dueDate and priority
+  const editTask = (id, { text, dueDate, priority }) => {
+    if (text.trim() === '') {
+      deleteTask(id);
+      return;
+    }
+
+    const task = tasks.find(current => current.id === id);
+    const listTasks = tasks.filter(current => current.listId === task.listId);
+    const parsed = validateTaskText(text, listTasks, taskRules, id);
+    // An edit down to tags alone retags the task and keeps its text
+    if (parsed.error && parsed.error !== TAGS_ONLY_TASK_MESSAGE) {
+      setError({ message: parsed.error, canRetry: false });
+      return;
+    }
+
+    const changes = {
+      text: parsed.text || task.text,
+      dueDate,
+      priority,
+      tags: parsed.tags,
+    };
+    const edited = run({ type: 'edit', id, changes });
+    sync(tasks, edited, apiCall('updateTask', id, changes));
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
+  // Subtask changes go through here so the task's completion follows its checklist
+  const changeSubtasks = (id, getSubtasks) => {
+    const task = tasks.find(current => current.id === id);
+    const changed = run({ type: 'subtasks', id, subtasks: getSubtasks(task.subtasks) });
+    const updated = changed.find(current => current.id === id);
+    sync(tasks, changed, apiCall('updateTask', id, { subtasks: updated.subtasks, completed: updated.completed }));
+  };
+
+  const addSubtask = (id, text) => {
+    if (text.trim() === '') return;
+
+    changeSubtasks(id, subtasks => [
+      ...subtasks,
+      { id: nextSubtaskId(subtasks), text: text.trim(), completed: false },
+    ]);
+  };
+
+  const toggleSubtask = (id, subtaskId) => {
+    changeSubtasks(id, subtasks => subtasks.map(subtask =>
+      subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+    ));
+  };
+
+  const deleteSubtask = (id, subtaskId) => {
+    changeSubtasks(id, subtasks => subtasks.filter(subtask => subtask.id !== subtaskId));
+  };
+
+  // Everything below the heading is about the open list only
+  const isInActiveList = (task) => task.listId === activeList.id;
+  const listTasks = tasks.filter(isInActiveList);
+  const completedCount = listTasks.filter(task => task.completed).length;
+  const activeCount = listTasks.length - completedCount;
+  const allCompleted = listTasks.length > 0 && activeCount === 0;
+  const matchesTag = (task) => tagFilter === null || task.tags.includes(tagFilter);
+  const visibleTasks = sortTasks(listTasks.filter(task =>
+    filter.matches(task) && matchesTag(task) && matchesQuery(task, search.appliedQuery)
+  ), sortBy);
+  const tagCounts = countTags(listTasks);
+  const listTaskCounts = countTasksByList(tasks);
+  const moveTargets = lists.filter(list => list !== activeList);
+  // Manual moves only make sense while the stored order is on screen
+  const canReorder = sortBy === DEFAULT_SORT;
+  // Rows hidden by the filter stay out of bulk operations
+  const selectedIds = visibleTasks
+    .filter(task => selection.selectedIds.includes(task.id))
+    .map(task => task.id);
+
+  const toggleAll = () => {
+    const toggled = run({ type: 'toggleAll', listId: activeList.id, completed: !allCompleted });
+    sync(tasks, toggled, apiCall('replaceTasks', toggled));
+    announce(allCompleted ? 'Marked all tasks as active' : 'Completed all tasks', toggled);
+  };
+
+  const clearCompleted = () => {
+    removeTasks(task => isInActiveList(task) && task.completed);
+  };
+
+  // The Delete button goes away with its row, so focus moves to the row that
+  // takes its place (the one above at the end of the list), or to the
+  // new-task input once nothing is left to show
+  const deleteTaskAndMoveFocus = (id) => {
+    const index = visibleTasks.findIndex(task => task.id === id);
+    const next = visibleTasks[index + 1] || visibleTasks[index - 1];
+
+    deleteTask(id);
+    setFocusTarget(next ? next.id : NEW_TASK_INPUT);
+  };
+
+  const selectTask = (id, e) => {
+    if (e.shiftKey) {
+      selection.selectRange(visibleTasks.map(task => task.id), id);
+    } else {
+      selection.toggle(id);
+    }
+  };
+
+  const reorderTask = (fromId, toId) => {
+    const reordered = run({ type: 'reorder', fromId, toId });
+    if (reordered === tasks) return;
+
+    sync(tasks, reordered, apiCall('replaceTasks', reordered));
+  };
+
+  // Keyboard moves step over the rows of the current view; returns whether
+  // the task actually moved
+  const moveTaskBy = (id, offset) => {
+    const index = visibleTasks.findIndex(task => task.id === id);
+    const target = visibleTasks[index + offset];
+    if (!target) return false;
+
+    reorderTask(id, target.id);
+    return true;
+  };
+
+  // j/k step through the rows on screen; with no current row they start
+  // from the top or the bottom
+  const focusTaskBy = (offset) => {
+    const index = visibleTasks.findIndex(task => task.id === currentTaskId);
+    const nextIndex = index === -1
+      ? (offset > 0 ? 0 : visibleTasks.length - 1)
+      : Math.min(Math.max(index + offset, 0), visibleTasks.length - 1);
+    if (visibleTasks[nextIndex]) setFocusTarget(visibleTasks[nextIndex].id);
+  };
+
+  // Task shortcuts do nothing unless a row on screen has focus
+  const withCurrentTask = (action) => () => {
+    if (visibleTasks.some(task => task.id === currentTaskId)) action(currentTaskId);
+  };
+
+  // While the help overlay is open, ? only closes it again
+  useShortcuts(helpOpen ? { showHelp: () => setHelpOpen(false) } : {
+    focusInput: () => setFocusTarget(NEW_TASK_INPUT),
+    nextTask: () => focusTaskBy(1),
+    previousTask: () => focusTaskBy(-1),
+    toggleTask: withCurrentTask(toggleTask),
+    deleteTask: withCurrentTask(deleteTaskAndMoveFocus),
+    editTask: withCurrentTask(setEditTarget),
+    undo: undoLastCommand,
+    redo: redoLastCommand,
+    showHelp: () => setHelpOpen(true),
+  });
+
+  const dropTask = (toId) => {
+    if (drag.fromId !== null) reorderTask(drag.fromId, toId);
+    setDrag({ fromId: null, overId: null });
+  };
+
+  // Clicking the chip of the active tag filter turns it off again
+  const toggleTagFilter = (tag) => {
+    setTagFilter(current => (current === tag ? null : tag));
+  };
+
+  const exportTasks = (format) => {
+    downloadFile(serializeTasks(listTasks, format));
+  };
+
+  const readImportFile = (file) => {
+    file.text()
+      .then((content) => {
+        setPendingImport({
+          fileName: file.name,
+          imported: parseTaskFile(file.name, content),
+          mode: DEFAULT_IMPORT_MODE,
+        });
+        setError(null);
+      })
+      .catch((importError) => {
+        const reason = importError instanceof ImportError ? importError.message : 'The file could not be read.';
+        setPendingImport(null);
+        setError({ message: `Could not import ${file.name}. ${reason}`, canRetry: false });
+      });
+  };
+
+  const importPlan = pendingImport && planImport(listTasks, pendingImport.imported, pendingImport.mode, tasks);
+
+  // Imports go into the open list and leave the other lists alone
+  const applyImport = () => {
+    const imported = run({ type: 'import', listId: activeList.id, tasks: importPlan.tasks });
+    sync(tasks, imported, apiCall('replaceTasks', imported));
+    setPendingImport(null);
+    setToast({ id: Date.now(), message: 'Tasks imported', before: tasks, after: imported });
+  };
+
+  const deleteSelected = () => {
+    removeTasks(task => selectedIds.includes(task.id));
+    selection.clear();
+  };
+
+  const moveTaskToList = (id, list) => {
+    const moved = run({ type: 'move', id, listId: list.id });
+    sync(tasks, moved, apiCall('updateTask', id, { listId: list.id }));
+    setToast({ id: Date.now(), message: `Moved to ${list.name}`, before: tasks, after: moved });
+  };
+
+  const selectList = (id) => {
+    setActiveListId(id);
+    setTagFilter(null);
+    setInputError(null);
+    selection.clear();
+  };
+
+  // Returns whether the list was created, so the sidebar knows to clear its input
+  const createList = (name) => {
+    const trimmed = name.trim();
+    const nameError = getListNameError(lists, trimmed);
+    if (nameError) {
+      setError({ message: nameError, canRetry: false });
+      return false;
+    }
+
+    const list = { id: Date.now(), name: trimmed };
+    const previousLists = lists;
+    setLists([...lists, list]);
+    sendChange(apiCall('createList', list), () => setLists(previousLists));
+    selectList(list.id);
+    return true;
+  };
+
+  // An empty or unchanged name keeps the current one, like an empty task edit
+  // keeps a task's text when it still has tags
+  const renameList = (id, name) => {
+    const trimmed = name.trim();
+    const current = lists.find(list => list.id === id);
+    if (trimmed === '' || trimmed === current.name) return;
+
+    const nameError = getListNameError(lists, trimmed, id);
+    if (nameError) {
+      setError({ message: nameError, canRetry: false });
+      return;
+    }
+
+    const previousLists = lists;
+    setLists(lists.map(list => (list.id === id ? { ...list, name: trimmed } : list)));
+    sendChange(apiCall('renameList', id, trimmed), () => setLists(previousLists));
+  };
+
+  // Deleting a list deletes its tasks and cannot be undone: the undo history
+  // is cleared so it cannot bring back tasks whose list is gone
+  const deleteList = (id) => {
+    if (lists.length === 1) return;
+
+    const previousLists = lists;
+    const previousTasks = tasks;
+    const index = lists.findIndex(list => list.id === id);
+    const remainingLists = lists.filter(list => list.id !== id);
+
+    setLists(remainingLists);
+    reset(tasks.filter(task => task.listId !== id));
+    setToast(null);
+    if (id === activeList.id) {
+      selectList(remainingLists[Math.min(index, remainingLists.length - 1)].id);
+    }
+    sendChange(apiCall('deleteList', id), () => {
+      setLists(previousLists);
+      reset(previousTasks);
+    });
+  };
+
+  // Counts what would be saved, so surrounding spaces do not count
+  const inputLength = inputValue.trim().length;
+
+  const waitingChanges = `${outbox.queued.length} ${outbox.queued.length === 1 ? 'change' : 'changes'}`;
+  let outboxStatus = null;
+  if (!outbox.online) {
+    outboxStatus = outbox.queued.length === 0
+      ? 'You are offline. Changes will be sent when you reconnect.'
+      : `You are offline. ${waitingChanges} will be sent when you reconnect.`;
+  } else if (outbox.queued.length > 0) {
+    outboxStatus = `Sending ${waitingChanges} made while offline...`;
+  }
+
+  // Enter that confirms an IME composition is not a submit
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
       addTask();
     }
   };
 
   return (
-    <div className="todo-container">
-      <h1>My Todo List</h1>
+    <div
+      className="todo-container"
+      data-testid="todo-container"
+      aria-busy={status === 'loading' || pendingRequests > 0 || (outbox.online && outbox.queued.length > 0)}
+      data-status={status}
+    >
+      <ListSidebar
+        lists={lists}
+        activeListId={activeList.id}
+        taskCounts={listTaskCounts}
+        onSelect={selectList}
+        onCreate={createList}
+        onRename={renameList}
+        onDelete={deleteList}
+        disabled={status === 'loading'}
+      />
+
+      <main className="list-main">
+        <header className="list-header">
+          <h1 data-testid="list-heading">{activeList.name}</h1>
+          <ThemeToggle theme={theme} onChange={chooseTheme} />
+          <button
+            type="button"
+            onClick={() => setHelpOpen(true)}
+            className="shortcut-help-btn"
+            data-testid="shortcut-help-button"
+            aria-keyshortcuts="?"
+          >
+            Shortcuts <kbd>?</kbd>
+          </button>
+        </header>
+
+        {error && (
+          <ErrorBanner
+            message={error.message}
+            onRetry={error.canRetry ? loadFromServer : undefined}
+            onDismiss={dismissError}
+          />
+        )}
+
+        <div className="input-section">
+          <input
+            ref={taskInputRef}
+            type="text"
+            value={inputValue}
+            onChange={(e) => {
+              setInputValue(e.target.value);
+              setInputError(null);
+            }}
+            onKeyDown={handleInputKeyDown}
+            placeholder="Add a new task..."
+            className="task-input"
+            data-testid="task-input"
+            aria-label="New task"
+            aria-invalid={inputError !== null}
+            aria-describedby={inputError !== null ? 'task-input-error task-input-count' : 'task-input-count'}
+            disabled={status === 'loading'}
+          />
+          <button onClick={addTask} className="add-btn" data-testid="add-task-button" disabled={status === 'loading'}>
+            Add Task
+          </button>
+        </div>
+
+        <div className="input-feedback">
+          {inputError !== null && (
+            <p id="task-input-error" className="input-error" data-testid="task-input-error" role="alert">
+              {inputError}
+            </p>
+          )}
+          <span
+            id="task-input-count"
+            className={inputLength > taskRules.maxLength ? 'char-count over-limit' : 'char-count'}
+            data-testid="char-count"
+          >
+            {inputLength}/{taskRules.maxLength} characters
+          </span>
+        </div>
+
+        <div className="task-details">
+          <label className="due-date-label">
+            Due date
+            <input
+              type="date"
+              value={dueDateValue}
+              onChange={(e) => setDueDateValue(e.target.value)}
+              className="due-date-input"
+              data-testid="due-date-input"
+              disabled={status === 'loading'}
+            />
+          </label>
+          <label className="priority-label">
+            Priority
+            <select
+              value={priorityValue}
+              onChange={(e) => setPriorityValue(e.target.value)}
+              className="priority-select"
+              data-testid="priority-select"
+              disabled={status === 'loading'}
+            >
+              <option value="">None</option>
+              {PRIORITIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
 
-      <div className="input-section">
         <input
-          type="text"
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          onKeyPress={handleKeyPress}
-          placeholder="Add a new task..."
-          className="task-input"
+          type="search"
+          value={search.query}
+          onChange={(e) => search.setQuery(e.target.value)}
+          placeholder="Search tasks..."
+          className="search-input"
+          data-testid="search-input"
+          aria-label="Search tasks"
         />
-        <button onClick={addTask} className="add-btn">Add Task</button>
-      </div>
-
-      <div className="tasks-section">
-        {tasks.length === 0 ? (
-          <p className="empty-message">No tasks yet. Add one to get started!</p>
-        ) : (
-          <ul className="task-list">
-            {tasks.map((task) => (
-              <li key={task.id} className="task-item">
-                <span className="task-text">{task.text}</span>
-                <button
-                  onClick={() => deleteTask(task.id)}
-                  className="delete-btn"
-                >
-                  Delete
-                </button>
-              </li>
-            ))}
-          </ul>
+
+        <FilterBar activeFilter={filter} />
+
+        {tagFilter !== null && (
+          <TagFilter tag={tagFilter} onClear={() => setTagFilter(null)} />
         )}
-      </div>
 
-      <div className="stats">
-        <p>Total tasks: {tasks.length}</p>
-      </div>
+        {status !== 'loading' && listTasks.length > 0 && (
+          <div className="list-actions">
+            <label className="toggle-all-label">
+              <input
+                type="checkbox"
+                checked={allCompleted}
+                onChange={toggleAll}
+                className="toggle-all"
+                data-testid="toggle-all"
+              />
+              Mark all complete
+            </label>
+            {completedCount > 0 && (
+              <button onClick={clearCompleted} className="clear-completed-btn" data-testid="clear-completed-button">
+                Clear completed
+              </button>
+            )}
+            <label className="sort-label">
+              Sort by
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="sort-select"
+                data-testid="sort-select"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+
+        {selectedIds.length > 0 && (
+          <BulkActionBar
+            selectedCount={selectedIds.length}
+            onDelete={deleteSelected}
+            onClear={selection.clear}
+          />
+        )}
+
+        <div className="tasks-section">
+          {status === 'loading' ? (
+            <p className="loading-message" data-testid="loading-message">Loading tasks...</p>
+          ) : listTasks.length === 0 ? (
+            <p className="empty-message" data-testid="empty-message">No tasks yet. Add one to get started!</p>
+          ) : visibleTasks.length === 0 && search.appliedQuery.trim() !== '' ? (
+            <p className="search-empty-message" data-testid="search-empty-message">No tasks match "{search.appliedQuery.trim()}".</p>
+          ) : visibleTasks.length === 0 ? (
+            <p className="filter-empty-message" data-testid="filter-empty-message">
+              No {filter.label.toLowerCase()} tasks{tagFilter !== null && ` tagged #${tagFilter}`}.
+            </p>
+          ) : (
+            <ul className="task-list" aria-label="Tasks" data-testid="task-list">
+              {visibleTasks.map((task, index) => (
+                <TaskItem
+                  key={task.id}
+                  task={task}
+                  index={index}
+                  today={today}
+                  searchQuery={search.appliedQuery}
+                  canReorder={canReorder}
+                  moveTargets={moveTargets}
+                  isSelected={selectedIds.includes(task.id)}
+                  isDragTarget={drag.overId === task.id && drag.fromId !== task.id}
+                  isFocusTarget={focusTarget === task.id}
+                  isEditTarget={editTarget === task.id}
+                  onToggle={toggleTask}
+                  onDelete={deleteTaskAndMoveFocus}
+                  onEdit={editTask}
+                  onTagClick={toggleTagFilter}
+                  onMoveToList={moveTaskToList}
+                  onAddSubtask={addSubtask}
+                  onToggleSubtask={toggleSubtask}
+                  onDeleteSubtask={deleteSubtask}
+                  onSelect={selectTask}
+                  onMove={moveTaskBy}
+                  onFocusTask={setCurrentTaskId}
+                  onBlurTask={(id) => setCurrentTaskId(current => (current === id ? null : current))}
+                  onDragStart={(id) => setDrag({ fromId: id, overId: null })}
+                  onDragEnter={(id) => setDrag(current => ({ ...current, overId: id }))}
+                  onDrop={dropTask}
+                  onDragEnd={() => setDrag({ fromId: null, overId: null })}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {toast && (
+          <UndoToast
+            toast={toast}
+            onUndo={undoToastCommand}
+            onDismiss={dismissToast}
+          />
+        )}
+
+        {pendingRequests > 0 && (
+          <p className="sync-status" data-testid="sync-status">Saving changes...</p>
+        )}
+
+        {outboxStatus !== null && (
+          <p className="outbox-status" data-testid="outbox-status" role="status">{outboxStatus}</p>
+        )}
+
+        <TransferBar
+          onExport={exportTasks}
+          onImportFile={readImportFile}
+          disabled={status === 'loading'}
+        />
+
+        {pendingImport && (
+          <ImportPreview
+            fileName={pendingImport.fileName}
+            plan={importPlan}
+            mode={pendingImport.mode}
+            onModeChange={(mode) => setPendingImport(current => ({ ...current, mode }))}
+            onApply={applyImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
+        <div className="stats" data-testid="stats">
+          <p className="stats-total" data-testid="stats-total">Total tasks: {listTasks.length}</p>
+          <p className="stats-active" data-testid="stats-active">Active: {activeCount}</p>
+          <p className="stats-completed" data-testid="stats-completed">Completed: {completedCount}</p>
+          {tagCounts.length > 0 && (
+            <ul className="stats-tags" aria-label="Tasks per tag">
+              {tagCounts.map(({ tag, count }) => (
+                <li key={tag} className="stats-tag">#{tag}: {count}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {helpOpen && <ShortcutHelp onClose={() => setHelpOpen(false)} />}
+
+        <LiveAnnouncer announcement={announcement} />
+      </main>
     </div>
   );
 }
@@ -0,0 +1,207 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * App Component Tests
+ * Renders App against an in-memory server and storage to check loading and
+ * adding tasks, same-millisecond ids, rolling back a rejected change and
+ * sending changes made offline, without a browser or the API server
+ */
+
+import { StrictMode } from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import App from './App';
+import { ApiError } from './api/taskApi';
+import { RETRY_DELAY } from './hooks/useOutbox';
+import { DEFAULT_LISTS } from './lists/lists';
+import { createMemoryAdapter } from './storage/adapters';
+import { createNullTabChannel } from './sync/tabChannel';
+
+const NOW = 1700000000000;
+
+const serverTasks = [
+  { id: 1, text: 'Learn React', completed: false, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] },
+  { id: 2, text: 'Build a todo app', completed: false, dueDate: null, priority: null, tags: [], listId: 'default', subtasks: [] },
+];
+
+// Each call answers at once with what a healthy server would send back
+const createFakeApi = () => ({
+  fetchLists: jest.fn(() => Promise.resolve(DEFAULT_LISTS)),
+  fetchTasks: jest.fn(() => Promise.resolve(serverTasks)),
+  createTask: jest.fn(task => Promise.resolve(task)),
+  updateTask: jest.fn((id, changes) => Promise.resolve({ id, ...changes })),
+  deleteTask: jest.fn(() => Promise.resolve(null)),
+  replaceTasks: jest.fn(tasks => Promise.resolve(tasks)),
+  createList: jest.fn(list => Promise.resolve(list)),
+  renameList: jest.fn((id, name) => Promise.resolve({ id, name })),
+  deleteList: jest.fn(() => Promise.resolve(null)),
+});
+
+const renderApp = async (api = createFakeApi()) => {
+  render(<App storage={createMemoryAdapter()} api={api} tabChannel={createNullTabChannel()} />);
+  await waitForIdle();
+  return api;
+};
+
+// Loading, and every request still out, keep the container busy
+const waitForIdle = () => waitFor(() => {
+  expect(screen.getByTestId('todo-container').getAttribute('aria-busy')).toBe('false');
+});
+
+// jsdom is always online; the app reads navigator.onLine and listens for the events
+const setOnline = (online) => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(online);
+  act(() => {
+    window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+  });
+};
+
+const taskTexts = () => screen.queryAllByTestId('task-text').map(text => text.textContent);
+
+const addTask = (text) => {
+  fireEvent.change(screen.getByTestId('task-input'), { target: { value: text } });
+  fireEvent.keyDown(screen.getByTestId('task-input'), { key: 'Enter' });
+};
+
+describe('App', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should show the tasks the server returns', async () => {
+    await renderApp();
+
+    expect(taskTexts()).toEqual(['Learn React', 'Build a todo app']);
+    expect(screen.getByTestId('stats-total').textContent).toBe('Total tasks: 2');
+  });
+
+  test('should show only the newest of two overlapping loads', async () => {
+    const api = createFakeApi();
+    const responses = [];
+    api.fetchTasks.mockImplementation(() => new Promise(resolve => responses.push(resolve)));
+    // StrictMode mounts twice in development, starting a second load
+    render(
+      <StrictMode>
+        <App storage={createMemoryAdapter()} api={api} tabChannel={createNullTabChannel()} />
+      </StrictMode>
+    );
+    expect(responses).toHaveLength(2);
+
+    responses[1](serverTasks);
+    await waitForIdle();
+    await act(async () => responses[0]([{ ...serverTasks[0], text: 'Stale task' }]));
+
+    expect(taskTexts()).toEqual(['Learn React', 'Build a todo app']);
+    expect(screen.getByTestId('todo-container').getAttribute('data-status')).toBe('ready');
+  });
+
+  test('should add a task with Enter and send it to the server', async () => {
+    const api = await renderApp();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    addTask('Write tests #dev');
+    await waitForIdle();
+
+    expect(taskTexts()).toEqual(['Learn React', 'Build a todo app', 'Write tests']);
+    expect(screen.getByTestId('task-input').value).toBe('');
+    expect(api.createTask).toHaveBeenCalledWith({
+      id: NOW,
+      text: 'Write tests',
+      completed: false,
+      dueDate: null,
+      priority: null,
+      tags: ['dev'],
+      listId: 'default',
+      subtasks: [],
+    });
+  });
+
+  test('should give tasks added within the same millisecond different ids', async () => {
+    const api = await renderApp();
+    const consoleError = jest.spyOn(console, 'error');
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    addTask('First');
+    addTask('Second');
+    addTask('Third');
+    await waitForIdle();
+
+    expect(api.createTask.mock.calls.map(([task]) => task.id)).toEqual([NOW, NOW + 1, NOW + 2]);
+    expect(taskTexts()).toEqual(['Learn React', 'Build a todo app', 'First', 'Second', 'Third']);
+    // React warns about rows sharing a key
+    expect(consoleError).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a duplicate and keep the entered text', async () => {
+    const api = await renderApp();
+
+    addTask('learn react');
+
+    expect(screen.getByTestId('task-input-error').textContent)
+      .toBe('A task named "learn react" is already in this list');
+    expect(screen.getByTestId('task-input').value).toBe('learn react');
+    expect(api.createTask).not.toHaveBeenCalled();
+  });
+
+  test('should open the editor with the edit shortcut each time it is pressed', async () => {
+    await renderApp();
+    const firstTask = () => screen.getAllByTestId('task-item')[0];
+
+    for (let press = 0; press < 2; press++) {
+      act(() => firstTask().focus());
+      fireEvent.keyDown(firstTask(), { key: 'e' });
+      expect(within(firstTask()).getByTestId('task-edit-input').value).toBe('Learn React');
+
+      fireEvent.keyDown(within(firstTask()).getByTestId('task-edit-input'), { key: 'Escape' });
+      expect(within(firstTask()).queryByTestId('task-edit-input')).toBeNull();
+    }
+  });
+
+  test('should put a toggled task back when the server rejects it', async () => {
+    const api = createFakeApi();
+    api.updateTask.mockRejectedValue(new ApiError('Server error', 500));
+    await renderApp(api);
+
+    const firstTask = screen.getAllByTestId('task-item')[0];
+    fireEvent.click(within(firstTask).getByTestId('task-checkbox'));
+    await waitForIdle();
+
+    expect(within(firstTask).getByTestId('task-checkbox').checked).toBe(false);
+    expect(screen.getByTestId('stats-completed').textContent).toBe('Completed: 0');
+    expect(screen.getByTestId('error-banner').textContent).toContain('Could not save your last change, so it was undone.');
+  });
+
+  test('should keep sending changes made offline when the server cannot be reached at first', async () => {
+    const api = await renderApp();
+    api.createTask.mockRejectedValueOnce(new ApiError('Network error'));
+
+    setOnline(false);
+    addTask('Written offline');
+    jest.useFakeTimers();
+    setOnline(true);
+    await act(async () => {});
+
+    expect(api.createTask).toHaveBeenCalledTimes(1);
+    expect(screen.getByTestId('outbox-status').textContent).toBe('Sending 1 change made while offline...');
+
+    await act(async () => jest.advanceTimersByTime(RETRY_DELAY));
+    jest.useRealTimers();
+    await waitForIdle();
+
+    expect(api.createTask).toHaveBeenCalledTimes(2);
+    expect(api.createTask.mock.calls[1][0].text).toBe('Written offline');
+    expect(screen.queryByTestId('outbox-status')).toBeNull();
+  });
+
+  test('should fall back to the tasks saved on this device when the server is down', async () => {
+    const api = createFakeApi();
+    api.fetchTasks.mockRejectedValue(new ApiError('Server error', 500));
+    await renderApp(api);
+
+    expect(taskTexts()).toEqual(['Learn React', 'Build a todo app', 'Master JavaScript']);
+    expect(screen.getByTestId('error-banner').textContent)
+      .toContain('Could not load tasks from the server. Showing tasks saved on this device.');
+  });
+});
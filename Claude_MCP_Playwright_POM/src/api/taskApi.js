@@ -0,0 +1,124 @@
+/**
+ * Task API client
+ * Thin fetch wrappers around the /api/tasks and /api/lists endpoints served
+ * by server/.
+ * Every call rejects with an ApiError on network failure, a non-2xx status or
+ * a malformed response body.
+ */
+
+import { isValidList } from '../lists/lists';
+import { isValidTask, withTaskDefaults } from '../tasks/taskShape';
+
+const TASKS_URL = '/api/tasks';
+const LISTS_URL = '/api/lists';
+
+export class ApiError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+const request = async (url, { method = 'GET', body } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new ApiError(`Network error during ${method} ${url}`);
+  }
+
+  if (!response.ok) {
+    throw new ApiError(`${method} ${url} failed with status ${response.status}`, response.status);
+  }
+  if (response.status === 204) return null;
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ApiError(`${method} ${url} returned invalid JSON`, response.status);
+  }
+};
+
+const taskUrl = (id) => `${TASKS_URL}/${encodeURIComponent(id)}`;
+const listUrl = (id) => `${LISTS_URL}/${encodeURIComponent(id)}`;
+
+/**
+ * Load every task
+ * @returns {Promise<Object[]>} The tasks, in display order
+ */
+export const fetchTasks = async () => {
+  const body = await request(TASKS_URL);
+  const tasks = Array.isArray(body) ? body.map(withTaskDefaults) : body;
+  if (!Array.isArray(tasks) || !tasks.every(isValidTask)) {
+    throw new ApiError(`GET ${TASKS_URL} returned malformed task data`);
+  }
+  return tasks;
+};
+
+/**
+ * Create a task
+ * @param {Object} task - The task to create, including its client-generated id
+ * @returns {Promise<Object>} The stored task
+ */
+export const createTask = (task) => request(TASKS_URL, { method: 'POST', body: task });
+
+/**
+ * Update any of a task's text, completed flag, due date, priority, tags and list
+ * @param {number|string} id - The task id
+ * @param {Object} changes - The fields to change
+ * @returns {Promise<Object>} The updated task
+ */
+export const updateTask = (id, changes) => request(taskUrl(id), { method: 'PATCH', body: changes });
+
+/**
+ * Delete a task
+ * @param {number|string} id - The task id
+ * @returns {Promise<null>}
+ */
+export const deleteTask = (id) => request(taskUrl(id), { method: 'DELETE' });
+
+/**
+ * Replace the whole list, used for reorders, bulk changes and undo/redo
+ * @param {Object[]} tasks - The complete new list
+ * @returns {Promise<Object[]>} The stored list
+ */
+export const replaceTasks = (tasks) => request(TASKS_URL, { method: 'PUT', body: { tasks } });
+
+/**
+ * Load every list
+ * @returns {Promise<Object[]>} The lists, in sidebar order
+ */
+export const fetchLists = async () => {
+  const lists = await request(LISTS_URL);
+  if (!Array.isArray(lists) || lists.length === 0 || !lists.every(isValidList)) {
+    throw new ApiError(`GET ${LISTS_URL} returned malformed list data`);
+  }
+  return lists;
+};
+
+/**
+ * Create a list
+ * @param {Object} list - The list to create ({ id, name })
+ * @returns {Promise<Object>} The stored list
+ */
+export const createList = (list) => request(LISTS_URL, { method: 'POST', body: list });
+
+/**
+ * Rename a list
+ * @param {number|string} id - The list id
+ * @param {string} name - The new name
+ * @returns {Promise<Object>} The updated list
+ */
+export const renameList = (id, name) => request(listUrl(id), { method: 'PATCH', body: { name } });
+
+/**
+ * Delete a list together with its tasks
+ * @param {number|string} id - The list id
+ * @returns {Promise<null>}
+ */
+export const deleteList = (id) => request(listUrl(id), { method: 'DELETE' });
@@ -0,0 +1,13 @@
+export default function BulkActionBar({ selectedCount, onDelete, onClear }) {
+  return (
+    <div className="bulk-bar" data-testid="bulk-bar" role="toolbar" aria-label="Selected tasks">
+      <span className="bulk-count">{selectedCount} selected</span>
+      <button onClick={onDelete} className="bulk-delete-btn">
+        Delete selected
+      </button>
+      <button onClick={onClear} className="bulk-clear-btn">
+        Clear selection
+      </button>
+    </div>
+  );
+}
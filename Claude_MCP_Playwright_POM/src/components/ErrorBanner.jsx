@@ -0,0 +1,15 @@
+export default function ErrorBanner({ message, onRetry, onDismiss }) {
+  return (
+    <div className="error-banner" data-testid="error-banner" role="alert">
+      <span className="error-banner-message">{message}</span>
+      {onRetry && (
+        <button onClick={onRetry} className="retry-btn">
+          Retry
+        </button>
+      )}
+      <button onClick={onDismiss} className="dismiss-error-btn" aria-label="Dismiss error">
+        ×
+      </button>
+    </div>
+  );
+}
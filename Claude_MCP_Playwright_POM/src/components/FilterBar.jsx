@@ -0,0 +1,18 @@
+import { FILTERS } from '../routes';
+
+export default function FilterBar({ activeFilter }) {
+  return (
+    <nav className="filters" data-testid="filters" aria-label="Filter tasks">
+      {FILTERS.map((filter) => (
+        <a
+          key={filter.name}
+          href={filter.hash}
+          className={`filter-link${filter === activeFilter ? ' selected' : ''}`}
+          aria-current={filter === activeFilter ? 'page' : undefined}
+        >
+          {filter.label}
+        </a>
+      ))}
+    </nav>
+  );
+}
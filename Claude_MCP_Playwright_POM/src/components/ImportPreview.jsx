@@ -0,0 +1,42 @@
+import { IMPORT_MODES, describeImport } from '../transfer/importPlan';
+
+export default function ImportPreview({ fileName, plan, mode, onModeChange, onApply, onCancel }) {
+  return (
+    <div className="import-preview" data-testid="import-preview" role="dialog" aria-label="Import preview">
+      <h2 className="import-preview-title">Import from {fileName}</h2>
+      <ul className="import-preview-list">
+        {plan.items.map((item, index) => (
+          <li key={index} className={`import-preview-item${item.duplicate ? ' duplicate' : ''}`}>
+            <span className="import-preview-text">{item.text}</span>
+            {item.duplicate && <span className="import-duplicate-badge">Duplicate</span>}
+          </li>
+        ))}
+      </ul>
+      <fieldset className="import-modes">
+        <legend>Duplicates</legend>
+        {IMPORT_MODES.map(option => (
+          <label key={option.value} className="import-mode-label">
+            <input
+              type="radio"
+              name="import-mode"
+              value={option.value}
+              checked={mode === option.value}
+              onChange={() => onModeChange(option.value)}
+              className="import-mode"
+            />
+            {option.label}
+          </label>
+        ))}
+      </fieldset>
+      <p className="import-summary">{describeImport(plan, mode)}</p>
+      <div className="import-actions">
+        <button onClick={onApply} className="import-apply-btn">
+          Import tasks
+        </button>
+        <button onClick={onCancel} className="import-cancel-btn">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useRef, useState } from 'react';
+
+function ListNavItem({ list, count, isActive, canDelete, onSelect, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draft, setDraft] = useState(list.name);
+  // Same guard as the task editor: Enter/Escape unmount the input, which can
+  // fire a trailing blur that must not save again
+  const finishedRef = useRef(false);
+
+  const startRenaming = () => {
+    finishedRef.current = false;
+    setDraft(list.name);
+    setIsRenaming(true);
+  };
+
+  const saveRename = () => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    setIsRenaming(false);
+    onRename(list.id, draft);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      saveRename();
+    } else if (e.key === 'Escape') {
+      finishedRef.current = true;
+      setIsRenaming(false);
+    }
+  };
+
+  return (
+    <li className={isActive ? 'list-nav-item active' : 'list-nav-item'} data-testid="list-nav-item">
+      {isRenaming ? (
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={saveRename}
+          className="list-name-input"
+          aria-label={`Rename "${list.name}"`}
+          autoFocus
+        />
+      ) : (
+        <button
+          onClick={() => onSelect(list.id)}
+          className="list-nav-btn"
+          aria-current={isActive ? 'page' : undefined}
+        >
+          <span className="list-name" data-testid="list-name">{list.name}</span>
+          <span className="list-count" data-testid="list-count">
+            {count}
+            <span className="visually-hidden"> tasks</span>
+          </span>
+        </button>
+      )}
+      <button onClick={startRenaming} className="rename-list-btn" aria-label={`Rename "${list.name}"`}>
+        Rename
+      </button>
+      <button
+        onClick={() => onDelete(list.id)}
+        className="delete-list-btn"
+        aria-label={`Delete "${list.name}"`}
+        disabled={!canDelete}
+      >
+        Delete
+      </button>
+    </li>
+  );
+}
+
+export default function ListSidebar({
+  lists,
+  activeListId,
+  taskCounts,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  disabled,
+}) {
+  const [newListName, setNewListName] = useState('');
+
+  const createList = (e) => {
+    e.preventDefault();
+    if (newListName.trim() === '') return;
+
+    // The input keeps the name if it was rejected, so it can be corrected
+    if (onCreate(newListName)) setNewListName('');
+  };
+
+  return (
+    <nav className="list-sidebar" data-testid="list-sidebar" aria-label="Lists">
+      <ul className="list-nav">
+        {lists.map(list => (
+          <ListNavItem
+            key={list.id}
+            list={list}
+            count={taskCounts[list.id] || 0}
+            isActive={list.id === activeListId}
+            canDelete={lists.length > 1 && !disabled}
+            onSelect={onSelect}
+            onRename={onRename}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+      <form className="new-list-form" onSubmit={createList}>
+        <input
+          type="text"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder="New list..."
+          className="new-list-input"
+          data-testid="new-list-input"
+          aria-label="New list name"
+          disabled={disabled}
+        />
+        <button type="submit" className="add-list-btn" data-testid="add-list-button" disabled={disabled}>
+          Add List
+        </button>
+      </form>
+    </nav>
+  );
+}
@@ -0,0 +1,9 @@
+// The region stays mounted so screen readers are already watching it when a
+// message arrives; keying the message re-announces a repeat of the same text
+export default function LiveAnnouncer({ announcement }) {
+  return (
+    <p className="live-announcer visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+      {announcement && <span key={announcement.id}>{announcement.message}</span>}
+    </p>
+  );
+}
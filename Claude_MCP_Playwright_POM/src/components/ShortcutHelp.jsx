@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+import { SHORTCUTS } from '../shortcuts/shortcuts';
+
+export default function ShortcutHelp({ onClose }) {
+  const closeRef = useRef(null);
+
+  // Focus moves into the overlay and goes back to where it was on close
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeRef.current.focus();
+    return () => {
+      if (opener instanceof HTMLElement && opener.isConnected) opener.focus();
+    };
+  }, []);
+
+  // Close is the only control, so Tab stays on it
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      closeRef.current.focus();
+    }
+  };
+
+  return (
+    <div
+      className="shortcut-help-backdrop"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        className="shortcut-help"
+        data-testid="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id="shortcut-help-title" className="shortcut-help-title">Keyboard shortcuts</h2>
+        <dl className="shortcut-list">
+          {SHORTCUTS.map(shortcut => (
+            <div key={shortcut.action} className="shortcut-item" data-testid="shortcut-item">
+              <dt><kbd className="shortcut-key">{shortcut.label}</kbd></dt>
+              <dd className="shortcut-description">{shortcut.description}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="shortcut-help-note">Shortcuts are paused while you type in a field.</p>
+        <button ref={closeRef} type="button" onClick={onClose} className="shortcut-help-close">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+
+export default function SubtaskList({ task, onAdd, onToggle, onDelete }) {
+  const [inputValue, setInputValue] = useState('');
+
+  const addSubtask = (e) => {
+    e.preventDefault();
+    if (inputValue.trim() === '') return;
+
+    onAdd(task.id, inputValue);
+    setInputValue('');
+  };
+
+  return (
+    <div className="subtasks" data-testid="subtasks">
+      {task.subtasks.length > 0 && (
+        <ul className="subtask-list" aria-label={`Subtasks of "${task.text}"`}>
+          {task.subtasks.map(subtask => (
+            <li key={subtask.id} className={subtask.completed ? 'subtask-item completed' : 'subtask-item'}>
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => onToggle(task.id, subtask.id)}
+                className="subtask-checkbox"
+                aria-label={`Mark "${subtask.text}" as completed`}
+              />
+              <span className="subtask-text">{subtask.text}</span>
+              <button
+                onClick={() => onDelete(task.id, subtask.id)}
+                className="delete-subtask-btn"
+                aria-label={`Delete subtask "${subtask.text}"`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="subtask-form" onSubmit={addSubtask}>
+        <input
+          type="text"
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+          placeholder="Add a subtask..."
+          className="subtask-input"
+          aria-label={`New subtask for "${task.text}"`}
+        />
+        <button type="submit" className="add-subtask-btn">
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
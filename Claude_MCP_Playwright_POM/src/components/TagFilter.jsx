@@ -0,0 +1,12 @@
+export default function TagFilter({ tag, onClear }) {
+  return (
+    <div className="tag-filter" data-testid="tag-filter" role="status">
+      <span className="tag-filter-label">
+        Tagged <span className="tag-filter-name">#{tag}</span>
+      </span>
+      <button onClick={onClear} className="clear-tag-filter-btn" aria-label="Clear tag filter">
+        ×
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,313 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import SubtaskList from './SubtaskList';
+import { PRIORITIES, getPriorityLabel, isOverdue } from '../tasks/taskMeta';
+import { splitMatches } from '../tasks/search';
+import { getSubtaskProgress } from '../tasks/subtasks';
+import { formatTaskText } from '../tasks/tags';
+
+export default function TaskItem({
+  task,
+  index,
+  today,
+  searchQuery,
+  canReorder,
+  moveTargets,
+  isSelected,
+  isDragTarget,
+  isFocusTarget,
+  isEditTarget,
+  onToggle,
+  onDelete,
+  onEdit,
+  onTagClick,
+  onMoveToList,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onSelect,
+  onMove,
+  onFocusTask,
+  onBlurTask,
+  onDragStart,
+  onDragEnter,
+  onDrop,
+  onDragEnd,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [draft, setDraft] = useState(() => formatTaskText(task));
+  const [draftDueDate, setDraftDueDate] = useState(task.dueDate || '');
+  const [draftPriority, setDraftPriority] = useState(task.priority || '');
+  // The task as it was when editing started, to spot a change from another tab
+  const [editedFrom, setEditedFrom] = useState(task);
+  // Enter and Escape both unmount the editor, which can fire a trailing blur;
+  // this flag makes sure that blur does not save a second time.
+  const finishedRef = useRef(false);
+  const itemRef = useRef(null);
+  // Set by a keyboard move so the row keeps focus at its new position
+  const movedRef = useRef(false);
+
+  useEffect(() => {
+    if (movedRef.current) {
+      movedRef.current = false;
+      itemRef.current.focus();
+    }
+  }, [index]);
+
+  // Set by App when focus should land here, e.g. after the row above is deleted
+  useEffect(() => {
+    if (isFocusTarget) itemRef.current.focus();
+  }, [isFocusTarget]);
+
+  const startEditing = useCallback(() => {
+    finishedRef.current = false;
+    setDraft(formatTaskText(task));
+    setDraftDueDate(task.dueDate || '');
+    setDraftPriority(task.priority || '');
+    setEditedFrom(task);
+    setIsEditing(true);
+  }, [task]);
+
+  // Set by App for the edit shortcut, for one render only, so the next
+  // press on this row sets it again
+  useEffect(() => {
+    if (isEditTarget && !isEditing) startEditing();
+  }, [isEditTarget, isEditing, startEditing]);
+
+  const saveEdit = () => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    setIsEditing(false);
+    onEdit(task.id, {
+      text: draft,
+      dueDate: draftDueDate || null,
+      priority: draftPriority || null,
+    });
+  };
+
+  const cancelEdit = () => {
+    finishedRef.current = true;
+    setIsEditing(false);
+    setDraft(formatTaskText(task));
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      saveEdit();
+    } else if (e.key === 'Escape') {
+      cancelEdit();
+    }
+  };
+
+  // Moving focus between the editor's own fields is not a save
+  const handleEditorBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) saveEdit();
+  };
+
+  // Modifier clicks on the row itself (not its controls) drive multi-select
+  const isSelectClick = (e) =>
+    !isEditing &&
+    (e.ctrlKey || e.metaKey || e.shiftKey) &&
+    !e.target.closest('input, button, select');
+
+  const handleRowMouseDown = (e) => {
+    // Keep Shift-click from extending the browser's text selection
+    if (isSelectClick(e)) e.preventDefault();
+  };
+
+  const handleRowClick = (e) => {
+    if (isSelectClick(e)) onSelect(task.id, e);
+  };
+
+  const handleRowKeyDown = (e) => {
+    // Only the focused row itself reorders; its controls keep their own keys
+    if (e.target !== e.currentTarget || !e.altKey || !canReorder) return;
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+    e.preventDefault();
+    movedRef.current = onMove(task.id, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  // Focus anywhere in the row makes it the current task for shortcuts
+  const handleRowBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) onBlurTask(task.id);
+  };
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    onDragStart(task.id);
+  };
+
+  const handleDragOver = (e) => {
+    // Required for the row to accept drops
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    onDrop(task.id);
+  };
+
+  const classNames = ['task-item'];
+  if (task.completed) classNames.push('completed');
+  if (isEditing) classNames.push('editing');
+  if (isSelected) classNames.push('selected');
+  if (isDragTarget) classNames.push('drag-over');
+  const overdue = isOverdue(task, today);
+  if (overdue) classNames.push('overdue');
+  const priorityLabel = getPriorityLabel(task.priority);
+  const changedElsewhere = isEditing && (
+    formatTaskText(task) !== formatTaskText(editedFrom) ||
+    task.dueDate !== editedFrom.dueDate ||
+    task.priority !== editedFrom.priority
+  );
+  const progress = getSubtaskProgress(task);
+
+  return (
+    <li
+      ref={itemRef}
+      className={classNames.join(' ')}
+      data-testid="task-item"
+      tabIndex={0}
+      draggable={canReorder && !isEditing}
+      onMouseDown={handleRowMouseDown}
+      onClick={handleRowClick}
+      onKeyDown={handleRowKeyDown}
+      onFocus={() => onFocusTask(task.id)}
+      onBlur={handleRowBlur}
+      onDragStart={handleDragStart}
+      onDragEnter={() => onDragEnter(task.id)}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+      onDragEnd={onDragEnd}
+    >
+      {/* List items cannot carry aria-selected, so selection is spelled out */}
+      {isSelected && <span className="visually-hidden">Selected</span>}
+      <input
+        type="checkbox"
+        checked={task.completed}
+        onChange={() => onToggle(task.id)}
+        className="task-checkbox"
+        data-testid="task-checkbox"
+        aria-label={`Mark "${task.text}" as completed`}
+      />
+      {isEditing ? (
+        <span className="task-editor" onKeyDown={handleEditKeyDown} onBlur={handleEditorBlur}>
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            className="task-edit-input"
+            data-testid="task-edit-input"
+            aria-label={`Edit "${task.text}"`}
+            autoFocus
+          />
+          <input
+            type="date"
+            value={draftDueDate}
+            onChange={(e) => setDraftDueDate(e.target.value)}
+            className="task-edit-due-date"
+            aria-label={`Due date for "${task.text}"`}
+          />
+          <select
+            value={draftPriority}
+            onChange={(e) => setDraftPriority(e.target.value)}
+            className="task-edit-priority"
+            aria-label={`Priority for "${task.text}"`}
+          >
+            <option value="">None</option>
+            {PRIORITIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {changedElsewhere && (
+            <span className="edit-conflict" data-testid="edit-conflict" role="status">
+              Changed in another tab to "{formatTaskText(task)}". Saving replaces that change.
+            </span>
+          )}
+        </span>
+      ) : (
+        <>
+          <span className="task-text" data-testid="task-text" onDoubleClick={startEditing}>
+            {splitMatches(task.text, searchQuery).map((segment, segmentIndex) => (segment.match
+              ? <mark key={segmentIndex} className="search-highlight">{segment.text}</mark>
+              : segment.text
+            ))}
+          </span>
+          {task.tags.length > 0 && (
+            <span className="task-tags">
+              {task.tags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => onTagClick(tag)}
+                  className="tag-chip"
+                  aria-label={`Show tasks tagged #${tag}`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </span>
+          )}
+          {priorityLabel && (
+            <span className={`priority-badge priority-${task.priority}`}>{priorityLabel}</span>
+          )}
+          {task.dueDate && (
+            <time className="due-date" dateTime={task.dueDate}>
+              {overdue ? 'Overdue' : 'Due'} {task.dueDate}
+            </time>
+          )}
+          {progress.total > 0 && (
+            <span className="subtask-progress" aria-hidden="true">
+              {progress.done}/{progress.total}
+            </span>
+          )}
+          <button
+            onClick={() => setIsExpanded(expanded => !expanded)}
+            className="subtasks-toggle"
+            data-testid="subtasks-toggle"
+            aria-expanded={isExpanded}
+            aria-label={`${isExpanded ? 'Hide' : 'Show'} subtasks of "${task.text}"${
+              progress.total > 0 ? ` (${progress.done} of ${progress.total} done)` : ''
+            }`}
+          >
+            {isExpanded ? '▾' : '▸'}
+          </button>
+          {moveTargets.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => onMoveToList(task.id, moveTargets.find(list => String(list.id) === e.target.value))}
+              className="move-task-select"
+              aria-label={`Move "${task.text}" to another list`}
+            >
+              <option value="" disabled>Move to...</option>
+              {moveTargets.map(list => (
+                <option key={list.id} value={list.id}>{list.name}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={startEditing} className="edit-btn" data-testid="edit-task-button" aria-label={`Edit "${task.text}"`}>
+            Edit
+          </button>
+        </>
+      )}
+      <button
+        onClick={() => onDelete(task.id)}
+        className="delete-btn"
+        data-testid="delete-task-button"
+        aria-label={`Delete "${task.text}"`}
+      >
+        Delete
+      </button>
+      {isExpanded && (
+        <SubtaskList
+          task={task}
+          onAdd={onAddSubtask}
+          onToggle={onToggleSubtask}
+          onDelete={onDeleteSubtask}
+        />
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,19 @@
+import { THEMES } from '../theme/themes';
+
+export default function ThemeToggle({ theme, onChange }) {
+  return (
+    <div className="theme-toggle" role="group" aria-label="Theme" data-testid="theme-toggle">
+      {THEMES.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          className="theme-option"
+          aria-pressed={theme === option.value}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
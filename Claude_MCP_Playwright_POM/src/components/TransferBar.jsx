@@ -0,0 +1,74 @@
+import { useRef, useState } from 'react';
+import { EXPORT_FORMATS } from '../transfer/formats';
+
+const hasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+export default function TransferBar({ onExport, onImportFile, disabled }) {
+  const [format, setFormat] = useState(EXPORT_FORMATS[0].value);
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    // Reset so picking the same file again still fires a change
+    e.target.value = '';
+    if (file) onImportFile(file);
+  };
+
+  const handleDragOver = (e) => {
+    // Task rows are dragged too; only files are accepted here
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDropTarget(false);
+    const [file] = e.dataTransfer.files;
+    if (file) onImportFile(file);
+  };
+
+  return (
+    <div className="transfer-bar" data-testid="transfer-bar">
+      <div className="transfer-controls">
+        <label className="export-format-label">
+          Format
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="export-format-select"
+          >
+            {EXPORT_FORMATS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={() => onExport(format)} className="export-btn" disabled={disabled}>
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current.click()} className="import-btn" disabled={disabled}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,.md,.markdown"
+          onChange={handleFileChange}
+          className="import-file-input"
+          aria-label="Import tasks from a file"
+          hidden
+        />
+      </div>
+      <div
+        className={`import-drop-zone${isDropTarget ? ' drag-over' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDropTarget(false)}
+        onDrop={handleDrop}
+      >
+        or drop a JSON, CSV or Markdown file here to import
+      </div>
+    </div>
+  );
+}
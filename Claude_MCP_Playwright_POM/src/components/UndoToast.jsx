@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+
+export const UNDO_TOAST_TIMEOUT = 5000;
+
+export default function UndoToast({ toast, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TOAST_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className="undo-toast" data-testid="undo-toast" role="status">
+      <span className="undo-toast-message">{toast.message}</span>
+      <button onClick={onUndo} className="undo-btn">
+        Undo
+      </button>
+    </div>
+  );
+}
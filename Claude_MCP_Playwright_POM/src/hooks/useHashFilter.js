@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { filterFromHash } from '../routes';
+
+/**
+ * Track the filter named by the current location hash
+ * @returns {Object} The active filter definition
+ */
+export default function useHashFilter() {
+  const [filter, setFilter] = useState(() => filterFromHash(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setFilter(filterFromHash(window.location.hash));
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return filter;
+}
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadOutbox, saveOutbox } from '../storage/outboxStorage';
+import { sendApiCall } from '../sync/outbox';
+
+// After a network failure the queued call is tried again, waiting twice as
+// long after each failure in a row, up to MAX_RETRY_DELAY
+export const RETRY_DELAY = 1000;
+export const MAX_RETRY_DELAY = 30000;
+
+/**
+ * API calls waiting for the browser to come back online
+ * Queued calls are stored, so they survive a reload, and sent one at a time,
+ * oldest first, whenever the browser is online. A call the server rejects is
+ * dropped; a network failure leaves it queued and it is tried again after a
+ * delay, or on reconnecting. After a reconnect, or once queued calls have
+ * gone out, onDrained is called so the app can catch up with the server.
+ * @param {Object} storage - Storage adapter
+ * @param {Object} api - Task API client
+ * @param {Function} onDrained - Called with the number of calls the server rejected
+ * @returns {Object} queued (the waiting calls), online and enqueue(call)
+ */
+export default function useOutbox(storage, api, onDrained) {
+  const [queued, setQueued] = useState(() => loadOutbox(storage));
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  // Bumped to send the head of the queue again after a network failure
+  const [retries, setRetries] = useState(0);
+  const sendingRef = useRef(false);
+  const failuresRef = useRef(0);
+  const retryTimerRef = useRef(null);
+  // Set while there is something to catch up on once the queue is empty
+  const drainingRef = useRef(queued.length > 0);
+  const rejectedRef = useRef(0);
+  const onDrainedRef = useRef(onDrained);
+  onDrainedRef.current = onDrained;
+
+  useEffect(() => {
+    saveOutbox(storage, queued);
+  }, [storage, queued]);
+
+  const retryLater = useCallback((delay) => {
+    clearTimeout(retryTimerRef.current);
+    retryTimerRef.current = setTimeout(() => setRetries(count => count + 1), delay);
+  }, []);
+
+  useEffect(() => () => clearTimeout(retryTimerRef.current), []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      drainingRef.current = true;
+      failuresRef.current = 0;
+      setOnline(true);
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!online || sendingRef.current) return;
+    if (queued.length === 0) {
+      if (drainingRef.current) {
+        const rejected = rejectedRef.current;
+        drainingRef.current = false;
+        rejectedRef.current = 0;
+        onDrainedRef.current(rejected);
+      }
+      return;
+    }
+
+    const [call] = queued;
+    sendingRef.current = true;
+    sendApiCall(api, call)
+      .then(() => true, (error) => {
+        if (error.status === null) return false;
+        rejectedRef.current += 1;
+        return true;
+      })
+      .then((done) => {
+        sendingRef.current = false;
+        if (done) {
+          failuresRef.current = 0;
+          setQueued(calls => (calls[0] === call ? calls.slice(1) : calls));
+          return;
+        }
+        // Calls made meanwhile wait behind this one, so it cannot wait for
+        // the next reconnect: the browser may think it never went offline
+        retryLater(Math.min(RETRY_DELAY * 2 ** failuresRef.current, MAX_RETRY_DELAY));
+        failuresRef.current += 1;
+      });
+  }, [api, online, queued, retries, retryLater]);
+
+  const enqueue = useCallback((call) => {
+    drainingRef.current = true;
+    setQueued(calls => [...calls, call]);
+  }, []);
+
+  return { queued, online, enqueue };
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+export const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_PARAM = 'q';
+
+const readQuery = () => new URLSearchParams(window.location.search).get(SEARCH_PARAM) || '';
+
+/**
+ * Search box state mirrored into the ?q= query string
+ * The input value updates on every keystroke; the applied query (and the
+ * URL) only once typing pauses. The URL is replaced rather than pushed so
+ * typing does not flood the back button.
+ * @returns {Object} query (input value), appliedQuery and setQuery
+ */
+export default function useSearchQuery() {
+  const [query, setQuery] = useState(readQuery);
+  const [appliedQuery, setAppliedQuery] = useState(query);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedQuery(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (appliedQuery.trim() === '') {
+      url.searchParams.delete(SEARCH_PARAM);
+    } else {
+      url.searchParams.set(SEARCH_PARAM, appliedQuery.trim());
+    }
+    window.history.replaceState(window.history.state, '', url);
+  }, [appliedQuery]);
+
+  return { query, appliedQuery, setQuery };
+}
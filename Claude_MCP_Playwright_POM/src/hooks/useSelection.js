@@ -0,0 +1,44 @@
+import { useState } from 'react';
+
+/**
+ * Multi-select state for the task list
+ * Ctrl/Cmd-click toggles a single row and becomes the anchor; Shift-click
+ * adds every row between the anchor and the clicked row.
+ * @returns {Object} selectedIds plus toggle/selectRange/deselect/clear actions
+ */
+export default function useSelection() {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [anchorId, setAnchorId] = useState(null);
+
+  const toggle = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]);
+    setAnchorId(id);
+  };
+
+  const selectRange = (orderedIds, id) => {
+    const from = orderedIds.indexOf(anchorId);
+    const to = orderedIds.indexOf(id);
+    if (from === -1 || to === -1) {
+      toggle(id);
+      return;
+    }
+
+    const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    setSelectedIds([...selectedIds, ...range.filter(rangeId => !selectedIds.includes(rangeId))]);
+  };
+
+  // Rows that are gone (deleted) leave the selection, so undoing the delete
+  // does not bring them back selected
+  const deselect = (ids) => {
+    setSelectedIds(selectedIds.filter(selectedId => !ids.includes(selectedId)));
+  };
+
+  const clear = () => {
+    setSelectedIds([]);
+    setAnchorId(null);
+  };
+
+  return { selectedIds, toggle, selectRange, deselect, clear };
+}
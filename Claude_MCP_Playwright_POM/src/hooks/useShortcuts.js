@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+import { isTypingTarget, matchShortcut } from '../shortcuts/shortcuts';
+
+/**
+ * Run the app's keyboard shortcuts (see src/shortcuts/shortcuts.js)
+ * Key presses in text fields are left alone, so typing an "n" or using a
+ * field's own Ctrl/Cmd+Z never triggers a shortcut. A shortcut whose action
+ * has no handler is ignored and keeps its default behaviour.
+ * @param {Object} handlers - Functions keyed by shortcut action, e.g. { undo }
+ */
+export default function useShortcuts(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || isTypingTarget(e.target)) return;
+      const shortcut = matchShortcut(e);
+      const handler = shortcut && handlersRef.current[shortcut.action];
+      if (!handler) return;
+
+      e.preventDefault();
+      handler();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { diffTasks, mergeTaskChange } from '../sync/taskChanges';
+
+const createTabId = () => `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Keep the tasks and lists of every open tab in step
+ * Each local change is posted on the channel; changes from other tabs are
+ * merged in and handed to the handlers, and never posted back. When two tabs
+ * change the same task at once, the later change wins in both.
+ * @param {Object} channel - Tab channel (see sync/tabChannel)
+ * @param {Object} state - tasks, lists and ready (false while loading, when nothing is sent or merged)
+ * @param {Object} handlers - onRemoteTasks(tasks, conflicts) and onRemoteLists(lists)
+ */
+export default function useTabSync(channel, { tasks, lists, ready }, { onRemoteTasks, onRemoteLists }) {
+  const [tabId] = useState(createTabId);
+  // The tasks and lists as other tabs last heard of them from this one
+  const sentTasksRef = useRef(null);
+  const sentListsRef = useRef(null);
+  // Task id -> when this tab last changed it, to settle conflicts
+  const changedAtRef = useRef(new Map());
+  const latestRef = useRef(null);
+  latestRef.current = { tasks, ready, onRemoteTasks, onRemoteLists };
+
+  const publishTasks = useCallback((next) => {
+    const previous = sentTasksRef.current;
+    sentTasksRef.current = next;
+    if (previous === null || previous === next) return;
+
+    const change = diffTasks(previous, next);
+    if (change === null) return;
+
+    const sentAt = Date.now();
+    change.upserts.forEach(({ task }) => changedAtRef.current.set(task.id, sentAt));
+    channel.post({ type: 'tasks', tabId, sentAt, change });
+  }, [channel, tabId]);
+
+  useEffect(() => {
+    if (!ready) {
+      sentTasksRef.current = null;
+      return;
+    }
+    publishTasks(tasks);
+  }, [publishTasks, tasks, ready]);
+
+  useEffect(() => {
+    if (!ready) {
+      sentListsRef.current = null;
+      return;
+    }
+    const previous = sentListsRef.current;
+    sentListsRef.current = lists;
+    if (previous === null || JSON.stringify(previous) === JSON.stringify(lists)) return;
+
+    channel.post({ type: 'lists', tabId, lists });
+  }, [channel, tabId, lists, ready]);
+
+  useEffect(() => channel.subscribe((message) => {
+    const latest = latestRef.current;
+    if (!latest.ready || message.tabId === tabId) return;
+
+    if (message.type === 'lists') {
+      sentListsRef.current = message.lists;
+      latest.onRemoteLists(message.lists);
+      return;
+    }
+    if (message.type !== 'tasks') return;
+
+    // A local change that rendered but was not posted yet goes out first,
+    // so it is not mistaken for part of the remote one
+    publishTasks(latest.tasks);
+    const { tasks: merged, conflicts } = mergeTaskChange(latest.tasks, message.change, (id) => {
+      const changedAt = changedAtRef.current.get(id) || 0;
+      return changedAt > message.sentAt || (changedAt === message.sentAt && tabId > message.tabId);
+    });
+    if (diffTasks(latest.tasks, merged) === null) return;
+
+    sentTasksRef.current = merged;
+    // Another message may arrive before the merge renders
+    latest.tasks = merged;
+    latest.onRemoteTasks(merged, conflicts);
+  }), [channel, tabId, publishTasks]);
+}
@@ -0,0 +1,39 @@
+import { useCallback, useReducer } from 'react';
+import { applyTaskCommand, initTaskState, taskReducer } from '../tasks/taskReducer';
+
+/**
+ * The task list, backed by taskReducer (see src/tasks/taskReducer.js)
+ * @param {Object[]} initialTasks - The tasks to start from
+ * @returns {Object} tasks, run(command), undo(), redo(), reset(), rollback() and undo/redo state
+ */
+export default function useTasks(initialTasks) {
+  const [state, dispatch] = useReducer(taskReducer, initialTasks, initTaskState);
+
+  // Returns the list the command leads to from the tasks rendered now, for
+  // the server call and the announcement that go with it
+  const run = (command) => {
+    dispatch(command);
+    return applyTaskCommand(state.present, command);
+  };
+
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback(tasks => dispatch({ type: 'reset', tasks }), []);
+  const rollback = useCallback((before, after) => dispatch({ type: 'rollback', before, after }), []);
+
+  const newestPast = state.past[state.past.length - 1];
+
+  return {
+    tasks: state.present,
+    run,
+    undo,
+    redo,
+    reset,
+    rollback,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    // The lists undo() and redo() would switch to, so callers can sync them
+    undoTasks: newestPast ? newestPast.tasks : null,
+    redoTasks: state.future.length > 0 ? state.future[0].tasks : null,
+  };
+}
@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useLayoutEffect, useState } from 'react';
+import { loadTheme, saveTheme } from '../storage/themeStorage';
+import { DARK_SCHEME_QUERY, getSystemTheme } from '../theme/themes';
+
+// matchMedia is missing outside real browsers (e.g. jsdom)
+const darkSchemeQuery = () => (typeof window.matchMedia === 'function' ? window.matchMedia(DARK_SCHEME_QUERY) : null);
+
+/**
+ * The active colour theme, applied as data-theme on the root element
+ * Follows prefers-color-scheme, live, until a theme is chosen; the choice is
+ * persisted and wins over the system setting from then on.
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} theme (the active theme's value) and chooseTheme(value)
+ */
+export default function useTheme(storage) {
+  const [chosenTheme, setChosenTheme] = useState(() => loadTheme(storage));
+  const [prefersDark, setPrefersDark] = useState(() => {
+    const query = darkSchemeQuery();
+    return query !== null && query.matches;
+  });
+
+  useEffect(() => {
+    const query = darkSchemeQuery();
+    if (query === null) return undefined;
+
+    const handleChange = (event) => setPrefersDark(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const theme = chosenTheme !== null ? chosenTheme : getSystemTheme(prefersDark);
+
+  // Before paint, so a reload in dark mode never flashes the light theme
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const chooseTheme = useCallback((value) => {
+    setChosenTheme(value);
+    saveTheme(storage, value);
+  }, [storage]);
+
+  return { theme, chooseTheme };
+}
@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { todayISO } from '../tasks/taskMeta';
+
+const CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Track today's local date, so overdue highlighting catches up when the app
+ * is left open past midnight
+ * @returns {string} Today as 'YYYY-MM-DD'
+ */
+export default function useToday() {
+  const [today, setToday] = useState(() => todayISO());
+
+  useEffect(() => {
+    const timer = setInterval(() => setToday(todayISO()), CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  return today;
+}
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { linkManifest, registerServiceWorker } from './pwa/registerServiceWorker';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -8,3 +9,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+linkManifest();
+registerServiceWorker();
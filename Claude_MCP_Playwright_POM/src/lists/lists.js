@@ -0,0 +1,59 @@
+/**
+ * Named lists
+ * Every task belongs to exactly one list through its listId. The default list
+ * is the one older data without a listId is filed under; it can be renamed
+ * like any other list.
+ */
+
+export const DEFAULT_LIST_ID = 'default';
+
+export const DEFAULT_LISTS = [
+  { id: DEFAULT_LIST_ID, name: 'My Todo List' },
+];
+
+export const MAX_LIST_NAME_LENGTH = 50;
+
+/**
+ * Check that a value has the shape of a list
+ * @param {*} list - Value to check
+ * @returns {boolean} Whether it is a usable list
+ */
+export const isValidList = (list) =>
+  list !== null &&
+  typeof list === 'object' &&
+  (typeof list.id === 'number' || (typeof list.id === 'string' && list.id !== '')) &&
+  typeof list.name === 'string' &&
+  list.name.trim() !== '';
+
+/**
+ * Explain why a name cannot be used for a list
+ * Names are compared ignoring case, so two lists never look the same in the
+ * sidebar.
+ * @param {Object[]} lists - The existing lists
+ * @param {string} name - The trimmed name to check
+ * @param {number|string} ownId - Id of the list being renamed, if any
+ * @returns {string|null} A message for the user, or null if the name is fine
+ */
+export const getListNameError = (lists, name, ownId = null) => {
+  if (name.length > MAX_LIST_NAME_LENGTH) {
+    return `List names can be at most ${MAX_LIST_NAME_LENGTH} characters.`;
+  }
+  const key = name.toLowerCase();
+  if (lists.some(list => list.id !== ownId && list.name.toLowerCase() === key)) {
+    return `A list named "${name}" already exists.`;
+  }
+  return null;
+};
+
+/**
+ * Count the tasks in each list
+ * @param {Object[]} tasks - Tasks from every list
+ * @returns {Object} Map of list id to task count
+ */
+export const countTasksByList = (tasks) => {
+  const counts = {};
+  tasks.forEach((task) => {
+    counts[task.listId] = (counts[task.listId] || 0) + 1;
+  });
+  return counts;
+};
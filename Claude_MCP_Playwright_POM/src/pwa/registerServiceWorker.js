@@ -0,0 +1,41 @@
+/**
+ * PWA wiring
+ * The manifest and service worker are copied to the site root by
+ * webpack.config.js, so the worker's scope covers every route.
+ */
+
+export const MANIFEST_URL = '/manifest.webmanifest';
+export const SERVICE_WORKER_URL = '/service-worker.js';
+
+/**
+ * Point the page at the web manifest
+ * Done here rather than in the HTML so the link ships with the bundle that
+ * registers the worker.
+ */
+export const linkManifest = () => {
+  if (document.querySelector('link[rel="manifest"]')) return;
+  const link = document.createElement('link');
+  link.rel = 'manifest';
+  link.href = MANIFEST_URL;
+  document.head.appendChild(link);
+};
+
+/**
+ * Register the service worker once the page has loaded
+ * Registration waits for the load event so caching the shell does not
+ * compete with the first render.
+ */
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  const register = () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(() => {
+      // Without a worker the app still works, only not offline
+    });
+  };
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register);
+  }
+};
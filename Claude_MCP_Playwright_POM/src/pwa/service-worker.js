@@ -0,0 +1,58 @@
+/**
+ * Service worker
+ * Keeps the app shell (the page, bundle, manifest and icon) available
+ * offline. Shell requests go to the network first, so a new build shows up on
+ * the next load, and fall back to the copy cached from the last good
+ * response. The task API is left alone: the app queues changes itself while
+ * offline (see src/sync/outbox.js).
+ *
+ * Copied to the site root as-is by webpack.config.js, so it is not bundled
+ * and cannot import anything.
+ */
+
+const CACHE_NAME = 'todo-app-shell-v1';
+const APP_SHELL = ['/', '/bundle.js', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of older versions and take over open pages straight away
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isShellRequest = (request) => {
+  const url = new URL(request.url);
+  return request.method === 'GET' &&
+    url.origin === self.location.origin &&
+    (request.mode === 'navigate' || APP_SHELL.includes(url.pathname));
+};
+
+// Every route (#/active, ?q=...) is the same page, cached under '/'
+const cacheKey = request => (request.mode === 'navigate' ? '/' : request);
+
+self.addEventListener('fetch', (event) => {
+  if (!isShellRequest(event.request)) return;
+
+  event.respondWith(
+    fetch(event.request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(cacheKey(event.request), copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(cacheKey(event.request))
+        .then(cached => cached || Response.error()))
+  );
+});
@@ -0,0 +1,22 @@
+/**
+ * Hash routes for the task filters
+ * The active filter lives in location.hash so filtered views can be
+ * bookmarked, survive reloads and work with back/forward navigation.
+ */
+
+export const FILTERS = [
+  { name: 'all', label: 'All', hash: '#/', matches: () => true },
+  { name: 'active', label: 'Active', hash: '#/active', matches: (task) => !task.completed },
+  { name: 'completed', label: 'Completed', hash: '#/completed', matches: (task) => task.completed },
+];
+
+export const DEFAULT_FILTER = FILTERS[0];
+
+/**
+ * Resolve a location hash to its filter
+ * Unknown or missing hashes fall back to the "all" view.
+ * @param {string} hash - A location hash such as "#/active"
+ * @returns {Object} The matching filter definition
+ */
+export const filterFromHash = (hash) =>
+  FILTERS.find((filter) => filter.hash === hash) || DEFAULT_FILTER;
@@ -0,0 +1,54 @@
+/**
+ * Keyboard shortcuts
+ * Every app-wide binding lives here: useShortcuts dispatches key presses by
+ * action name, and the help overlay lists the same entries, so a new
+ * shortcut shows up in both. Per-row keys (Alt+Arrow to reorder) stay with
+ * TaskItem.
+ */
+
+export const SHORTCUTS = [
+  { action: 'focusInput', key: 'n', label: 'N', description: 'Focus the new task input' },
+  { action: 'nextTask', key: 'j', label: 'J', description: 'Move to the next task' },
+  { action: 'previousTask', key: 'k', label: 'K', description: 'Move to the previous task' },
+  { action: 'toggleTask', key: 'x', label: 'X', description: 'Complete or reopen the current task' },
+  { action: 'deleteTask', key: 'Delete', label: 'Delete', description: 'Delete the current task' },
+  { action: 'editTask', key: 'e', label: 'E', description: 'Edit the current task' },
+  { action: 'undo', key: 'z', mod: true, label: 'Ctrl/Cmd+Z', description: 'Undo the last change' },
+  { action: 'redo', key: 'z', mod: true, shift: true, label: 'Ctrl/Cmd+Shift+Z', description: 'Redo the last undone change' },
+  { action: 'showHelp', key: '?', label: '?', description: 'Show or hide this list of shortcuts' },
+];
+
+// Fields that take typed text; checkboxes, radios and buttons do not
+const TYPING_SELECTOR = [
+  'input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]):not([type="file"])',
+  'textarea',
+  'select',
+  '[contenteditable="true"]',
+].join(', ');
+
+/**
+ * Check whether a key press is meant for a field rather than the app
+ * @param {EventTarget} target - The key event's target
+ * @returns {boolean} Whether the target takes typed text
+ */
+export const isTypingTarget = (target) =>
+  target instanceof Element && Boolean(target.closest(TYPING_SELECTOR));
+
+/**
+ * Find the shortcut a key press triggers
+ * Shift only matters alongside Ctrl/Cmd; on its own it is part of the
+ * character typed (Shift+/ gives '?'). Alt is left to the task rows.
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {Object|null} The matching SHORTCUTS entry, if any
+ */
+export const matchShortcut = (event) => {
+  if (event.altKey) return null;
+  const mod = event.ctrlKey || event.metaKey;
+  const key = event.key.toLowerCase();
+
+  return SHORTCUTS.find(shortcut =>
+    shortcut.key.toLowerCase() === key &&
+    Boolean(shortcut.mod) === mod &&
+    (!mod || Boolean(shortcut.shift) === event.shiftKey)
+  ) || null;
+};
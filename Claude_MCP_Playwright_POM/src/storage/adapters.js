@@ -0,0 +1,54 @@
+/**
+ * Storage adapters
+ * Every adapter exposes the same string-based getItem/setItem/removeItem
+ * contract as window.localStorage, so the persistence layer never needs to
+ * know where the data actually lives.
+ */
+
+/**
+ * Create an adapter backed by the browser's localStorage
+ * @param {Storage} storage - Storage implementation (defaults to window.localStorage)
+ * @returns {Object} Storage adapter
+ */
+export const createLocalStorageAdapter = (storage = window.localStorage) => ({
+  getItem: (key) => storage.getItem(key),
+  setItem: (key, value) => storage.setItem(key, value),
+  removeItem: (key) => storage.removeItem(key),
+});
+
+/**
+ * Create an adapter that keeps everything in memory
+ * Used by tests and as a fallback when localStorage is unavailable.
+ * @param {Object} initialData - Optional key/value pairs to start with
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryAdapter = (initialData = {}) => {
+  const data = new Map(Object.entries(initialData));
+
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => {
+      data.set(key, String(value));
+    },
+    removeItem: (key) => {
+      data.delete(key);
+    },
+  };
+};
+
+/**
+ * Pick the best adapter for the current environment
+ * Accessing localStorage can throw (privacy mode, sandboxed iframes), in which
+ * case the app still works but nothing survives a reload.
+ * @returns {Object} Storage adapter
+ */
+export const createDefaultAdapter = () => {
+  try {
+    const probeKey = '__todo-app-probe__';
+    window.localStorage.setItem(probeKey, probeKey);
+    window.localStorage.removeItem(probeKey);
+    return createLocalStorageAdapter(window.localStorage);
+  } catch (error) {
+    return createMemoryAdapter();
+  }
+};
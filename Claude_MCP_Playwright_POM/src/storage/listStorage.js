@@ -0,0 +1,65 @@
+/**
+ * List persistence
+ * Keeps the lists and the id of the open list next to the cached tasks, so
+ * the sidebar survives a reload even when the server cannot be reached.
+ */
+
+import { isValidList } from '../lists/lists';
+
+export const LISTS_KEY = 'todo-app.lists';
+export const ACTIVE_LIST_KEY = 'todo-app.active-list';
+
+/**
+ * Load lists from storage
+ * @param {Object} adapter - Storage adapter
+ * @param {Object[]} defaultLists - Lists to use when nothing usable is stored
+ * @returns {Object[]} The stored lists, or the defaults
+ */
+export const loadLists = (adapter, defaultLists) => {
+  try {
+    const lists = JSON.parse(adapter.getItem(LISTS_KEY));
+    return Array.isArray(lists) && lists.length > 0 && lists.every(isValidList) ? lists : defaultLists;
+  } catch (error) {
+    return defaultLists;
+  }
+};
+
+/**
+ * Save lists to storage
+ * @param {Object} adapter - Storage adapter
+ * @param {Object[]} lists - Lists to persist
+ */
+export const saveLists = (adapter, lists) => {
+  try {
+    adapter.setItem(LISTS_KEY, JSON.stringify(lists));
+  } catch (error) {
+    // Same as saveTasks: losing the cache must not break the UI
+  }
+};
+
+/**
+ * Load the id of the list that was open last
+ * @param {Object} adapter - Storage adapter
+ * @returns {number|string|null} The stored id, or null if there is none
+ */
+export const loadActiveListId = (adapter) => {
+  try {
+    const id = JSON.parse(adapter.getItem(ACTIVE_LIST_KEY));
+    return typeof id === 'number' || typeof id === 'string' ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember which list is open
+ * @param {Object} adapter - Storage adapter
+ * @param {number|string} id - The open list's id
+ */
+export const saveActiveListId = (adapter, id) => {
+  try {
+    adapter.setItem(ACTIVE_LIST_KEY, JSON.stringify(id));
+  } catch (error) {
+    // See saveLists
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Outbox persistence
+ * Calls made offline are stored next to the cached tasks they produced, so a
+ * reload while offline still sends them once the browser reconnects.
+ */
+
+import { isApiCall } from '../sync/outbox';
+
+export const OUTBOX_KEY = 'todo-app.outbox';
+
+/**
+ * Load the calls waiting to be sent
+ * @param {Object} adapter - Storage adapter
+ * @returns {Object[]} The stored calls, oldest first, or none if nothing usable is stored
+ */
+export const loadOutbox = (adapter) => {
+  try {
+    const calls = JSON.parse(adapter.getItem(OUTBOX_KEY));
+    return Array.isArray(calls) && calls.every(isApiCall) ? calls : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Save the calls waiting to be sent
+ * @param {Object} adapter - Storage adapter
+ * @param {Object[]} calls - The calls, oldest first
+ */
+export const saveOutbox = (adapter, calls) => {
+  try {
+    adapter.setItem(OUTBOX_KEY, JSON.stringify(calls));
+  } catch (error) {
+    // See saveLists in listStorage
+  }
+};
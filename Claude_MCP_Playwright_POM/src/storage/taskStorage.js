@@ -0,0 +1,114 @@
+/**
+ * Task persistence
+ * Saves tasks as a versioned envelope ({ version, tasks }) and upgrades older
+ * saved shapes on load. Anything unreadable falls back to the defaults.
+ */
+
+import { DEFAULT_LIST_ID } from '../lists/lists';
+import { isValidTask } from '../tasks/taskShape';
+
+export const STORAGE_KEY = 'todo-app.tasks';
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each one receives the parsed payload and returns the next version's shape.
+ */
+const migrations = {
+  // v0: the original shape was a bare array of tasks
+  0: (tasks) => ({ version: 1, tasks }),
+  // v1: tasks had no completion state
+  1: ({ tasks }) => ({
+    version: 2,
+    tasks: Array.isArray(tasks) ? tasks.map((task) => ({ ...task, completed: false })) : tasks,
+  }),
+  // v2: tasks had no due date or priority
+  2: ({ tasks }) => ({
+    version: 3,
+    tasks: Array.isArray(tasks) ? tasks.map((task) => ({ ...task, dueDate: null, priority: null })) : tasks,
+  }),
+  // v3: tasks had no tags
+  3: ({ tasks }) => ({
+    version: 4,
+    tasks: Array.isArray(tasks) ? tasks.map((task) => ({ ...task, tags: [] })) : tasks,
+  }),
+  // v4: there was a single list, so every task belongs to the default one
+  4: ({ tasks }) => ({
+    version: 5,
+    tasks: Array.isArray(tasks) ? tasks.map((task) => ({ ...task, listId: DEFAULT_LIST_ID })) : tasks,
+  }),
+  // v5: tasks had no subtasks
+  5: ({ tasks }) => ({
+    version: 6,
+    tasks: Array.isArray(tasks) ? tasks.map((task) => ({ ...task, subtasks: [] })) : tasks,
+  }),
+};
+
+const detectVersion = (payload) => {
+  if (Array.isArray(payload)) return 0;
+  if (payload && typeof payload === 'object' && Number.isInteger(payload.version)) {
+    return payload.version;
+  }
+  return null;
+};
+
+/**
+ * Bring a parsed payload up to the current schema version
+ * @param {*} payload - Parsed storage payload
+ * @returns {Object|null} Current-version envelope, or null if it cannot be migrated
+ */
+export const migrate = (payload) => {
+  let version = detectVersion(payload);
+  if (version === null || version > SCHEMA_VERSION) return null;
+
+  let current = payload;
+  while (version < SCHEMA_VERSION) {
+    const step = migrations[version];
+    if (!step) return null;
+    current = step(current);
+    version = detectVersion(current);
+    if (version === null) return null;
+  }
+
+  return current;
+};
+
+/**
+ * Load tasks from storage
+ * @param {Object} adapter - Storage adapter
+ * @param {Object[]} defaultTasks - Tasks to use when nothing usable is stored
+ * @returns {Object[]} The stored tasks, or the defaults
+ */
+export const loadTasks = (adapter, defaultTasks) => {
+  let raw;
+  try {
+    raw = adapter.getItem(STORAGE_KEY);
+  } catch (error) {
+    return defaultTasks;
+  }
+  if (raw === null || raw === undefined) return defaultTasks;
+
+  try {
+    const envelope = migrate(JSON.parse(raw));
+    if (!envelope || !Array.isArray(envelope.tasks) || !envelope.tasks.every(isValidTask)) {
+      return defaultTasks;
+    }
+    return envelope.tasks;
+  } catch (error) {
+    return defaultTasks;
+  }
+};
+
+/**
+ * Save tasks to storage in the current schema
+ * @param {Object} adapter - Storage adapter
+ * @param {Object[]} tasks - Tasks to persist
+ */
+export const saveTasks = (adapter, tasks) => {
+  try {
+    adapter.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, tasks }));
+  } catch (error) {
+    // Quota or access errors must never take the UI down; the in-memory
+    // state stays authoritative for this session.
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Theme persistence
+ * Only an explicit choice is stored; with nothing stored the app keeps
+ * following the system colour scheme.
+ */
+
+import { isTheme } from '../theme/themes';
+
+export const THEME_KEY = 'todo-app.theme';
+
+/**
+ * Load the chosen theme
+ * @param {Object} adapter - Storage adapter
+ * @returns {string|null} The stored theme, or null if none (or an unknown one) is stored
+ */
+export const loadTheme = (adapter) => {
+  try {
+    const theme = JSON.parse(adapter.getItem(THEME_KEY));
+    return isTheme(theme) ? theme : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the chosen theme
+ * @param {Object} adapter - Storage adapter
+ * @param {string} theme - The theme's value, e.g. 'dark'
+ */
+export const saveTheme = (adapter, theme) => {
+  try {
+    adapter.setItem(THEME_KEY, JSON.stringify(theme));
+  } catch (error) {
+    // See saveLists in listStorage
+  }
+};
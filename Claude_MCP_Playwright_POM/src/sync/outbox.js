@@ -0,0 +1,53 @@
+/**
+ * Offline outbox
+ * Changes are sent as API calls described by data ({ method, args }) rather
+ * than closures, so calls made while the browser is offline can be stored and
+ * replayed in order once it is back.
+ */
+
+// The taskApi functions a call may name
+export const OUTBOX_METHODS = [
+  'createTask',
+  'updateTask',
+  'deleteTask',
+  'replaceTasks',
+  'createList',
+  'renameList',
+  'deleteList',
+];
+
+/**
+ * Describe an API call
+ * @param {string} method - A taskApi function, e.g. 'updateTask'
+ * @param {...*} args - Its arguments, which must survive JSON
+ * @returns {{method: string, args: Array}} The call
+ */
+export const apiCall = (method, ...args) => ({ method, args });
+
+/**
+ * Check that a value is a call the outbox can replay
+ * @param {*} call - Value to check
+ * @returns {boolean} Whether it names a known method with an argument list
+ */
+export const isApiCall = (call) =>
+  call !== null &&
+  typeof call === 'object' &&
+  OUTBOX_METHODS.includes(call.method) &&
+  Array.isArray(call.args);
+
+/**
+ * Make a described call
+ * @param {Object} api - Task API client
+ * @param {Object} call - A call from apiCall()
+ * @returns {Promise<*>} Whatever the API function returns
+ */
+export const sendApiCall = (api, call) => api[call.method](...call.args);
+
+/**
+ * Check whether a failed call should wait in the outbox
+ * Only network failures while the browser reports itself offline count; an
+ * unreachable server while online is still an error the user sees.
+ * @param {Error} error - The rejection from sendApiCall()
+ * @returns {boolean} Whether to queue the call
+ */
+export const isOfflineFailure = (error) => error.status === null && navigator.onLine === false;
@@ -0,0 +1,82 @@
+/**
+ * Tab channels
+ * Every channel exposes the same post/subscribe contract, so cross-tab sync
+ * never needs to know how messages actually travel between tabs of the same
+ * origin.
+ */
+
+export const CHANNEL_NAME = 'todo-app.sync';
+// Storage key the storage-event fallback writes each message to
+export const MESSAGE_KEY = 'todo-app.sync-message';
+
+/**
+ * Create a channel backed by BroadcastChannel
+ * @param {Function} Channel - BroadcastChannel implementation
+ * @returns {Object} Channel with post(message) and subscribe(handler), which returns an unsubscribe function
+ */
+export const createBroadcastTabChannel = (Channel = window.BroadcastChannel) => {
+  const channel = new Channel(CHANNEL_NAME);
+
+  return {
+    post: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      const handleMessage = (event) => handler(event.data);
+      channel.addEventListener('message', handleMessage);
+      return () => channel.removeEventListener('message', handleMessage);
+    },
+  };
+};
+
+/**
+ * Create a channel that passes messages through localStorage
+ * Other tabs hear each write as a storage event; the writing tab does not.
+ * @param {Storage} storage - Storage implementation (defaults to window.localStorage)
+ * @returns {Object} Channel with post(message) and subscribe(handler)
+ */
+export const createStorageTabChannel = (storage = window.localStorage) => ({
+  post: (message) => {
+    try {
+      storage.setItem(MESSAGE_KEY, JSON.stringify(message));
+    } catch (error) {
+      // Other tabs miss this change until they reload, like a failed saveTasks
+    }
+  },
+  subscribe: (handler) => {
+    const handleStorage = (event) => {
+      if (event.key !== MESSAGE_KEY || event.newValue === null) return;
+      try {
+        handler(JSON.parse(event.newValue));
+      } catch (error) {
+        // Not a message this version understands
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  },
+});
+
+/**
+ * Create a channel that goes nowhere
+ * Used by tests and when no tab can reach another.
+ * @returns {Object} Channel with post(message) and subscribe(handler)
+ */
+export const createNullTabChannel = () => ({
+  post: () => {},
+  subscribe: () => () => {},
+});
+
+/**
+ * Pick the best channel for the current environment
+ * @returns {Object} Tab channel
+ */
+export const createDefaultTabChannel = () => {
+  if (typeof window.BroadcastChannel === 'function') return createBroadcastTabChannel(window.BroadcastChannel);
+  try {
+    const probeKey = '__todo-app-probe__';
+    window.localStorage.setItem(probeKey, probeKey);
+    window.localStorage.removeItem(probeKey);
+    return createStorageTabChannel(window.localStorage);
+  } catch (error) {
+    return createNullTabChannel();
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Cross-tab task changes
+ * A tab describes each change to its task list as the tasks it added or
+ * changed (each with the version it replaced), the ids it removed and, when
+ * the order moved, the new order. Other tabs merge that into their own list,
+ * so changes to different tasks never overwrite each other.
+ */
+
+// Key order differs between tasks built here and tasks parsed from the server
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: canonical(value[key]) }), {});
+};
+
+/**
+ * Check whether two tasks hold the same data
+ * @param {Object} a - A task
+ * @param {Object} b - Another version of it
+ * @returns {boolean} Whether every field, subtasks included, is equal
+ */
+export const isSameTask = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+/**
+ * Describe how a task list changed
+ * @param {Object[]} previous - The list before the change
+ * @param {Object[]} next - The list after it
+ * @returns {Object|null} upserts ({task, previous} pairs, previous null for
+ *   new tasks), removedIds and order (every id, or null when merging the
+ *   rest already gives the right order); null when nothing changed
+ */
+export const diffTasks = (previous, next) => {
+  const previousById = new Map(previous.map(task => [task.id, task]));
+  const nextIds = new Set(next.map(task => task.id));
+
+  const upserts = next
+    .filter(task => !previousById.has(task.id) || !isSameTask(previousById.get(task.id), task))
+    .map(task => ({ task, previous: previousById.get(task.id) || null }));
+  const removedIds = previous.filter(task => !nextIds.has(task.id)).map(task => task.id);
+
+  // Receivers keep their order and append new tasks; only send the order
+  // when that would come out differently
+  const merged = [
+    ...previous.filter(task => nextIds.has(task.id)),
+    ...next.filter(task => !previousById.has(task.id)),
+  ];
+  const reordered = merged.some((task, index) => task.id !== next[index].id);
+
+  if (upserts.length === 0 && removedIds.length === 0 && !reordered) return null;
+  return { upserts, removedIds, order: reordered ? next.map(task => task.id) : null };
+};
+
+/**
+ * Merge a change made in another tab into this tab's tasks
+ * A task both tabs changed since the sender's version is a conflict, settled
+ * by keepLocal. A task deleted in one tab and edited in the other stays
+ * deleted.
+ * @param {Object[]} tasks - This tab's tasks
+ * @param {Object} change - A change from diffTasks()
+ * @param {Function} keepLocal - Called with a conflicting task id; returns whether this tab's version wins
+ * @returns {{tasks: Object[], conflicts: Object[]}} The merged tasks, and a
+ *   {local, remote, keptLocal} entry per conflict
+ */
+export const mergeTaskChange = (tasks, change, keepLocal) => {
+  const conflicts = [];
+  const removed = new Set(change.removedIds);
+  let merged = tasks.filter(task => !removed.has(task.id));
+
+  change.upserts.forEach(({ task: remote, previous }) => {
+    const local = merged.find(task => task.id === remote.id);
+    if (!local) {
+      if (previous === null) merged = [...merged, remote];
+      return;
+    }
+    if (isSameTask(local, remote)) return;
+
+    if (previous !== null && !isSameTask(local, previous)) {
+      const keptLocal = keepLocal(remote.id);
+      conflicts.push({ local, remote, keptLocal });
+      if (keptLocal) return;
+    }
+    merged = merged.map(task => (task === local ? remote : task));
+  });
+
+  if (change.order) {
+    // Tasks the sender does not know about (added here meanwhile) go last
+    const position = new Map(change.order.map((id, index) => [id, index]));
+    const rank = task => (position.has(task.id) ? position.get(task.id) : change.order.length);
+    merged = [...merged].sort((a, b) => rank(a) - rank(b));
+  }
+
+  return { tasks: merged, conflicts };
+};
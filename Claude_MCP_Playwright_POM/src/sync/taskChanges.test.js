@@ -0,0 +1,146 @@
+/**
+ * Cross-Tab Task Change Unit Tests
+ * Describing a change with diffTasks and merging it into another tab's tasks:
+ * edits made in one tab only, edits made in both, deletes and order
+ */
+
+import { diffTasks, isSameTask, mergeTaskChange } from './taskChanges';
+
+const task = (id, fields = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  dueDate: null,
+  priority: null,
+  tags: [],
+  listId: 'default',
+  subtasks: [],
+  ...fields,
+});
+
+const tasks = [task(1), task(2), task(3)];
+const keepRemote = () => false;
+const keepLocal = () => true;
+
+describe('isSameTask', () => {
+  test('should ignore the order of keys', () => {
+    const { id, text, ...rest } = task(1);
+
+    expect(isSameTask(task(1), { text, ...rest, id })).toBe(true);
+  });
+
+  test('should compare subtasks too', () => {
+    const withSubtask = task(1, { subtasks: [{ id: 1, text: 'Step', completed: false }] });
+
+    expect(isSameTask(task(1), withSubtask)).toBe(false);
+  });
+});
+
+describe('diffTasks', () => {
+  test('should report no change for equal lists', () => {
+    expect(diffTasks(tasks, tasks.map(current => ({ ...current })))).toBeNull();
+  });
+
+  test('should describe an edit with the version it replaced', () => {
+    const edited = task(2, { text: 'Edited' });
+
+    expect(diffTasks(tasks, [tasks[0], edited, tasks[2]])).toEqual({
+      upserts: [{ task: edited, previous: tasks[1] }],
+      removedIds: [],
+      order: null,
+    });
+  });
+
+  test('should describe an added task with no previous version', () => {
+    expect(diffTasks(tasks, [...tasks, task(4)])).toEqual({
+      upserts: [{ task: task(4), previous: null }],
+      removedIds: [],
+      order: null,
+    });
+  });
+
+  test('should list the ids of deleted tasks', () => {
+    expect(diffTasks(tasks, [tasks[0], tasks[2]])).toEqual({ upserts: [], removedIds: [2], order: null });
+  });
+
+  test('should send the order only when the tasks moved', () => {
+    expect(diffTasks(tasks, [tasks[2], tasks[0], tasks[1]])).toEqual({
+      upserts: [],
+      removedIds: [],
+      order: [3, 1, 2],
+    });
+  });
+});
+
+describe('mergeTaskChange', () => {
+  test('should apply an edit made only in the other tab', () => {
+    const remote = [tasks[0], task(2, { completed: true }), tasks[2]];
+    const local = [task(1, { text: 'Edited here' }), tasks[1], tasks[2]];
+
+    const { tasks: merged, conflicts } = mergeTaskChange(local, diffTasks(tasks, remote), keepRemote);
+
+    expect(merged).toEqual([task(1, { text: 'Edited here' }), task(2, { completed: true }), tasks[2]]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('should not count the same edit made in both tabs as a conflict', () => {
+    const edited = [task(1, { completed: true }), tasks[1], tasks[2]];
+    const keep = jest.fn();
+
+    const { tasks: merged, conflicts } = mergeTaskChange(edited, diffTasks(tasks, edited), keep);
+
+    expect(merged).toEqual(edited);
+    expect(conflicts).toEqual([]);
+    expect(keep).not.toHaveBeenCalled();
+  });
+
+  test('should let keepLocal settle a task edited in both tabs', () => {
+    const localTask = task(1, { text: 'Edited here' });
+    const remoteTask = task(1, { text: 'Edited there' });
+    const change = diffTasks(tasks, [remoteTask, tasks[1], tasks[2]]);
+    const local = [localTask, tasks[1], tasks[2]];
+    const keep = jest.fn(keepRemote);
+
+    const remoteWins = mergeTaskChange(local, change, keep);
+    const localWins = mergeTaskChange(local, change, keepLocal);
+
+    expect(keep).toHaveBeenCalledWith(1);
+    expect(remoteWins.tasks[0]).toBe(remoteTask);
+    expect(remoteWins.conflicts).toEqual([{ local: localTask, remote: remoteTask, keptLocal: false }]);
+    expect(localWins.tasks[0]).toBe(localTask);
+    expect(localWins.conflicts).toEqual([{ local: localTask, remote: remoteTask, keptLocal: true }]);
+  });
+
+  test('should delete a task deleted in the other tab, even if edited here', () => {
+    const local = [tasks[0], task(2, { text: 'Edited here' }), tasks[2]];
+
+    const { tasks: merged } = mergeTaskChange(local, diffTasks(tasks, [tasks[0], tasks[2]]), keepLocal);
+
+    expect(merged).toEqual([tasks[0], tasks[2]]);
+  });
+
+  test('should not bring back a task deleted here and edited in the other tab', () => {
+    const remote = [tasks[0], task(2, { text: 'Edited there' }), tasks[2]];
+
+    const { tasks: merged, conflicts } = mergeTaskChange([tasks[0], tasks[2]], diffTasks(tasks, remote), keepRemote);
+
+    expect(merged).toEqual([tasks[0], tasks[2]]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('should add a task added in the other tab at the end', () => {
+    const local = [...tasks, task(5)];
+
+    const { tasks: merged } = mergeTaskChange(local, diffTasks(tasks, [...tasks, task(4)]), keepRemote);
+
+    expect(merged.map(current => current.id)).toEqual([1, 2, 3, 5, 4]);
+  });
+
+  test('should follow a new order and keep tasks it does not know last', () => {
+    const local = [...tasks, task(5)];
+
+    const { tasks: merged } = mergeTaskChange(local, diffTasks(tasks, [tasks[2], tasks[0], tasks[1]]), keepRemote);
+
+    expect(merged.map(current => current.id)).toEqual([3, 1, 2, 5]);
+  });
+});
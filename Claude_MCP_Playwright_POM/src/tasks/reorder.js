@@ -0,0 +1,19 @@
+/**
+ * Move a task so it takes the place of another one
+ * Works on ids rather than indexes so callers can reorder a filtered view
+ * without knowing where its rows sit in the full list.
+ * @param {Object[]} tasks - The full task list
+ * @param {number|string} fromId - Id of the task being moved
+ * @param {number|string} toId - Id of the task whose position it takes
+ * @returns {Object[]} A new, reordered list (the same list if either id is unknown)
+ */
+export const moveTask = (tasks, fromId, toId) => {
+  const fromIndex = tasks.findIndex(task => task.id === fromId);
+  const toIndex = tasks.findIndex(task => task.id === toId);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return tasks;
+
+  const reordered = [...tasks];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+  return reordered;
+};
@@ -0,0 +1,34 @@
+/**
+ * Full-text search helpers
+ * Matching is case-insensitive and Unicode-aware, and runs on the original
+ * text so highlighted segments line up with what is displayed.
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createPattern = (query) => new RegExp(`(${escapeRegExp(query.trim())})`, 'giu');
+
+/**
+ * Whether a task's text contains the query
+ * @param {Object} task - The task
+ * @param {string} query - The search query; blank matches everything
+ * @returns {boolean} Whether the task matches
+ */
+export const matchesQuery = (task, query) =>
+  query.trim() === '' || createPattern(query).test(task.text);
+
+/**
+ * Split text into plain and matching segments
+ * @param {string} text - The text to split
+ * @param {string} query - The search query
+ * @returns {{text: string, match: boolean}[]} Segments in order; a single plain segment when nothing matches
+ */
+export const splitMatches = (text, query) => {
+  if (query.trim() === '') return [{ text, match: false }];
+
+  // With a capturing group, split() puts the matches at the odd indexes
+  return text
+    .split(createPattern(query))
+    .map((segment, index) => ({ text: segment, match: index % 2 === 1 }))
+    .filter(segment => segment.text !== '');
+};
@@ -0,0 +1,51 @@
+/**
+ * Subtasks
+ * A task can carry a checklist of subtasks ({ id, text, completed }). Once it
+ * has any, the task's own completion follows them: it completes when the last
+ * subtask is checked and reopens when one is unchecked or added.
+ */
+
+/**
+ * Check that a value has the shape of a subtask
+ * @param {*} subtask - Value to check
+ * @returns {boolean} Whether it is a usable subtask
+ */
+export const isValidSubtask = (subtask) =>
+  subtask !== null &&
+  typeof subtask === 'object' &&
+  (typeof subtask.id === 'number' || typeof subtask.id === 'string') &&
+  typeof subtask.text === 'string' &&
+  typeof subtask.completed === 'boolean';
+
+/**
+ * Count a task's done and total subtasks
+ * @param {Object} task - The task
+ * @returns {Object} done and total
+ */
+export const getSubtaskProgress = (task) => ({
+  done: task.subtasks.filter(subtask => subtask.completed).length,
+  total: task.subtasks.length,
+});
+
+/**
+ * Give a task a new subtask list, updating its completion to match
+ * Removing every subtask leaves the task's completion as it was.
+ * @param {Object} task - The task
+ * @param {Object[]} subtasks - Its new subtasks
+ * @returns {Object} The updated task
+ */
+export const withSubtasks = (task, subtasks) => ({
+  ...task,
+  subtasks,
+  completed: subtasks.length > 0 ? subtasks.every(subtask => subtask.completed) : task.completed,
+});
+
+/**
+ * Pick an id for a new subtask that no sibling already uses
+ * Two subtasks added within the same millisecond would otherwise share one.
+ * @param {Object[]} subtasks - The existing subtasks
+ * @param {number} now - The current time (injectable for tests)
+ * @returns {number} The new id
+ */
+export const nextSubtaskId = (subtasks, now = Date.now()) =>
+  subtasks.reduce((id, subtask) => (typeof subtask.id === 'number' && subtask.id >= id ? subtask.id + 1 : id), now);
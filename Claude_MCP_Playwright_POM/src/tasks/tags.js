@@ -0,0 +1,49 @@
+/**
+ * Hashtag helpers
+ * Tags are typed inline as #tokens in the task text, stored lowercased and
+ * de-duplicated in a separate tags array, and shown back as chips.
+ */
+
+// A tag starts a word and runs over letters, marks, digits, '_' and '-'
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{M}\p{N}_-]+)/gu;
+
+/**
+ * Split #tag tokens out of entered text
+ * Text without tags is returned untouched; otherwise the gaps the tokens
+ * leave behind are collapsed.
+ * @param {string} input - The entered text
+ * @returns {{text: string, tags: string[]}} The remaining text and the tags in first-seen order
+ */
+export const parseTags = (input) => {
+  const tags = [];
+  const text = input.replace(TAG_PATTERN, (match, space, tag) => {
+    const normalized = tag.toLowerCase();
+    if (!tags.includes(normalized)) tags.push(normalized);
+    return space;
+  });
+
+  if (tags.length === 0) return { text: input, tags };
+  return { text: text.replace(/\s+/g, ' ').trim(), tags };
+};
+
+/**
+ * Rebuild the editable text of a task, with its tags as trailing #tokens
+ * @param {Object} task - The task
+ * @returns {string} Text that parseTags() turns back into the same task
+ */
+export const formatTaskText = (task) =>
+  [task.text, ...task.tags.map(tag => `#${tag}`)].join(' ');
+
+/**
+ * Count how many tasks carry each tag
+ * @param {Object[]} tasks - The tasks
+ * @returns {{tag: string, count: number}[]} Counts in alphabetical tag order
+ */
+export const countTags = (tasks) => {
+  const counts = new Map();
+  tasks.forEach(task => task.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+  return [...counts.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map(tag => ({ tag, count: counts.get(tag) }));
+};
@@ -0,0 +1,77 @@
+/**
+ * Task metadata helpers
+ * Due dates are stored as local calendar dates ('YYYY-MM-DD') so a task is
+ * due on the same day wherever it is opened; priority is 'low', 'medium',
+ * 'high' or null.
+ */
+
+export const PRIORITIES = [
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' },
+];
+
+export const SORT_OPTIONS = [
+  // The stored order: insertion order, adjusted by any manual moves
+  { value: 'created', label: 'Date created' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+];
+
+export const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidDueDate = (dueDate) => dueDate === null || (typeof dueDate === 'string' && DATE_PATTERN.test(dueDate));
+
+export const isValidPriority = (priority) =>
+  priority === null || PRIORITIES.some(option => option.value === priority);
+
+export const getPriorityLabel = (priority) => {
+  const option = PRIORITIES.find(current => current.value === priority);
+  return option ? option.label : null;
+};
+
+/**
+ * Today's local calendar date
+ * @param {Date} now - The current time (injectable for tests)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const todayISO = (now = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Whether an open task's due date has passed
+ * ISO calendar dates compare correctly as strings.
+ * @param {Object} task - The task
+ * @param {string} today - Today's date as 'YYYY-MM-DD'
+ * @returns {boolean} Whether the task is overdue
+ */
+export const isOverdue = (task, today) => !task.completed && task.dueDate !== null && task.dueDate < today;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const comparators = {
+  dueDate: (a, b) => {
+    if (a.dueDate === b.dueDate) return 0;
+    if (a.dueDate === null) return 1;
+    if (b.dueDate === null) return -1;
+    return a.dueDate < b.dueDate ? -1 : 1;
+  },
+  priority: (a, b) =>
+    (a.priority === null ? 3 : PRIORITY_RANK[a.priority]) - (b.priority === null ? 3 : PRIORITY_RANK[b.priority]),
+};
+
+/**
+ * Sort tasks for display without touching the stored order
+ * Tasks missing the sort field go last; ties keep their stored order.
+ * @param {Object[]} tasks - Tasks in stored order
+ * @param {string} sortBy - One of the SORT_OPTIONS values
+ * @returns {Object[]} Tasks in display order
+ */
+export const sortTasks = (tasks, sortBy) => {
+  const compare = comparators[sortBy];
+  return compare ? [...tasks].sort(compare) : tasks;
+};
@@ -0,0 +1,176 @@
+/**
+ * Task state
+ * The task list and its undo/redo history, changed only through the actions
+ * below. Commands ('add', 'delete', 'toggle', ...) are undoable; 'undo',
+ * 'redo', 'reset' and 'rollback' manage the history itself. Actions carry
+ * everything they need (a new task's id included), so applying one to the
+ * same list always gives the same result.
+ */
+
+import { diffTasks, mergeTaskChange } from '../sync/taskChanges';
+import { moveTask } from './reorder';
+import { withSubtasks } from './subtasks';
+
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Pick an id for a new task that no existing task already uses
+ * Two tasks added within the same millisecond would otherwise share one.
+ * @param {Object[]} tasks - The existing tasks, in every list
+ * @param {number} now - The current time (injectable for tests)
+ * @returns {number} The new id
+ */
+export const nextTaskId = (tasks, now = Date.now()) =>
+  tasks.reduce((id, task) => (typeof task.id === 'number' && task.id >= id ? task.id + 1 : id), now);
+
+/**
+ * Build a new, open task with every field filled in
+ * @param {Object[]} tasks - The existing tasks, to keep the id unique
+ * @param {Object} fields - text and tags, plus listId, dueDate and priority
+ * @param {number} now - The current time (injectable for tests)
+ * @returns {Object} The task
+ */
+export const createTask = (tasks, { text, tags = [], listId, dueDate = null, priority = null }, now = Date.now()) => ({
+  id: nextTaskId(tasks, now),
+  text,
+  completed: false,
+  dueDate,
+  priority,
+  tags,
+  listId,
+  subtasks: [],
+});
+
+/**
+ * Take one change back out of a task list that may have moved on since
+ * The change is undone the way a change from another tab is merged in (see
+ * sync/taskChanges), so a task changed again after it keeps its newer version.
+ * @param {Object[]} tasks - The current tasks
+ * @param {Object[]} before - The list before the change
+ * @param {Object[]} after - The list the change produced
+ * @returns {Object[]} The tasks without the change
+ */
+export const revertChange = (tasks, before, after) => {
+  if (tasks === after) return before;
+
+  const change = diffTasks(after, before);
+  if (change === null) return tasks;
+  const { tasks: reverted } = mergeTaskChange(tasks, change, () => true);
+  return diffTasks(tasks, reverted) === null ? tasks : reverted;
+};
+
+const updateTask = (tasks, id, update) =>
+  (tasks.some(task => task.id === id)
+    ? tasks.map(task => (task.id === id ? update(task) : task))
+    : tasks);
+
+/**
+ * Apply a command to a task list
+ * Commands that would change nothing (an unknown id, moving a task onto
+ * itself) return the same list, which the reducer then leaves out of
+ * the history.
+ * @param {Object[]} tasks - The current tasks
+ * @param {Object} action - A command, e.g. { type: 'toggle', id }
+ * @returns {Object[]} The resulting tasks
+ */
+export const applyTaskCommand = (tasks, action) => {
+  switch (action.type) {
+    case 'add':
+      return [...tasks, action.task];
+    case 'delete': {
+      const remaining = tasks.filter(task => !action.ids.includes(task.id));
+      return remaining.length === tasks.length ? tasks : remaining;
+    }
+    case 'toggle':
+      return updateTask(tasks, action.id, task => ({ ...task, completed: !task.completed }));
+    case 'edit':
+      return updateTask(tasks, action.id, task => ({ ...task, ...action.changes }));
+    case 'subtasks':
+      return updateTask(tasks, action.id, task => withSubtasks(task, action.subtasks));
+    case 'toggleAll':
+      return tasks.map(task => (task.listId === action.listId ? { ...task, completed: action.completed } : task));
+    case 'reorder':
+      return moveTask(tasks, action.fromId, action.toId);
+    // A moved task goes after the tasks already in its new list
+    case 'move': {
+      const moved = tasks.find(task => task.id === action.id);
+      if (!moved) return tasks;
+      return [...tasks.filter(task => task !== moved), { ...moved, listId: action.listId }];
+    }
+    case 'import':
+      return [
+        ...tasks.filter(task => task.listId !== action.listId),
+        ...action.tasks.map(task => ({ ...task, listId: action.listId })),
+      ];
+    // An earlier command taken back on its own, keeping the ones since
+    case 'revert':
+      return revertChange(tasks, action.before, action.after);
+    default:
+      throw new Error(`Unknown task action "${action.type}"`);
+  }
+};
+
+/**
+ * Initial state for taskReducer
+ * @param {Object[]} tasks - The tasks to start from
+ * @returns {Object} past, present and future, with no history yet
+ */
+export const initTaskState = (tasks) => ({ past: [], present: tasks, future: [] });
+
+/**
+ * Reduce the task state
+ * Each command is recorded with the list it replaced, so undo restores that
+ * list and redo re-applies the command's result. Only the newest
+ * HISTORY_LIMIT commands are kept.
+ * @param {Object} state - past, present (the tasks) and future
+ * @param {Object} action - A command, or undo/redo/reset/rollback
+ * @returns {Object} The next state
+ */
+export const taskReducer = (state, action) => {
+  const { past, present, future } = state;
+
+  switch (action.type) {
+    case 'undo': {
+      if (past.length === 0) return state;
+      const command = past[past.length - 1];
+      return {
+        past: past.slice(0, -1),
+        present: command.tasks,
+        future: [{ type: command.type, tasks: present }, ...future],
+      };
+    }
+    case 'redo': {
+      if (future.length === 0) return state;
+      const [command, ...rest] = future;
+      return {
+        past: [...past, { type: command.type, tasks: present }].slice(-HISTORY_LIMIT),
+        present: command.tasks,
+        future: rest,
+      };
+    }
+    // Replace the list wholesale (e.g. after loading from the server) and
+    // forget all history
+    case 'reset':
+      return initTaskState(action.tasks);
+    // Take back a change the server refused (action.before and action.after
+    // are the lists around it) and keep everything done since. If it is still
+    // the newest command in history it is dropped, so undo does not replay it.
+    case 'rollback': {
+      const newest = past[past.length - 1];
+      return {
+        past: newest && newest.tasks === action.before ? past.slice(0, -1) : past,
+        present: revertChange(present, action.before, action.after),
+        future,
+      };
+    }
+    default: {
+      const next = applyTaskCommand(present, action);
+      if (next === present) return state;
+      return {
+        past: [...past, { type: action.type, tasks: present }].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+      };
+    }
+  }
+};
@@ -0,0 +1,241 @@
+/**
+ * Task Reducer Unit Tests
+ * New task ids, every command, the undo/redo history and taking back a change
+ * the server refused, run under Node without a browser
+ */
+
+import {
+  HISTORY_LIMIT,
+  applyTaskCommand,
+  createTask,
+  initTaskState,
+  nextTaskId,
+  revertChange,
+  taskReducer,
+} from './taskReducer';
+
+const NOW = 1700000000000;
+
+const task = (id, fields = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  dueDate: null,
+  priority: null,
+  tags: [],
+  listId: 'default',
+  subtasks: [],
+  ...fields,
+});
+
+const tasks = [task(1), task(2), task(3, { listId: 'work' })];
+
+describe('nextTaskId', () => {
+  test('should use the current time when no task is newer', () => {
+    expect(nextTaskId(tasks, NOW)).toBe(NOW);
+  });
+
+  test('should step past a task added in the same millisecond', () => {
+    expect(nextTaskId([...tasks, task(NOW)], NOW)).toBe(NOW + 1);
+  });
+
+  test('should step past ids ahead of the clock', () => {
+    expect(nextTaskId([task(NOW + 5), task(NOW)], NOW)).toBe(NOW + 6);
+  });
+
+  test('should ignore string ids', () => {
+    expect(nextTaskId([task('imported-1')], NOW)).toBe(NOW);
+  });
+});
+
+describe('createTask', () => {
+  test('should fill in every field of a new, open task', () => {
+    expect(createTask(tasks, { text: 'Write tests', tags: ['dev'], listId: 'work' }, NOW)).toEqual({
+      id: NOW,
+      text: 'Write tests',
+      completed: false,
+      dueDate: null,
+      priority: null,
+      tags: ['dev'],
+      listId: 'work',
+      subtasks: [],
+    });
+  });
+
+  test('should keep the due date and priority it is given', () => {
+    const created = createTask(tasks, { text: 'Ship', listId: 'default', dueDate: '2026-03-20', priority: 'high' }, NOW);
+
+    expect(created.dueDate).toBe('2026-03-20');
+    expect(created.priority).toBe('high');
+  });
+
+  test('should give rapid adds in the same millisecond different ids', () => {
+    let state = initTaskState(tasks);
+    for (const text of ['First', 'Second', 'Third']) {
+      state = taskReducer(state, { type: 'add', task: createTask(state.present, { text, listId: 'default' }, NOW) });
+    }
+
+    const ids = state.present.map(current => current.id);
+    expect(ids).toEqual([1, 2, 3, NOW, NOW + 1, NOW + 2]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('applyTaskCommand', () => {
+  test('should add a task at the end', () => {
+    const added = task(4);
+
+    expect(applyTaskCommand(tasks, { type: 'add', task: added })).toEqual([...tasks, added]);
+  });
+
+  test('should delete every task whose id is listed', () => {
+    expect(applyTaskCommand(tasks, { type: 'delete', ids: [1, 3] })).toEqual([tasks[1]]);
+  });
+
+  test('should toggle one task and leave the others alone', () => {
+    const toggled = applyTaskCommand(tasks, { type: 'toggle', id: 2 });
+
+    expect(toggled.map(current => current.completed)).toEqual([false, true, false]);
+    expect(toggled[0]).toBe(tasks[0]);
+  });
+
+  test('should merge edited fields into the task', () => {
+    const edited = applyTaskCommand(tasks, { type: 'edit', id: 1, changes: { text: 'Renamed', priority: 'low' } });
+
+    expect(edited[0]).toEqual({ ...tasks[0], text: 'Renamed', priority: 'low' });
+  });
+
+  test('should complete a task once all its subtasks are done', () => {
+    const subtasks = [{ id: 1, text: 'Step', completed: true }];
+    const updated = applyTaskCommand(tasks, { type: 'subtasks', id: 1, subtasks });
+
+    expect(updated[0]).toEqual({ ...tasks[0], subtasks, completed: true });
+  });
+
+  test('should toggle all tasks of one list only', () => {
+    const toggled = applyTaskCommand(tasks, { type: 'toggleAll', listId: 'default', completed: true });
+
+    expect(toggled.map(current => current.completed)).toEqual([true, true, false]);
+  });
+
+  test('should move a task into the place of another', () => {
+    const reordered = applyTaskCommand(tasks, { type: 'reorder', fromId: 1, toId: 3 });
+
+    expect(reordered.map(current => current.id)).toEqual([2, 3, 1]);
+  });
+
+  test('should move a task to the end of another list', () => {
+    const moved = applyTaskCommand(tasks, { type: 'move', id: 1, listId: 'work' });
+
+    expect(moved).toEqual([task(2), task(3, { listId: 'work' }), task(1, { listId: 'work' })]);
+  });
+
+  test('should replace one list with imported tasks', () => {
+    const imported = [task(10, { listId: 'elsewhere' })];
+    const result = applyTaskCommand(tasks, { type: 'import', listId: 'work', tasks: imported });
+
+    expect(result).toEqual([tasks[0], tasks[1], { ...imported[0], listId: 'work' }]);
+  });
+
+  test.each([
+    ['delete', { ids: [99] }],
+    ['toggle', { id: 99 }],
+    ['edit', { id: 99, changes: { text: 'Nope' } }],
+    ['move', { id: 99, listId: 'work' }],
+    ['reorder', { fromId: 1, toId: 1 }],
+  ])('should return the same list for a %s that changes nothing', (type, fields) => {
+    expect(applyTaskCommand(tasks, { type, ...fields })).toBe(tasks);
+  });
+
+  test('should reject an unknown command', () => {
+    expect(() => applyTaskCommand(tasks, { type: 'archive' })).toThrow('Unknown task action "archive"');
+  });
+});
+
+describe('taskReducer', () => {
+  const toggleFirst = { type: 'toggle', id: 1 };
+
+  test('should record a command so it can be undone and redone', () => {
+    const toggled = taskReducer(initTaskState(tasks), toggleFirst);
+    const undone = taskReducer(toggled, { type: 'undo' });
+    const redone = taskReducer(undone, { type: 'redo' });
+
+    expect(toggled.past).toEqual([{ type: 'toggle', tasks }]);
+    expect(undone.present).toBe(tasks);
+    expect(redone.present).toBe(toggled.present);
+  });
+
+  test('should leave a command that changes nothing out of the history', () => {
+    const state = initTaskState(tasks);
+
+    expect(taskReducer(state, { type: 'delete', ids: [99] })).toBe(state);
+  });
+
+  test('should clear the redo stack on a new command', () => {
+    const undone = taskReducer(taskReducer(initTaskState(tasks), toggleFirst), { type: 'undo' });
+
+    expect(taskReducer(undone, { type: 'toggle', id: 2 }).future).toEqual([]);
+  });
+
+  test('should ignore undo and redo with nothing to step to', () => {
+    const state = initTaskState(tasks);
+
+    expect(taskReducer(state, { type: 'undo' })).toBe(state);
+    expect(taskReducer(state, { type: 'redo' })).toBe(state);
+  });
+
+  test(`should keep only the newest ${HISTORY_LIMIT} commands`, () => {
+    let state = initTaskState(tasks);
+    for (let i = 0; i < HISTORY_LIMIT + 2; i++) {
+      state = taskReducer(state, toggleFirst);
+    }
+
+    expect(state.past).toHaveLength(HISTORY_LIMIT);
+  });
+
+  test('should forget the history on reset', () => {
+    const reset = taskReducer(taskReducer(initTaskState(tasks), toggleFirst), { type: 'reset', tasks: [task(7)] });
+
+    expect(reset).toEqual(initTaskState([task(7)]));
+  });
+
+  test('should drop the newest command when rolling it back', () => {
+    const toggled = taskReducer(initTaskState(tasks), toggleFirst);
+    const rolledBack = taskReducer(toggled, { type: 'rollback', before: tasks, after: toggled.present });
+
+    expect(rolledBack.present).toBe(tasks);
+    expect(rolledBack.past).toEqual([]);
+  });
+
+  test('should keep newer commands when rolling back an older one', () => {
+    const first = taskReducer(initTaskState(tasks), toggleFirst);
+    const second = taskReducer(first, { type: 'toggle', id: 2 });
+    const rolledBack = taskReducer(second, { type: 'rollback', before: tasks, after: first.present });
+
+    expect(rolledBack.present).toEqual([task(1), task(2, { completed: true }), tasks[2]]);
+    expect(rolledBack.past).toBe(second.past);
+  });
+});
+
+describe('revertChange', () => {
+  test('should put a deleted task back in its place', () => {
+    const deleted = applyTaskCommand(tasks, { type: 'delete', ids: [2] });
+    const toggled = applyTaskCommand(deleted, { type: 'toggle', id: 1 });
+
+    expect(revertChange(toggled, tasks, deleted)).toEqual([task(1, { completed: true }), task(2), tasks[2]]);
+  });
+
+  test('should remove an added task', () => {
+    const added = applyTaskCommand(tasks, { type: 'add', task: task(4) });
+    const toggled = applyTaskCommand(added, { type: 'toggle', id: 1 });
+
+    expect(revertChange(toggled, tasks, added)).toEqual([task(1, { completed: true }), task(2), tasks[2]]);
+  });
+
+  test('should keep the newer version of a task changed again since', () => {
+    const edited = applyTaskCommand(tasks, { type: 'edit', id: 1, changes: { text: 'Edited' } });
+    const toggled = applyTaskCommand(edited, { type: 'toggle', id: 1 });
+
+    expect(revertChange(toggled, tasks, edited)).toBe(toggled);
+  });
+});
@@ -0,0 +1,35 @@
+import { DEFAULT_LIST_ID } from '../lists/lists';
+import { isValidSubtask } from './subtasks';
+import { isValidDueDate, isValidPriority } from './taskMeta';
+
+/**
+ * Check that a value has the shape of a current-schema task
+ * Shared by the storage loader and the API client so both reject the same
+ * malformed data.
+ * @param {*} task - Value to check
+ * @returns {boolean} Whether it is a usable task
+ */
+export const isValidTask = (task) =>
+  task !== null &&
+  typeof task === 'object' &&
+  (typeof task.id === 'number' || typeof task.id === 'string') &&
+  typeof task.text === 'string' &&
+  typeof task.completed === 'boolean' &&
+  isValidDueDate(task.dueDate) &&
+  isValidPriority(task.priority) &&
+  Array.isArray(task.tags) &&
+  task.tags.every(tag => typeof tag === 'string') &&
+  (typeof task.listId === 'number' || typeof task.listId === 'string') &&
+  Array.isArray(task.subtasks) &&
+  task.subtasks.every(isValidSubtask);
+
+/**
+ * Fill in the optional metadata fields older data does not carry
+ * @param {*} task - Value to normalize
+ * @returns {*} The task with dueDate and priority defaulted to null, tags and
+ *   subtasks to [] and listId to the default list
+ */
+export const withTaskDefaults = (task) =>
+  task !== null && typeof task === 'object'
+    ? { dueDate: null, priority: null, tags: [], listId: DEFAULT_LIST_ID, subtasks: [], ...task }
+    : task;
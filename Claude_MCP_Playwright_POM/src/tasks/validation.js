@@ -0,0 +1,51 @@
+/**
+ * Task text validation
+ * Entered text is trimmed and its #tags parsed out before it is checked, so
+ * the rules apply to what would actually be saved. The same rules cover new
+ * tasks and edits.
+ */
+
+import { parseTags } from './tags';
+
+/**
+ * maxLength caps the trimmed text as typed, tags included;
+ * rejectDuplicates refuses text another task in the same list already has
+ */
+export const DEFAULT_TASK_RULES = {
+  maxLength: 200,
+  rejectDuplicates: true,
+};
+
+export const EMPTY_TASK_MESSAGE = 'Cannot add empty task';
+export const WHITESPACE_TASK_MESSAGE = 'Cannot add task with only whitespace';
+export const TAGS_ONLY_TASK_MESSAGE = 'Cannot add a task with only tags';
+
+/**
+ * Check entered task text against the rules
+ * Duplicates are compared ignoring case, and only within the task's own list.
+ * @param {string} input - The text as entered, #tags included
+ * @param {Object[]} listTasks - The tasks already in the list
+ * @param {Object} rules - maxLength and rejectDuplicates, see DEFAULT_TASK_RULES
+ * @param {number|string} ownId - Id of the task being edited, if any
+ * @returns {{text: string, tags: string[], error: string|null}} The parsed text
+ *   and tags, and a message for the user if they cannot be saved
+ */
+export const validateTaskText = (input, listTasks, rules = DEFAULT_TASK_RULES, ownId = null) => {
+  const trimmed = input.trim();
+  const { text, tags } = parseTags(trimmed);
+  const fail = error => ({ text, tags, error });
+
+  if (input === '') return fail(EMPTY_TASK_MESSAGE);
+  if (trimmed === '') return fail(WHITESPACE_TASK_MESSAGE);
+  if (text === '') return fail(TAGS_ONLY_TASK_MESSAGE);
+  if (trimmed.length > rules.maxLength) {
+    return fail(`Task text can be at most ${rules.maxLength} characters`);
+  }
+  if (rules.rejectDuplicates) {
+    const key = text.toLowerCase();
+    if (listTasks.some(task => task.id !== ownId && task.text.toLowerCase() === key)) {
+      return fail(`A task named "${text}" is already in this list`);
+    }
+  }
+  return { text, tags, error: null };
+};
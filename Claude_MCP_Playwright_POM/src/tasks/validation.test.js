@@ -0,0 +1,65 @@
+/**
+ * Task Text Validation Unit Tests
+ * Each rule of validateTaskText, as applied to new tasks and edits
+ */
+
+import {
+  DEFAULT_TASK_RULES,
+  EMPTY_TASK_MESSAGE,
+  TAGS_ONLY_TASK_MESSAGE,
+  WHITESPACE_TASK_MESSAGE,
+  validateTaskText,
+} from './validation';
+
+const listTasks = [
+  { id: 1, text: 'Learn React' },
+  { id: 2, text: 'Build a todo app' },
+];
+
+describe('validateTaskText', () => {
+  test('should trim the text and parse out its tags', () => {
+    expect(validateTaskText('  Plan sprint #work #team  ', listTasks)).toEqual({
+      text: 'Plan sprint',
+      tags: ['work', 'team'],
+      error: null,
+    });
+  });
+
+  test.each([
+    ['empty text', '', EMPTY_TASK_MESSAGE],
+    ['whitespace only', '   ', WHITESPACE_TASK_MESSAGE],
+    ['tags only', '#work #team', TAGS_ONLY_TASK_MESSAGE],
+  ])('should refuse %s', (_, input, message) => {
+    expect(validateTaskText(input, listTasks).error).toBe(message);
+  });
+
+  test('should allow text at the length limit once trimmed', () => {
+    const input = `  ${'a'.repeat(DEFAULT_TASK_RULES.maxLength)}  `;
+
+    expect(validateTaskText(input, listTasks).error).toBeNull();
+  });
+
+  test('should refuse text over the length limit', () => {
+    expect(validateTaskText('a'.repeat(DEFAULT_TASK_RULES.maxLength + 1), listTasks).error)
+      .toBe(`Task text can be at most ${DEFAULT_TASK_RULES.maxLength} characters`);
+  });
+
+  test('should honour a custom length limit', () => {
+    expect(validateTaskText('Too long', listTasks, { ...DEFAULT_TASK_RULES, maxLength: 5 }).error)
+      .toBe('Task text can be at most 5 characters');
+  });
+
+  test('should refuse a duplicate ignoring case', () => {
+    expect(validateTaskText('learn REACT', listTasks).error)
+      .toBe('A task named "learn REACT" is already in this list');
+  });
+
+  test('should not count the edited task as its own duplicate', () => {
+    expect(validateTaskText('Learn react', listTasks, DEFAULT_TASK_RULES, 1).error).toBeNull();
+  });
+
+  test('should allow duplicates when the rule is off', () => {
+    expect(validateTaskText('Learn React', listTasks, { ...DEFAULT_TASK_RULES, rejectDuplicates: false }).error)
+      .toBeNull();
+  });
+});
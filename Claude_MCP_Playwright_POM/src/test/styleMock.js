@@ -0,0 +1,2 @@
+// Stands in for CSS imports under Jest, where there is no style-loader
+module.exports = {};
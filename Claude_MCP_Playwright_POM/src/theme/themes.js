@@ -0,0 +1,23 @@
+/**
+ * Colour themes
+ * Each theme is a block of CSS custom properties in App.css, picked by the
+ * data-theme attribute on the root element. Until the user chooses one, the
+ * theme follows the system's prefers-color-scheme setting.
+ */
+
+export const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'high-contrast', label: 'High contrast' },
+];
+
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+export const isTheme = (value) => THEMES.some(theme => theme.value === value);
+
+/**
+ * The theme matching the system colour scheme
+ * @param {boolean} prefersDark - Whether the system asks for a dark scheme
+ * @returns {string} 'dark' or 'light'
+ */
+export const getSystemTheme = (prefersDark) => (prefersDark ? 'dark' : 'light');
@@ -0,0 +1,15 @@
+/**
+ * Offer text content to the browser as a file download
+ * @param {{fileName: string, mimeType: string, content: string}} file - The file to download
+ */
+export const downloadFile = ({ fileName, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,251 @@
+/**
+ * Task list import/export formats
+ * JSON uses the same versioned envelope as local storage, CSV has one task
+ * per row under a header, and Markdown is a "- [ ]" checklist (text,
+ * completion and tags only). Parsing
+ * either returns plain task fields (no ids) or throws an ImportError whose
+ * message can be shown to the user as-is.
+ */
+
+import { SCHEMA_VERSION, migrate } from '../storage/taskStorage';
+import { formatTaskText, parseTags } from '../tasks/tags';
+import { isValidTask, withTaskDefaults } from '../tasks/taskShape';
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+];
+
+const IMPORT_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  md: 'markdown',
+  markdown: 'markdown',
+};
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'dueDate', 'priority', 'tags'];
+
+const CHECKLIST_ITEM = /^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/;
+
+/**
+ * Check one imported record and reduce it to the fields an import keeps
+ * @param {*} raw - The record as read from the file
+ * @param {string} label - How to refer to the record in errors, e.g. 'Row 3'
+ * @returns {Object} text, completed, dueDate, priority, tags and subtasks
+ */
+const toImportedTask = (raw, label) => {
+  const task = withTaskDefaults({ completed: false, ...raw });
+  // Ids are reassigned on import, so any placeholder satisfies the shape check
+  if (!isValidTask({ ...task, id: 0 })) {
+    throw new ImportError(`${label} is not a valid task.`);
+  }
+  if (task.text.trim() === '') {
+    throw new ImportError(`${label} has no task text.`);
+  }
+
+  return {
+    text: task.text.trim(),
+    completed: task.completed,
+    dueDate: task.dueDate,
+    priority: task.priority,
+    tags: task.tags,
+    subtasks: task.subtasks,
+  };
+};
+
+// --- CSV -------------------------------------------------------------------
+
+// Tags are written space-separated; a leading '#' is tolerated on import
+const parseTagList = (value) => [...new Set(value
+  .split(/\s+/)
+  .map(tag => tag.replace(/^#/, '').toLowerCase())
+  .filter(tag => tag !== ''))];
+
+const escapeCsvField = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks)
+ */
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new ImportError('The CSV file has an unclosed quote.');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(current => current.some(value => value.trim() !== ''));
+};
+
+const parseCsv = (content) => {
+  const [header, ...rows] = parseCsvRows(content);
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('text')) {
+    throw new ImportError('The CSV header must include a "text" column.');
+  }
+
+  return rows.map((values, index) => {
+    // Row 1 is the header
+    const label = `Row ${index + 2}`;
+    if (values.length !== columns.length) {
+      const found = `${values.length} column${values.length === 1 ? '' : 's'}`;
+      throw new ImportError(`${label} has ${found} but the header has ${columns.length}.`);
+    }
+
+    const record = Object.fromEntries(columns.map((column, i) => [column, values[i].trim()]));
+    const completed = (record.completed || 'false').toLowerCase();
+    if (completed !== 'true' && completed !== 'false') {
+      throw new ImportError(`${label}: completed must be "true" or "false".`);
+    }
+
+    return toImportedTask({
+      text: record.text,
+      completed: completed === 'true',
+      dueDate: record.dueDate || null,
+      priority: record.priority ? record.priority.toLowerCase() : null,
+      tags: parseTagList(record.tags || ''),
+    }, label);
+  });
+};
+
+const serializeCsv = (tasks) => [
+  CSV_COLUMNS.join(','),
+  ...tasks.map(task => [
+    String(task.id),
+    task.text,
+    String(task.completed),
+    task.dueDate || '',
+    task.priority || '',
+    task.tags.join(' '),
+  ].map(escapeCsvField).join(',')),
+].join('\n') + '\n';
+
+// --- Markdown --------------------------------------------------------------
+
+const parseMarkdown = (content) => {
+  const items = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = line.match(CHECKLIST_ITEM);
+    // Headings, notes and blank lines around the checklist are ignored
+    if (!match) return;
+
+    const { text, tags } = parseTags(match[2]);
+    items.push(toImportedTask({ text, completed: match[1] !== ' ', tags }, `Line ${index + 1}`));
+  });
+
+  if (items.length === 0) {
+    throw new ImportError('No checklist items ("- [ ] task") were found.');
+  }
+  return items;
+};
+
+const serializeMarkdown = (tasks) =>
+  tasks.map(task => `- [${task.completed ? 'x' : ' '}] ${formatTaskText(task)}`).join('\n') + '\n';
+
+// --- JSON ------------------------------------------------------------------
+
+const parseJson = (content) => {
+  let payload;
+  try {
+    payload = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError('The file is not valid JSON.');
+  }
+
+  // A bare array is taken as current-shape tasks; an envelope is migrated
+  // like saved data, so older exports still import
+  let records = payload;
+  if (!Array.isArray(payload)) {
+    if (payload && Number.isInteger(payload.version) && payload.version > SCHEMA_VERSION) {
+      throw new ImportError('The file was exported by a newer version of the app.');
+    }
+    const envelope = migrate(payload);
+    records = envelope ? envelope.tasks : null;
+  }
+  if (!Array.isArray(records)) {
+    throw new ImportError('Expected a list of tasks or an exported task file.');
+  }
+
+  return records.map((record, index) => toImportedTask(record, `Task ${index + 1}`));
+};
+
+const serializeJson = (tasks) => `${JSON.stringify({ version: SCHEMA_VERSION, tasks }, null, 2)}\n`;
+
+// --- Public API ------------------------------------------------------------
+
+const parsers = { json: parseJson, csv: parseCsv, markdown: parseMarkdown };
+const serializers = { json: serializeJson, csv: serializeCsv, markdown: serializeMarkdown };
+
+/**
+ * Serialize tasks for download
+ * @param {Object[]} tasks - The tasks to export
+ * @param {string} format - One of the EXPORT_FORMATS values
+ * @returns {{fileName: string, mimeType: string, content: string}} The file to download
+ */
+export const serializeTasks = (tasks, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS.find(option => option.value === format);
+  return { fileName: `tasks.${extension}`, mimeType, content: serializers[format](tasks) };
+};
+
+/**
+ * Parse an imported file, picking the format from its extension
+ * @param {string} fileName - The file name
+ * @param {string} content - The file contents
+ * @returns {Object[]} The imported tasks, without ids
+ * @throws {ImportError} When the file is unsupported, malformed or has no tasks
+ */
+export const parseTaskFile = (fileName, content) => {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const format = IMPORT_EXTENSIONS[extension];
+  if (!format) {
+    throw new ImportError('Unsupported file type. Use a .json, .csv or .md file.');
+  }
+  if (content.trim() === '') {
+    throw new ImportError('The file is empty.');
+  }
+
+  const tasks = parsers[format](content);
+  if (tasks.length === 0) {
+    throw new ImportError('The file contains no tasks.');
+  }
+  return tasks;
+};
@@ -0,0 +1,108 @@
+/**
+ * Import planning
+ * Works out what applying an import would do to the current list, so the
+ * preview can describe it and applying it is a single history command.
+ * Two tasks are duplicates when their text matches, ignoring case.
+ */
+
+import { nextTaskId } from '../tasks/taskReducer';
+
+export const IMPORT_MODES = [
+  { value: 'skip', label: 'Skip duplicates' },
+  { value: 'merge', label: 'Merge duplicates' },
+  { value: 'replace', label: 'Replace all tasks' },
+];
+
+export const DEFAULT_IMPORT_MODE = IMPORT_MODES[0].value;
+
+const textKey = (task) => task.text.trim().toLowerCase();
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Give imported tasks ids that do not clash with any task in any list
+ */
+const assignIds = (imported, allTasks, now) => {
+  const firstId = nextTaskId(allTasks, now);
+  return imported.map((task, index) => ({ id: firstId + index, ...task }));
+};
+
+/**
+ * Plan an import
+ * @param {Object[]} existing - The current tasks
+ * @param {Object[]} imported - Parsed tasks, without ids
+ * @param {string} mode - One of the IMPORT_MODES values
+ * @param {Object[]} allTasks - The tasks of every list, whose ids new tasks
+ *   must not reuse
+ * @param {number} now - Base for new ids (injectable for tests)
+ * @returns {Object} tasks (the resulting list), items (imported tasks flagged
+ *   as duplicates for the preview) and added/merged/skipped/removed counts
+ */
+export const planImport = (existing, imported, mode, allTasks = existing, now = Date.now()) => {
+  if (mode === 'replace') {
+    return {
+      tasks: assignIds(imported, allTasks, now),
+      items: imported.map(task => ({ text: task.text, duplicate: false })),
+      added: imported.length,
+      merged: 0,
+      skipped: 0,
+      removed: existing.length,
+    };
+  }
+
+  let tasks = [...existing];
+  const items = [];
+  const added = [];
+  let duplicates = 0;
+
+  imported.forEach((task) => {
+    const match = tasks.find(current => textKey(current) === textKey(task))
+      || added.find(current => textKey(current) === textKey(task));
+    items.push({ text: task.text, duplicate: Boolean(match) });
+
+    if (!match) {
+      added.push(task);
+      return;
+    }
+    duplicates++;
+    if (mode !== 'merge') return;
+
+    const merged = {
+      ...match,
+      completed: task.completed,
+      dueDate: task.dueDate || match.dueDate,
+      priority: task.priority || match.priority,
+      tags: [...new Set([...match.tags, ...task.tags])],
+    };
+    if (tasks.includes(match)) {
+      tasks = tasks.map(current => (current === match ? merged : current));
+    } else {
+      added[added.indexOf(match)] = merged;
+    }
+  });
+
+  return {
+    tasks: [...tasks, ...assignIds(added, allTasks, now)],
+    items,
+    added: added.length,
+    merged: mode === 'merge' ? duplicates : 0,
+    skipped: mode === 'merge' ? 0 : duplicates,
+    removed: 0,
+  };
+};
+
+/**
+ * One-line description of a plan for the import preview
+ * @param {Object} plan - A result of planImport()
+ * @param {string} mode - The mode it was planned with
+ * @returns {string} e.g. 'Adds 2 tasks, skips 1 duplicate.'
+ */
+export const describeImport = (plan, mode) => {
+  if (mode === 'replace') {
+    return `Replaces ${plural(plan.removed, 'current task')} with ${plural(plan.added, 'imported task')}.`;
+  }
+  if (mode === 'merge') {
+    return `Adds ${plural(plan.added, 'task')}, merges ${plural(plan.merged, 'duplicate')}.`;
+  }
+  return `Adds ${plural(plan.added, 'task')}, skips ${plural(plan.skipped, 'duplicate')}.`;
+};
@@ -0,0 +1,56 @@
+/**
+ * Import Plan Unit Tests
+ * Duplicate handling per mode, and ids for imported tasks that stay unique
+ * across every list
+ */
+
+import { planImport } from './importPlan';
+
+const NOW = 1700000000000;
+
+const task = (id, text, fields = {}) => ({
+  id,
+  text,
+  completed: false,
+  dueDate: null,
+  priority: null,
+  tags: [],
+  listId: 'default',
+  ...fields,
+});
+
+const listTasks = [task(1, 'Learn React')];
+const otherListTasks = [task(NOW, 'Plan sprint', { listId: 'work' }), task(NOW + 1, 'Review PRs', { listId: 'work' })];
+const allTasks = [...listTasks, ...otherListTasks];
+
+const imported = [
+  { text: 'learn react', completed: true, dueDate: null, priority: 'high', tags: ['study'] },
+  { text: 'Write tests', completed: false, dueDate: null, priority: null, tags: [] },
+];
+
+describe('planImport', () => {
+  test('should skip duplicates and add the rest', () => {
+    const plan = planImport(listTasks, imported, 'skip', allTasks, NOW);
+
+    expect(plan.tasks.map(current => current.text)).toEqual(['Learn React', 'Write tests']);
+    expect(plan.items).toEqual([
+      { text: 'learn react', duplicate: true },
+      { text: 'Write tests', duplicate: false },
+    ]);
+    expect([plan.added, plan.skipped, plan.merged]).toEqual([1, 1, 0]);
+  });
+
+  test('should merge a duplicate into the existing task', () => {
+    const plan = planImport(listTasks, imported, 'merge', allTasks, NOW);
+
+    expect(plan.tasks[0]).toEqual({ ...listTasks[0], completed: true, priority: 'high', tags: ['study'] });
+    expect([plan.added, plan.skipped, plan.merged]).toEqual([1, 0, 1]);
+  });
+
+  test.each(['skip', 'merge', 'replace'])('should not reuse an id from another list in %s mode', (mode) => {
+    const plan = planImport(listTasks, imported, mode, allTasks, NOW);
+    const ids = [...plan.tasks, ...otherListTasks].map(current => current.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
@@ -4,6 +4,8 @@ test.describe('Todo App', () => {
   test.beforeEach(async ({ page }) => {
     // Navigate to the app before each test
     await page.goto('/');
+    // Tasks come from the API; the input stays disabled until they arrive
+    await expect(page.locator('.todo-container')).not.toHaveAttribute('data-status', 'loading');
   });
 
   test.describe('Page Load and Initial State', () => {
@@ -63,7 +65,9 @@ test.describe('Todo App', () => {
       await input.fill('Test task');
       await addBtn.click();
 
-      await expect(page.getByText('Test task')).toBeVisible();
+      // Task texts are looked up inside .task-list here and below: the
+      // screen reader announcement of each change repeats them
+      await expect(page.locator('.task-list').getByText('Test task')).toBeVisible();
     });
 
     test('should add a task by pressing Enter key', async ({ page }) => {
@@ -72,7 +76,7 @@ test.describe('Todo App', () => {
       await input.fill('Keyboard task');
       await input.press('Enter');
 
-      await expect(page.getByText('Keyboard task')).toBeVisible();
+      await expect(page.locator('.task-list').getByText('Keyboard task')).toBeVisible();
     });
 
     test('should clear input field after adding a task', async ({ page }) => {
@@ -159,7 +163,7 @@ test.describe('Todo App', () => {
       await input.fill(specialText);
       await addBtn.click();
 
-      await expect(page.getByText(specialText)).toBeVisible();
+      await expect(page.locator('.task-list').getByText(specialText)).toBeVisible();
     });
   });
 
@@ -197,7 +201,7 @@ test.describe('Todo App', () => {
       await deleteButtons.nth(1).click();
 
       // Verify the task is no longer in the list
-      await expect(page.getByText(secondTaskText || '')).not.toBeVisible();
+      await expect(page.locator('.task-list').getByText(secondTaskText || '')).not.toBeVisible();
     });
 
     test('should delete all tasks one by one', async ({ page }) => {
@@ -307,7 +311,7 @@ test.describe('Todo App', () => {
       await input.fill(longText);
       await page.locator('.add-btn').click();
 
-      await expect(page.getByText(longText)).toBeVisible();
+      await expect(page.locator('.task-list').getByText(longText)).toBeVisible();
     });
 
     test('should trim whitespace when adding task', async ({ page }) => {
@@ -318,7 +322,7 @@ test.describe('Todo App', () => {
       await addBtn.click();
 
       // The task should be added (validation passes), but might display with or without trimming
-      await expect(page.getByText('Test task')).toBeVisible();
+      await expect(page.locator('.task-list').getByText('Test task')).toBeVisible();
     });
   });
 
@@ -330,7 +334,7 @@ test.describe('Todo App', () => {
       await input.fill('Button test');
       await addBtn.click();
 
-      await expect(page.getByText('Button test')).toBeVisible();
+      await expect(page.locator('.task-list').getByText('Button test')).toBeVisible();
     });
 
     test('Delete buttons should be clickable', async ({ page }) => {
@@ -453,7 +457,7 @@ test.describe('Todo App', () => {
       await page.keyboard.press('Enter');
 
       // Task should be added
-      await expect(page.getByText('Test task')).toBeVisible();
+      await expect(page.locator('.task-list').getByText('Test task')).toBeVisible();
     });
   });
 
@@ -483,7 +487,7 @@ test.describe('Todo App', () => {
       await input.fill(unicodeText);
       await addBtn.click();
 
-      await expect(page.getByText(unicodeText)).toBeVisible();
+      await expect(page.locator('.task-list').getByText(unicodeText)).toBeVisible();
     });
 
     test('should preserve task order after operations', async ({ page }) => {
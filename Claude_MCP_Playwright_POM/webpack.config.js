@@ -1,4 +1,27 @@
+const fs = require('fs');
 const path = require('path');
+const webpack = require('webpack');
+
+// Files served from the site root exactly as written: the service worker has
+// to sit at the root to control every route, and must not be bundled
+const PWA_ASSETS = ['service-worker.js', 'manifest.webmanifest', 'icon.svg'];
+
+class PwaAssetsPlugin {
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap('PwaAssetsPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap(
+        { name: 'PwaAssetsPlugin', stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        () => {
+          PWA_ASSETS.forEach((name) => {
+            const file = path.resolve(__dirname, 'src/pwa', name);
+            compilation.fileDependencies.add(file);
+            compilation.emitAsset(name, new webpack.sources.RawSource(fs.readFileSync(file)));
+          });
+        }
+      );
+    });
+  }
+}
 
 module.exports = {
   entry: './src/index.jsx',
@@ -11,15 +34,8 @@ module.exports = {
       {
         test: /\.(js|jsx)$/,
         exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader',
-          options: {
-            presets: [
-              '@babel/preset-env',
-              ['@babel/preset-react', { runtime: 'automatic' }],
-            ],
-          },
-        },
+        // Presets come from babel.config.js, shared with Jest
+        use: 'babel-loader',
       },
       {
         test: /\.css$/,
@@ -27,6 +43,7 @@ module.exports = {
       },
     ],
   },
+  plugins: [new PwaAssetsPlugin()],
   resolve: {
     extensions: ['.js', '.jsx'],
   },
@@ -34,5 +51,8 @@ module.exports = {
     static: './public',
     port: 3000,
     hot: true,
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 3001}`,
+    },
   },
 };